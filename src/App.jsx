@@ -1,19 +1,24 @@
-import { useState } from 'react'
 import ParticlesBackground from './components/ParticlesBackground'
 import RocketModel from './components/RocketModel'
 import SolarSystem from './components/SolarSystem'
+import SharedCanvas from './components/SharedCanvas'
 import SpaceGame from './components/SpaceGame'
 import CometCursor from './components/CometCursor'
+import QualityOverlay from './components/QualityOverlay'
+import LoadingScreen from './components/LoadingScreen'
+import { navigate, navigateBack, useRoute } from './hooks/useRoute'
+import { QUALITY_DEBUG } from './hooks/useQuality'
 import './App.css'
 
 function App() {
-  const [showGame, setShowGame] = useState(false)
+  const route = useRoute()
 
-  if (showGame) {
+  if (route.view === 'game') {
     return (
       <>
         <CometCursor />
-        <SpaceGame onBack={() => setShowGame(false)} />
+        {QUALITY_DEBUG && <QualityOverlay />}
+        <SpaceGame onBack={() => navigateBack('/')} />
       </>
     )
   }
@@ -21,9 +26,12 @@ function App() {
   return (
     <div className="app">
       <CometCursor />
+      {QUALITY_DEBUG && <QualityOverlay />}
+      <SharedCanvas />
+      <LoadingScreen />
       <ParticlesBackground />
       <RocketModel />
-      <SolarSystem onStartGame={() => setShowGame(true)} />
+      <SolarSystem route={route} onStartGame={() => navigate('/play')} />
     </div>
   )
 }
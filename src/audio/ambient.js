@@ -0,0 +1,137 @@
+/**
+ * Ambient Tracks
+ * The playlist's own music, synthesized into WAV files at build time
+ *
+ * No audio files live in the repo: vite.config.js renders each piece
+ * here to /audio/<id>.wav, serving it from the dev and preview servers
+ * and writing it into dist/ on build. The same score always renders
+ * the same bytes, so the output caches like any other asset.
+ *
+ * A piece is a slow chord progression played by a pad of detuned
+ * sines, a sub bass on the chord root and soft bell notes picked from
+ * the chord with a seeded random (see game/random.js). No DOM or Web
+ * Audio - it runs in Node.
+ */
+
+import { createRandom } from '../game/random'
+
+const SAMPLE_RATE = 22050
+const FADE_IN_SECONDS = 2
+const FADE_OUT_SECONDS = 5        // Longer than the playlist's crossfade
+const CHORD_OVERLAP_SECONDS = 1.5
+
+// Semitones above the chord root
+const MINOR = [0, 3, 7, 10]
+const MAJOR = [0, 4, 7, 11]
+
+export const AMBIENT_TRACKS = {
+  'drifting-nebula': {
+    rootHz: 110,                  // A2
+    chordSeconds: 8,
+    // Am, F, C, G
+    progression: [[0, MINOR], [-4, MAJOR], [3, MAJOR], [-2, MAJOR]],
+    repeats: 2,
+    bellsPerChord: 3,
+    seed: 0x6e6562,
+  },
+  'orbital-glow': {
+    rootHz: 146.83,               // D3
+    chordSeconds: 6,
+    // Dm, Bb, F, C
+    progression: [[0, MINOR], [-4, MAJOR], [3, MAJOR], [-2, MAJOR]],
+    repeats: 3,
+    bellsPerChord: 5,
+    seed: 0x676c6f,
+  },
+}
+
+const pitch = (rootHz, semitones) => rootHz * 2 ** (semitones / 12)
+
+// Rises over the overlap at the start of a chord and falls over the one at its end
+function chordEnvelope(t, seconds) {
+  const rise = Math.min(1, t / CHORD_OVERLAP_SECONDS)
+  const fall = Math.min(1, (seconds + CHORD_OVERLAP_SECONDS - t) / CHORD_OVERLAP_SECONDS)
+  return Math.max(0, Math.min(rise, fall))
+}
+
+function addSine(samples, start, length, hz, volume, envelope) {
+  const step = (2 * Math.PI * hz) / SAMPLE_RATE
+  const end = Math.min(samples.length, start + length)
+  for (let i = Math.max(0, start); i < end; i++) {
+    const t = (i - start) / SAMPLE_RATE
+    samples[i] += Math.sin((i - start) * step) * volume * envelope(t)
+  }
+}
+
+function renderSamples({ rootHz, chordSeconds, progression, repeats, bellsPerChord, seed }) {
+  const random = createRandom(seed)
+  const chords = Array.from({ length: repeats }, () => progression).flat()
+  const seconds = chords.length * chordSeconds + CHORD_OVERLAP_SECONDS
+  const samples = new Float32Array(Math.ceil(seconds * SAMPLE_RATE))
+  const chordLength = Math.ceil((chordSeconds + CHORD_OVERLAP_SECONDS) * SAMPLE_RATE)
+  const pad = (t) => chordEnvelope(t, chordSeconds)
+
+  chords.forEach(([root, intervals], c) => {
+    const start = Math.floor(c * chordSeconds * SAMPLE_RATE)
+
+    // Pad: each chord tone as two slightly detuned sines, so it beats slowly
+    intervals.forEach((interval) => {
+      const hz = pitch(rootHz, root + interval)
+      addSine(samples, start, chordLength, hz, 0.07, pad)
+      addSine(samples, start, chordLength, hz * 1.003, 0.07, pad)
+    })
+    addSine(samples, start, chordLength, pitch(rootHz, root - 12), 0.16, pad)
+
+    // Bells: chord tones two octaves up, decaying over a few seconds
+    for (let b = 0; b < bellsPerChord; b++) {
+      const at = start + Math.floor(random.range(0, chordSeconds - 1) * SAMPLE_RATE)
+      const interval = intervals[random.int(intervals.length)]
+      const hz = pitch(rootHz, root + interval + 24)
+      const decay = random.range(1.5, 3)
+      const length = Math.ceil(decay * 3 * SAMPLE_RATE)
+      addSine(samples, at, length, hz, 0.07, (t) => Math.min(1, t * 200) * Math.exp(-t / decay))
+    }
+  })
+
+  // Fade the whole piece in and out
+  const fadeIn = FADE_IN_SECONDS * SAMPLE_RATE
+  const fadeOut = FADE_OUT_SECONDS * SAMPLE_RATE
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] *= Math.min(1, i / fadeIn, (samples.length - i) / fadeOut)
+  }
+  return samples
+}
+
+// 16-bit mono PCM in a RIFF/WAVE container
+function encodeWav(samples) {
+  const buffer = new ArrayBuffer(44 + samples.length * 2)
+  const view = new DataView(buffer)
+  const writeText = (offset, text) => {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i))
+  }
+
+  writeText(0, 'RIFF')
+  view.setUint32(4, 36 + samples.length * 2, true)
+  writeText(8, 'WAVE')
+  writeText(12, 'fmt ')
+  view.setUint32(16, 16, true)          // Format chunk size
+  view.setUint16(20, 1, true)           // PCM
+  view.setUint16(22, 1, true)           // Mono
+  view.setUint32(24, SAMPLE_RATE, true)
+  view.setUint32(28, SAMPLE_RATE * 2, true)
+  view.setUint16(32, 2, true)           // Bytes per sample frame
+  view.setUint16(34, 16, true)          // Bits per sample
+  writeText(36, 'data')
+  view.setUint32(40, samples.length * 2, true)
+
+  samples.forEach((sample, i) => {
+    const clamped = Math.max(-1, Math.min(1, sample))
+    view.setInt16(44 + i * 2, Math.round(clamped * 0x7fff), true)
+  })
+  return new Uint8Array(buffer)
+}
+
+/** WAV file bytes of the piece `id` in AMBIENT_TRACKS */
+export function renderAmbientTrack(id) {
+  return encodeWav(renderSamples(AMBIENT_TRACKS[id]))
+}
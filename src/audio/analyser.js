@@ -0,0 +1,170 @@
+/**
+ * Music Analyser
+ * Live frequency data of the portfolio's background music
+ *
+ * The playlist's <audio> elements (playlist.js) are routed through the
+ * shared Web Audio graph (sound.js), each with its own gain for
+ * crossfading:
+ *
+ *   <audio> ─> gain ─┐
+ *                    ├─> analyser ─> music bus ─> master (mute) ─> speakers
+ *   <audio> ─> gain ─┘
+ *
+ * so music volume and mute apply on the bus, as they do for the game's
+ * soundtrack. While any of them plays, one animation-frame loop reads
+ * the analyser into the levels, all 0-1:
+ *
+ *   { level, bass, treble, bands: Float32Array(BAND_COUNT) }
+ *
+ * level is the overall loudness, bass and treble the energy below
+ * 250 Hz and above 4 kHz, and bands a log-spaced equalizer from 60 Hz
+ * to 12 kHz. Anything drawn every frame reads getAudioLevels() (e.g. in
+ * useFrame); other code can subscribeAudioLevels() to run once per
+ * analysed frame. When the music stops the levels ease back to 0.
+ */
+
+import { getAudioGraph } from './sound'
+
+export const BAND_COUNT = 8
+
+const FFT_SIZE = 1024
+const SMOOTHING = 0.8             // AnalyserNode smoothing between reads
+const BASS_HZ = [20, 250]
+const TREBLE_HZ = [4000, 12000]
+const BANDS_HZ = [60, 12000]
+const RELEASE = 0.9               // Share of each level kept per frame once stopped
+const SILENT = 0.001
+
+const levels = { level: 0, bass: 0, treble: 0, bands: new Float32Array(BAND_COUNT) }
+const listeners = new Set()
+
+let analyser = null
+let bins = null
+let ranges = null                 // Bin index ranges of each measure
+let frame = null
+const playing = new Set()         // Connected elements currently playing
+
+// Element -> its source node. An element can only ever get one.
+const sources = new WeakMap()
+
+function createAnalyser(graph) {
+  const { context } = graph
+  analyser = context.createAnalyser()
+  analyser.fftSize = FFT_SIZE
+  analyser.smoothingTimeConstant = SMOOTHING
+  analyser.connect(graph.musicBus)
+  bins = new Uint8Array(analyser.frequencyBinCount)
+
+  const binHz = context.sampleRate / FFT_SIZE
+  const range = ([from, to]) => [
+    Math.max(1, Math.floor(from / binHz)),
+    Math.max(2, Math.min(bins.length, Math.ceil(to / binHz))),
+  ]
+  const [low, high] = BANDS_HZ
+  const step = (high / low) ** (1 / BAND_COUNT)
+  ranges = {
+    all: [1, bins.length],
+    bass: range(BASS_HZ),
+    treble: range(TREBLE_HZ),
+    bands: Array.from({ length: BAND_COUNT }, (_, i) => range([low * step ** i, low * step ** (i + 1)])),
+  }
+}
+
+// Mean of the bins in [from, to), 0-1
+function average([from, to]) {
+  let sum = 0
+  for (let i = from; i < to; i++) sum += bins[i]
+  return to > from ? sum / (to - from) / 255 : 0
+}
+
+function measure() {
+  analyser.getByteFrequencyData(bins)
+  levels.level = average(ranges.all)
+  levels.bass = average(ranges.bass)
+  levels.treble = average(ranges.treble)
+  ranges.bands.forEach((range, i) => { levels.bands[i] = average(range) })
+}
+
+// Ease towards silence; true while anything is still audible
+function release() {
+  let audible = false
+  ;['level', 'bass', 'treble'].forEach((key) => {
+    levels[key] = levels[key] * RELEASE > SILENT ? levels[key] * RELEASE : 0
+    if (levels[key] > 0) audible = true
+  })
+  levels.bands.forEach((value, i) => {
+    levels.bands[i] = value * RELEASE > SILENT ? value * RELEASE : 0
+    if (levels.bands[i] > 0) audible = true
+  })
+  return audible
+}
+
+function loop() {
+  let running = true
+  if (playing.size > 0) {
+    measure()
+  } else {
+    running = release()
+  }
+  listeners.forEach(listener => listener(levels))
+  frame = running ? requestAnimationFrame(loop) : null
+}
+
+function setPlaying(element, value) {
+  if (value) {
+    playing.add(element)
+  } else {
+    playing.delete(element)
+  }
+  if (playing.size > 0 && frame === null) frame = requestAnimationFrame(loop)
+}
+
+/**
+ * Route `element` through a gain of its own and the analyser into the
+ * music bus. Call it from a user gesture, like resumeAudio(). Returns
+ * { gain (GainNode), disconnect }, or null where Web Audio is
+ * unavailable - the element then plays on its own and the levels stay
+ * at 0.
+ */
+export function connectMusic(element) {
+  const graph = getAudioGraph()
+  if (!graph) return null
+  if (!analyser) createAnalyser(graph)
+
+  let source = sources.get(element)
+  if (!source) {
+    source = graph.context.createMediaElementSource(element)
+    sources.set(element, source)
+  }
+  const gain = graph.context.createGain()
+  source.connect(gain)
+  gain.connect(analyser)
+
+  const onPlaying = () => setPlaying(element, true)
+  const onStopped = () => setPlaying(element, false)
+  element.addEventListener('playing', onPlaying)
+  element.addEventListener('pause', onStopped)
+  element.addEventListener('ended', onStopped)
+  setPlaying(element, !element.paused)
+
+  const disconnect = () => {
+    element.removeEventListener('playing', onPlaying)
+    element.removeEventListener('pause', onStopped)
+    element.removeEventListener('ended', onStopped)
+    source.disconnect()
+    gain.disconnect()
+    setPlaying(element, false)
+  }
+  return { gain, disconnect }
+}
+
+/** The current levels - one shared object, updated in place */
+export function getAudioLevels() {
+  return levels
+}
+
+/** Call `listener(levels)` once per analysed frame. Returns an unsubscribe. */
+export function subscribeAudioLevels(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
@@ -0,0 +1,120 @@
+/**
+ * Adaptive Soundtrack
+ * A procedural loop for SpaceGame that builds up with the action
+ *
+ * A step sequencer schedules 16th notes slightly ahead of the audio
+ * clock (the usual setInterval + lookahead pattern, so timing holds
+ * even when the main thread stalls). Intensity (0-1) sets the tempo,
+ * the filter cutoff and which layers play:
+ *
+ *   pad  - always         hats - from 0.35, doubled from 0.75
+ *   bass - always         kick - from 0.2, four on the floor from 0.6
+ *   arp  - from 0.55
+ *
+ * setMusicIntensity() only sets a target; the loop glides towards it
+ * one step at a time so changes never jump.
+ */
+
+import { getAudioGraph, noise, tone } from './sound'
+
+const LOOKAHEAD_SECONDS = 0.12
+const TIMER_MS = 25
+const STEPS_PER_BAR = 16
+const INTENSITY_GLIDE = 0.01      // Per step
+
+const ROOT_HZ = 55                // A1
+const PROGRESSION = [0, -4, -2, -5] // Bars of Am, F, G, E (semitones from A)
+const ARPEGGIO = [12, 15, 19, 24, 19, 15, 12, 7]
+
+const pitch = (semitones) => ROOT_HZ * 2 ** (semitones / 12)
+
+let timer = null
+let filter = null
+let nextStepTime = 0
+let step = 0
+let intensity = 0
+let target = 0
+
+function scheduleStep(time, stepSeconds) {
+  const out = filter
+  const bar = Math.floor(step / STEPS_PER_BAR) % PROGRESSION.length
+  const beat = step % STEPS_PER_BAR
+  const chord = PROGRESSION[bar]
+
+  filter.frequency.setTargetAtTime(500 + intensity * 4500, time, 0.1)
+
+  // Pad: two detuned saws for the whole bar
+  if (beat === 0) {
+    const barSeconds = stepSeconds * STEPS_PER_BAR
+    tone({ type: 'sawtooth', from: pitch(chord + 24), duration: barSeconds, volume: 0.03, at: time, out })
+    tone({ type: 'sawtooth', from: pitch(chord + 24.1), duration: barSeconds, volume: 0.03, at: time, out })
+    tone({ type: 'sine', from: pitch(chord + 31), duration: barSeconds, volume: 0.02, at: time, out })
+  }
+
+  // Bass: quarters, eighths once things heat up
+  if (beat % (intensity > 0.5 ? 2 : 4) === 0) {
+    tone({ type: 'triangle', from: pitch(chord + 12), duration: stepSeconds * 1.8, volume: 0.18, at: time, out })
+  }
+
+  // Kick
+  const kickEvery = intensity > 0.6 ? 4 : 8
+  if (intensity > 0.2 && beat % kickEvery === 0) {
+    tone({ from: 120, to: 40, duration: 0.18, volume: 0.35, at: time, out })
+  }
+
+  // Hats on the off-beats
+  const hatEvery = intensity > 0.75 ? 1 : 2
+  if (intensity > 0.35 && beat % hatEvery === 0 && beat % 4 !== 0) {
+    noise({ filter: 'highpass', from: 7000, duration: 0.04, volume: 0.08, at: time, out })
+  }
+
+  // Arpeggio
+  if (intensity > 0.55) {
+    const note = ARPEGGIO[beat % ARPEGGIO.length]
+    tone({ type: 'square', from: pitch(chord + note + 12), duration: stepSeconds * 0.9, volume: 0.025, at: time, out })
+  }
+}
+
+function tick() {
+  const { context } = getAudioGraph()
+  while (nextStepTime < context.currentTime + LOOKAHEAD_SECONDS) {
+    intensity += Math.max(-INTENSITY_GLIDE, Math.min(INTENSITY_GLIDE, target - intensity))
+    const bpm = 84 + intensity * 66
+    const stepSeconds = 60 / bpm / 4
+    scheduleStep(nextStepTime, stepSeconds)
+    nextStepTime += stepSeconds
+    step++
+  }
+}
+
+/** Start the loop from the top at `startIntensity`. */
+export function startMusic(startIntensity = 0) {
+  const graph = getAudioGraph()
+  if (!graph) return
+  stopMusic()
+
+  filter = graph.context.createBiquadFilter()
+  filter.type = 'lowpass'
+  filter.connect(graph.musicBus)
+  intensity = target = startIntensity
+  step = 0
+  nextStepTime = graph.context.currentTime + 0.05
+  timer = setInterval(tick, TIMER_MS)
+}
+
+/** Stop scheduling; notes already queued ring out. */
+export function stopMusic() {
+  if (timer === null) return
+  clearInterval(timer)
+  timer = null
+  // Let the tail fade instead of cutting it
+  const { context } = getAudioGraph()
+  const fading = filter
+  fading.frequency.setTargetAtTime(80, context.currentTime, 0.3)
+  setTimeout(() => fading.disconnect(), 2000)
+  filter = null
+}
+
+export function setMusicIntensity(value) {
+  target = Math.max(0, Math.min(1, value))
+}
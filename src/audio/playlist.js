@@ -0,0 +1,245 @@
+/**
+ * Playlist
+ * The portfolio's background music: tracks in order or shuffled, with
+ * crossfades between them
+ *
+ * Tracks come from src/content/playlist.json:
+ *
+ *   { id, title, src, artist?, credit?, creditUrl? }
+ *
+ * Two decks (<audio> elements) take turns. The next track starts on the
+ * idle deck and the two crossfade, CROSSFADE_SECONDS before the end of
+ * a track or SKIP_FADE_SECONDS when skipping. Both decks play through
+ * the analyser (analyser.js), whose per-deck gains do the fading.
+ *
+ * A track that can't be loaded (missing file, unsupported format) is
+ * skipped and its title kept in `error`; once none is left, the status
+ * becomes 'error'. Playing again retries them all. Where Web Audio is
+ * unavailable the decks set their own volume and tracks cut instead of
+ * fading.
+ *
+ * The state is a store for usePlaylist():
+ *   { status, index, shuffle, error }
+ *   status - 'stopped' | 'loading' | 'playing' | 'paused' | 'error'
+ *   index  - the current track in TRACKS
+ *   error  - message about a track that failed, or null
+ */
+
+import PLAYLIST from '../content/playlist.json'
+import { getAudioSettings, subscribeAudioSettings } from '../hooks/useAudioSettings'
+import { connectMusic } from './analyser'
+import { getAudioGraph, resumeAudio } from './sound'
+
+export const TRACKS = PLAYLIST.tracks
+
+const CROSSFADE_SECONDS = 4
+const SKIP_FADE_SECONDS = 1
+
+const listeners = new Set()
+
+let state = { status: 'stopped', index: 0, shuffle: false, error: null }
+
+let decks = null                  // Two { element, gain, index, stopTimer }
+let active = 0                    // Deck of the current track
+let history = []                  // Tracks played before the current one
+const failed = new Set()          // Tracks that couldn't be loaded
+
+function setState(changes) {
+  state = { ...state, ...changes }
+  listeners.forEach(listener => listener())
+}
+
+const failedMessage = (index) => `Couldn't load "${TRACKS[index].title}"`
+
+// ============================================
+// DECKS
+// ============================================
+
+// Volume of decks outside Web Audio - routed ones get it from the music bus
+function applySettings() {
+  const { musicVolume, muted } = getAudioSettings()
+  decks?.forEach(({ element, gain }) => {
+    if (gain) return
+    element.volume = musicVolume
+    element.muted = muted
+  })
+}
+
+function createDeck() {
+  const element = new Audio()
+  element.preload = 'auto'
+  // Web Audio only hears cross-origin tracks fetched with CORS - otherwise it's silence
+  element.crossOrigin = 'anonymous'
+  const deck = { element, gain: connectMusic(element)?.gain ?? null, index: null, stopTimer: null }
+
+  element.addEventListener('playing', () => {
+    if (deck === decks[active]) setState({ status: 'playing' })
+  })
+  element.addEventListener('timeupdate', () => {
+    // Start the next track while this one fades out
+    if (deck !== decks[active] || !deck.gain) return
+    if (element.duration - element.currentTime <= CROSSFADE_SECONDS) advance(CROSSFADE_SECONDS)
+  })
+  element.addEventListener('ended', () => {
+    if (deck === decks[active]) advance(0)
+  })
+  element.addEventListener('error', () => handleFailure(deck))
+  return deck
+}
+
+function ensureDecks() {
+  if (decks) return
+  decks = [createDeck(), createDeck()]
+  applySettings()
+  subscribeAudioSettings(applySettings)
+}
+
+// Ramp a deck's gain to `to` over `seconds`
+function fade(deck, to, seconds) {
+  if (!deck.gain) return
+  const { currentTime } = getAudioGraph().context
+  const { gain } = deck.gain
+  gain.cancelScheduledValues(currentTime)
+  gain.setValueAtTime(seconds > 0 ? gain.value : to, currentTime)
+  if (seconds > 0) gain.linearRampToValueAtTime(to, currentTime + seconds)
+}
+
+// Fade a deck out and stop it once silent
+function release(deck, seconds) {
+  clearTimeout(deck.stopTimer)
+  if (!deck.gain || seconds === 0) {
+    deck.element.pause()
+    return
+  }
+  fade(deck, 0, seconds)
+  deck.stopTimer = setTimeout(() => deck.element.pause(), seconds * 1000)
+}
+
+function play(deck) {
+  deck.element.play().catch((err) => {
+    // Paused or replaced before it started
+    if (err.name === 'AbortError') return
+    if (err.name === 'NotAllowedError') {
+      if (deck === decks[active]) setState({ status: 'paused', error: 'The browser blocked playback - press play' })
+      return
+    }
+    handleFailure(deck)
+  })
+}
+
+// ============================================
+// TRACK ORDER
+// ============================================
+
+// Track to play after the current one, or null when every track failed
+function nextIndex() {
+  const playable = TRACKS.map((_, i) => i).filter(i => !failed.has(i))
+  if (playable.length === 0) return null
+  if (state.shuffle && playable.length > 1) {
+    const others = playable.filter(i => i !== state.index)
+    return others[Math.floor(Math.random() * others.length)]
+  }
+  return playable.find(i => i > state.index) ?? playable[0]
+}
+
+function previousIndex() {
+  while (history.length > 0) {
+    const index = history.pop()
+    if (!failed.has(index)) return index
+  }
+  const playable = TRACKS.map((_, i) => i).filter(i => !failed.has(i))
+  if (playable.length === 0) return null
+  return playable.findLast(i => i < state.index) ?? playable[playable.length - 1]
+}
+
+// Start track `index` on the idle deck, crossfading over `seconds`
+function startTrack(index, seconds, error = null) {
+  ensureDecks()
+  const outgoing = decks[active]
+  active = 1 - active
+  const deck = decks[active]
+
+  clearTimeout(deck.stopTimer)
+  deck.index = index
+  deck.element.src = TRACKS[index].src
+  fade(deck, 0, 0)
+  fade(deck, 1, outgoing.element.paused ? 0 : seconds)
+  play(deck)
+  if (outgoing.index !== null) release(outgoing, seconds)
+
+  setState({ status: 'loading', index, error })
+}
+
+function advance(seconds, error = null) {
+  const index = nextIndex()
+  if (index === null) {
+    stopDecks()
+    setState({ status: 'error', error: "Couldn't load any of the tracks" })
+    return
+  }
+  history.push(state.index)
+  startTrack(index, seconds, error)
+}
+
+function stopDecks() {
+  decks?.forEach((deck) => {
+    clearTimeout(deck.stopTimer)
+    deck.element.pause()
+  })
+}
+
+function handleFailure(deck) {
+  if (deck !== decks[active] || failed.has(deck.index)) return
+  failed.add(deck.index)
+  advance(0, failedMessage(deck.index))
+}
+
+// ============================================
+// CONTROLS
+// ============================================
+
+// All of these come from clicks - Web Audio can only start from one
+
+export function playBackgroundMusic() {
+  resumeAudio()
+  if (state.status === 'paused') {
+    setState({ status: 'loading', error: null })
+    play(decks[active])
+    return
+  }
+  // Stopped, or every track failed - try them all again
+  failed.clear()
+  history = []
+  startTrack(state.index, 0)
+}
+
+export function pauseBackgroundMusic() {
+  if (!decks || state.status === 'stopped' || state.status === 'error') return
+  stopDecks()
+  fade(decks[active], 1, 0)
+  setState({ status: 'paused' })
+}
+
+export function nextTrack() {
+  resumeAudio()
+  advance(SKIP_FADE_SECONDS)
+}
+
+export function previousTrack() {
+  resumeAudio()
+  const index = previousIndex()
+  if (index !== null) startTrack(index, SKIP_FADE_SECONDS)
+}
+
+export function toggleShuffle() {
+  setState({ shuffle: !state.shuffle })
+}
+
+export function subscribePlaylist(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+export function getPlaylistState() {
+  return state
+}
@@ -0,0 +1,185 @@
+/**
+ * Sound Engine
+ * One Web Audio graph with synthesized sound effects for SpaceGame
+ *
+ * Every sound is built from oscillators and a shared noise buffer at
+ * play time, so there is nothing to download. The graph is
+ *
+ *   sfx bus ──┐
+ *             ├─> master (mute) ─> compressor ─> speakers
+ *   music bus ┘
+ *
+ * with bus levels following useAudioSettings. The music bus carries the
+ * game's soundtrack (music.js) and the portfolio's background music,
+ * which comes in through analyser.js. The AudioContext is only
+ * created on first use, which must come from a user gesture (browsers
+ * keep it suspended otherwise) - call resumeAudio() from a click.
+ */
+
+import { getAudioSettings, subscribeAudioSettings } from '../hooks/useAudioSettings'
+
+let graph = null
+
+function applySettings() {
+  if (!graph) return
+  const { muted, sfxVolume, musicVolume } = getAudioSettings()
+  const now = graph.context.currentTime
+  // Short ramps so dragging a slider doesn't click
+  graph.master.gain.setTargetAtTime(muted ? 0 : 1, now, 0.02)
+  graph.sfxBus.gain.setTargetAtTime(sfxVolume, now, 0.02)
+  graph.musicBus.gain.setTargetAtTime(musicVolume, now, 0.02)
+}
+
+// Longer than the longest noise burst (bossDefeated's 1.6 s) - a source
+// stops at the end of its buffer
+const NOISE_SECONDS = 2
+
+function createNoiseBuffer(context) {
+  const buffer = context.createBuffer(1, context.sampleRate * NOISE_SECONDS, context.sampleRate)
+  const data = buffer.getChannelData(0)
+  for (let i = 0; i < data.length; i++) {
+    data[i] = Math.random() * 2 - 1
+  }
+  return buffer
+}
+
+/**
+ * The shared graph, created on first call. Returns null where Web Audio
+ * is unavailable - every caller then stays silent.
+ */
+export function getAudioGraph() {
+  if (graph) return graph
+  const AudioContext = window.AudioContext ?? window.webkitAudioContext
+  if (!AudioContext) return null
+
+  const context = new AudioContext()
+  const compressor = context.createDynamicsCompressor()
+  const master = context.createGain()
+  const sfxBus = context.createGain()
+  const musicBus = context.createGain()
+  sfxBus.connect(master)
+  musicBus.connect(master)
+  master.connect(compressor)
+  compressor.connect(context.destination)
+
+  graph = { context, master, sfxBus, musicBus, noise: createNoiseBuffer(context) }
+  applySettings()
+  subscribeAudioSettings(applySettings)
+  return graph
+}
+
+export function resumeAudio() {
+  getAudioGraph()?.context.resume()
+}
+
+// Freezes sound and the music clock, e.g. while the game is paused
+export function suspendAudio() {
+  graph?.context.suspend()
+}
+
+// ============================================
+// VOICES
+// ============================================
+
+// Both voices start `delay` seconds from now (or at context time `at`)
+// and play into `out`, the sfx bus unless given.
+
+// Oscillator sliding from `from` to `to` Hz with a fast attack and an
+// exponential fade
+export function tone({ type = 'sine', from, to = from, duration, volume, delay = 0, at, out = graph.sfxBus }) {
+  const { context } = graph
+  const start = at ?? context.currentTime + delay
+  const osc = context.createOscillator()
+  const gain = context.createGain()
+  osc.type = type
+  osc.frequency.setValueAtTime(from, start)
+  if (to !== from) osc.frequency.exponentialRampToValueAtTime(to, start + duration)
+  gain.gain.setValueAtTime(0.0001, start)
+  gain.gain.exponentialRampToValueAtTime(volume, start + 0.005)
+  gain.gain.exponentialRampToValueAtTime(0.0001, start + duration)
+  osc.connect(gain)
+  gain.connect(out)
+  osc.start(start)
+  osc.stop(start + duration + 0.02)
+}
+
+// Noise burst through a filter sweeping from `from` to `to` Hz
+export function noise({ filter = 'lowpass', from, to = from, q = 1, duration, volume, delay = 0, at, out = graph.sfxBus }) {
+  const { context } = graph
+  const start = at ?? context.currentTime + delay
+  const source = context.createBufferSource()
+  const biquad = context.createBiquadFilter()
+  const gain = context.createGain()
+  source.buffer = graph.noise
+  // Random offset so back-to-back bursts don't sound identical
+  const offset = Math.random() * (graph.noise.duration - duration)
+  biquad.type = filter
+  biquad.Q.value = q
+  biquad.frequency.setValueAtTime(from, start)
+  if (to !== from) biquad.frequency.exponentialRampToValueAtTime(to, start + duration)
+  gain.gain.setValueAtTime(volume, start)
+  gain.gain.exponentialRampToValueAtTime(0.0001, start + duration)
+  source.connect(biquad)
+  biquad.connect(gain)
+  gain.connect(out)
+  source.start(start, Math.max(0, offset), duration)
+}
+
+// ============================================
+// SOUND EFFECTS
+// ============================================
+
+const SOUNDS = {
+  laser: () => {
+    tone({ type: 'square', from: 1400, to: 220, duration: 0.12, volume: 0.06 })
+  },
+  hit: () => {
+    noise({ filter: 'bandpass', from: 2500, q: 4, duration: 0.06, volume: 0.3 })
+    tone({ type: 'triangle', from: 520, to: 380, duration: 0.06, volume: 0.1 })
+  },
+  explosion: () => {
+    noise({ from: 1600, to: 80, duration: 0.6, volume: 0.5 })
+    tone({ from: 140, to: 40, duration: 0.4, volume: 0.4 })
+  },
+  powerUp: () => {
+    [523, 659, 784, 1047].forEach((frequency, i) => {
+      tone({ type: 'triangle', from: frequency, duration: 0.12, volume: 0.15, delay: i * 0.06 })
+    })
+  },
+  shieldHit: () => {
+    tone({ type: 'sine', from: 320, to: 140, duration: 0.3, volume: 0.25 })
+    noise({ filter: 'highpass', from: 3000, duration: 0.12, volume: 0.15 })
+  },
+  lifeLost: () => {
+    tone({ type: 'sawtooth', from: 440, to: 70, duration: 0.7, volume: 0.15 })
+    noise({ from: 900, to: 60, duration: 0.8, volume: 0.4 })
+  },
+  bossHit: () => {
+    tone({ type: 'square', from: 180, to: 120, duration: 0.08, volume: 0.08 })
+  },
+  bossDefeated: () => {
+    noise({ from: 2400, to: 50, duration: 1.6, volume: 0.6 })
+    tone({ from: 90, to: 30, duration: 1.2, volume: 0.5 })
+    const fanfare = [392, 523, 659, 784]
+    fanfare.forEach((frequency, i) => {
+      tone({ type: 'triangle', from: frequency, duration: 0.3, volume: 0.12, delay: 0.5 + i * 0.1 })
+    })
+  },
+  levelStart: () => {
+    tone({ type: 'triangle', from: 659, duration: 0.15, volume: 0.12 })
+    tone({ type: 'triangle', from: 988, duration: 0.3, volume: 0.12, delay: 0.12 })
+  },
+  gameOver: () => {
+    [440, 392, 330, 220].forEach((frequency, i) => {
+      tone({ type: 'triangle', from: frequency, duration: 0.35, volume: 0.15, delay: i * 0.22 })
+    })
+  },
+}
+
+export const SOUND_NAMES = Object.keys(SOUNDS)
+
+/** Play one of SOUND_NAMES. Does nothing until the audio is running. */
+export function playSound(name) {
+  if (!graph || graph.context.state !== 'running') return
+  SOUNDS[name]?.()
+}
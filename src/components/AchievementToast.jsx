@@ -0,0 +1,70 @@
+import { memo, useEffect } from 'react'
+
+const TOAST_MS = 3500
+
+// Announces unlocked achievements one at a time. `toasts` is the queue;
+// onDone drops the first entry once it has been shown.
+const AchievementToast = memo(function AchievementToast({ toasts, onDone, isMobile }) {
+  const current = toasts[0]
+
+  useEffect(() => {
+    if (!current) return
+    const timer = setTimeout(onDone, TOAST_MS)
+    return () => clearTimeout(timer)
+  }, [current, onDone])
+
+  return (
+    <div
+      role="status"
+      aria-live="polite"
+      style={{
+        position: 'absolute',
+        top: isMobile ? '120px' : '80px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        zIndex: 120,
+        pointerEvents: 'none',
+      }}
+    >
+      {current && (
+        <div
+          key={current.id}
+          style={{
+            padding: '10px 18px',
+            background: 'rgba(20, 16, 0, 0.85)',
+            border: '1px solid rgba(255, 204, 0, 0.7)',
+            borderRadius: '12px',
+            boxShadow: '0 0 20px rgba(255, 204, 0, 0.4)',
+            color: '#fff',
+            textAlign: 'center',
+            whiteSpace: 'nowrap',
+            animation: 'achievement-in 0.3s ease-out',
+          }}
+        >
+          <div style={{
+            color: '#ffcc00',
+            fontFamily: '"Orbitron", sans-serif',
+            fontSize: isMobile ? '11px' : '12px',
+            letterSpacing: '2px',
+          }}>
+            ★ ACHIEVEMENT UNLOCKED
+          </div>
+          <div style={{ marginTop: '4px', fontFamily: '"Orbitron", sans-serif', fontSize: isMobile ? '14px' : '16px' }}>
+            {current.title}
+          </div>
+          <div style={{ fontFamily: 'sans-serif', fontSize: '12px', color: 'rgba(255, 255, 255, 0.7)' }}>
+            {current.description}
+          </div>
+        </div>
+      )}
+      <style>{`
+        @keyframes achievement-in {
+          from { opacity: 0; transform: translateY(-10px); }
+          to { opacity: 1; transform: translateY(0); }
+        }
+      `}</style>
+    </div>
+  )
+})
+
+export default AchievementToast
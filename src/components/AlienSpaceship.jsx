@@ -0,0 +1,139 @@
+/**
+ * AlienSpaceship
+ * UFO saucer with an alien at the controls - the SpaceGame boss model
+ *
+ * Modelled around the origin at roughly 3.6 units across; place and
+ * scale it through the group props. `side` picks one of two palettes
+ * and the direction of the alien's waving hand.
+ */
+
+import { memo, useRef } from 'react'
+import { useFrame } from '@react-three/fiber'
+
+const AlienSpaceship = memo(function AlienSpaceship({ side = 'right', ...props }) {
+  const eyeLeftRef = useRef()
+  const eyeRightRef = useRef()
+  
+  // Different colors for left and right
+  const isLeft = side === 'left'
+  const shipColor = isLeft ? '#cc6688' : '#6688cc'       // Pink vs Blue
+  const shipEmissive = isLeft ? '#aa3355' : '#3355aa'
+  const shipBottomColor = isLeft ? '#bb5577' : '#5577bb'
+  const rimLightColor = isLeft ? '#66ffff' : '#ff66ff'   // Cyan vs Magenta
+  const alienColor = isLeft ? '#dd66aa' : '#44dd66'      // Pink vs Green
+  const alienEmissive = isLeft ? '#aa4488' : '#22aa44'
+  const antennaColor = isLeft ? '#ff66cc' : '#33bb55'
+  const antennaTipColor = isLeft ? '#00ffff' : '#ffff00' // Cyan vs Yellow
+  const xOffset = isLeft ? -1 : 1
+  
+  // Blinking eyes
+  useFrame((state) => {
+    if (eyeLeftRef.current && eyeRightRef.current) {
+      const blinkOffset = isLeft ? 1 : 0
+      const blink = Math.sin(state.clock.elapsedTime * 3 + blinkOffset) > 0.95 ? 0.1 : 1
+      eyeLeftRef.current.scale.y = blink
+      eyeRightRef.current.scale.y = blink
+    }
+  })
+  
+  return (
+    <group {...props}>
+      
+      {/* === SPACESHIP === */}
+      {/* UFO Saucer body */}
+      <mesh position={[0, -0.3, 0]} rotation={[0.2, 0, 0]}>
+        <cylinderGeometry args={[1.8, 1.2, 0.4, 24]} />
+        <meshStandardMaterial color={shipColor} metalness={0.9} roughness={0.1} emissive={shipEmissive} emissiveIntensity={0.3} />
+      </mesh>
+      
+      {/* UFO bottom dome */}
+      <mesh position={[0, -0.5, 0]} rotation={[Math.PI, 0, 0]}>
+        <sphereGeometry args={[0.8, 16, 16, 0, Math.PI * 2, 0, Math.PI / 2]} />
+        <meshStandardMaterial color={shipBottomColor} metalness={0.8} roughness={0.2} />
+      </mesh>
+      
+      {/* Glass dome cockpit */}
+      <mesh position={[0, 0.2, 0]}>
+        <sphereGeometry args={[0.9, 24, 24, 0, Math.PI * 2, 0, Math.PI / 2]} />
+        <meshStandardMaterial color="#aaddff" metalness={0.3} roughness={0.1} transparent opacity={0.5} />
+      </mesh>
+      
+      {/* UFO rim lights */}
+      {[0, 1, 2, 3, 4, 5].map((i) => (
+        <mesh key={i} position={[Math.cos(i * Math.PI / 3) * 1.5, -0.3, Math.sin(i * Math.PI / 3) * 1.5]}>
+          <sphereGeometry args={[0.12, 8, 8]} />
+          <meshBasicMaterial color={rimLightColor} />
+        </mesh>
+      ))}
+      <pointLight position={[0, -0.8, 0]} intensity={3} color={rimLightColor} distance={2} />
+      
+      {/* === ALIEN INSIDE === */}
+      <group position={[0, 0.4, 0.1]}>
+        {/* Alien Head */}
+        <mesh position={[0, 0.3, 0]}>
+          <sphereGeometry args={[0.5, 16, 16]} />
+          <meshStandardMaterial color={alienColor} metalness={0.3} roughness={0.6} emissive={alienEmissive} emissiveIntensity={0.3} />
+        </mesh>
+        
+        {/* Big left eye */}
+        <group position={[-0.18, 0.4, 0.42]}>
+          <mesh>
+            <sphereGeometry args={[0.18, 16, 16]} />
+            <meshStandardMaterial color="#111111" metalness={0.9} roughness={0.1} />
+          </mesh>
+          <mesh ref={eyeLeftRef} position={[0, 0, 0.1]}>
+            <sphereGeometry args={[0.08, 16, 16]} />
+            <meshBasicMaterial color="#ffffff" />
+          </mesh>
+        </group>
+        
+        {/* Big right eye */}
+        <group position={[0.18, 0.4, 0.42]}>
+          <mesh>
+            <sphereGeometry args={[0.18, 16, 16]} />
+            <meshStandardMaterial color="#111111" metalness={0.9} roughness={0.1} />
+          </mesh>
+          <mesh ref={eyeRightRef} position={[0, 0, 0.1]}>
+            <sphereGeometry args={[0.08, 16, 16]} />
+            <meshBasicMaterial color="#ffffff" />
+          </mesh>
+        </group>
+        
+        {/* Left antenna */}
+        <group position={[-0.2, 0.75, 0]}>
+          <mesh>
+            <cylinderGeometry args={[0.03, 0.03, 0.3, 8]} />
+            <meshStandardMaterial color={antennaColor} />
+          </mesh>
+          <mesh position={[0, 0.2, 0]}>
+            <sphereGeometry args={[0.07, 16, 16]} />
+            <meshBasicMaterial color={antennaTipColor} />
+          </mesh>
+        </group>
+        
+        {/* Right antenna */}
+        <group position={[0.2, 0.75, 0]}>
+          <mesh>
+            <cylinderGeometry args={[0.03, 0.03, 0.3, 8]} />
+            <meshStandardMaterial color={antennaColor} />
+          </mesh>
+          <mesh position={[0, 0.2, 0]}>
+            <sphereGeometry args={[0.07, 16, 16]} />
+            <meshBasicMaterial color={antennaTipColor} />
+          </mesh>
+        </group>
+        
+        {/* Small wave hand */}
+        <mesh position={[0.45 * xOffset, 0, 0.2]} rotation={[0, 0, -0.5 * xOffset]}>
+          <sphereGeometry args={[0.12, 8, 8]} />
+          <meshStandardMaterial color={alienColor} emissive={alienEmissive} emissiveIntensity={0.2} />
+        </mesh>
+      </group>
+      
+      {/* Antenna glow */}
+      <pointLight position={[0, 1.1, 0]} intensity={1.5} color={antennaTipColor} distance={1.5} />
+    </group>
+  )
+})
+
+export default AlienSpaceship
@@ -1,36 +1,97 @@
 import { useState, useRef, useEffect, memo } from 'react'
+import { setAudioSetting, useAudioSettings } from '../hooks/useAudioSettings'
+import { isMotionReduced } from '../hooks/useReducedMotion'
+import { usePlaylist } from '../hooks/usePlaylist'
+import { BAND_COUNT, subscribeAudioLevels } from '../audio/analyser'
+import {
+  TRACKS,
+  nextTrack,
+  pauseBackgroundMusic,
+  playBackgroundMusic,
+  previousTrack,
+  toggleShuffle,
+} from '../audio/playlist'
 
+const BAR_MIN = 3                 // px
+const BAR_MAX = 20
+// Heights held while motion is reduced
+const STILL_BARS = Array.from({ length: BAND_COUNT }, (_, i) => 0.3 + (i % 3) * 0.2)
+
+const transportButtonStyle = (on) => ({
+  width: '28px',
+  height: '28px',
+  padding: 0,
+  fontSize: '12px',
+  borderRadius: '50%',
+  border: `1px solid rgba(255, 200, 100, ${on ? 0.8 : 0.35})`,
+  background: on ? 'rgba(255, 170, 0, 0.25)' : 'rgba(0, 0, 0, 0.5)',
+  color: 'rgba(255, 200, 100, 0.9)',
+  cursor: 'pointer',
+})
+
+// Equalizer over the play button, one bar per analyser band
+const EqualizerBars = memo(function EqualizerBars({ visible }) {
+  const barsRef = useRef([])
+
+  useEffect(() => subscribeAudioLevels(({ bands }) => {
+    const still = isMotionReduced()
+    barsRef.current.forEach((bar, i) => {
+      if (bar) bar.style.height = `${BAR_MIN + (still ? STILL_BARS[i] : bands[i]) * (BAR_MAX - BAR_MIN)}px`
+    })
+  }), [])
+
+  return (
+    <div
+      aria-hidden="true"
+      style={{
+        visibility: visible ? 'visible' : 'hidden',
+        display: 'flex',
+        alignItems: 'flex-end',
+        gap: '2px',
+        height: `${BAR_MAX}px`,
+      }}
+    >
+      {STILL_BARS.map((_, i) => (
+        <div
+          key={i}
+          ref={(el) => { barsRef.current[i] = el }}
+          style={{
+            width: '3px',
+            height: `${BAR_MIN}px`,
+            background: 'linear-gradient(to top, #FFD700, #FF6B00)',
+            borderRadius: '2px',
+          }}
+        />
+      ))}
+    </div>
+  )
+})
+
+// Volume and mute are shared with SpaceGame's sound settings. Tracks
+// come from the playlist (audio/playlist.js) and play through the
+// analyser (audio/analyser.js), whose levels drive the equalizer here
+// and the lights and glows in SolarSystem.
 const BackgroundMusic = memo(function BackgroundMusic({ isMobile }) {
-  const audioRef = useRef(null)
-  const [isPlaying, setIsPlaying] = useState(false)
-  const [volume, setVolume] = useState(0.3)
+  const { status, index, shuffle, error } = usePlaylist()
+  const { musicVolume: volume, muted } = useAudioSettings()
   const [showVolumeSlider, setShowVolumeSlider] = useState(false)
+  const isPlaying = status === 'playing' || status === 'loading'
+  const failed = status === 'error'
+  const track = TRACKS[index]
 
-  useEffect(() => {
-    if (audioRef.current) {
-      audioRef.current.volume = volume
-    }
-  }, [volume])
+  // The music stops with the portfolio, e.g. when the game opens
+  useEffect(() => () => pauseBackgroundMusic(), [])
 
   const togglePlay = () => {
-    if (audioRef.current) {
-      if (isPlaying) {
-        audioRef.current.pause()
-      } else {
-        audioRef.current.play().catch(err => {
-          console.log('Audio play failed:', err)
-        })
-      }
-      setIsPlaying(!isPlaying)
+    if (isPlaying) {
+      pauseBackgroundMusic()
+    } else {
+      playBackgroundMusic()
     }
   }
 
   const handleVolumeChange = (e) => {
-    const newVolume = parseFloat(e.target.value)
-    setVolume(newVolume)
-    if (audioRef.current) {
-      audioRef.current.volume = newVolume
-    }
+    setAudioSetting('musicVolume', parseFloat(e.target.value))
   }
 
   const buttonSize = isMobile ? '40px' : '50px'
@@ -38,14 +99,6 @@ const BackgroundMusic = memo(function BackgroundMusic({ isMobile }) {
 
   return (
     <>
-      {/* Audio Element */}
-      <audio
-        ref={audioRef}
-        loop
-        preload="auto"
-        src="/audio/space-ambient.mp3"
-      />
-
       {/* Music Control Button */}
       <div
         style={{
@@ -79,6 +132,7 @@ const BackgroundMusic = memo(function BackgroundMusic({ isMobile }) {
               step="0.05"
               value={volume}
               onChange={handleVolumeChange}
+              aria-label="Music volume"
               style={{
                 writingMode: 'vertical-lr',
                 direction: 'rtl',
@@ -88,9 +142,29 @@ const BackgroundMusic = memo(function BackgroundMusic({ isMobile }) {
                 accentColor: '#FFD700',
               }}
             />
+            <button
+              onClick={() => setAudioSetting('muted', !muted)}
+              aria-pressed={muted}
+              aria-label="Mute"
+              title={muted ? 'Unmute' : 'Mute'}
+              style={{
+                display: 'block',
+                margin: '8px auto 0',
+                padding: 0,
+                fontSize: '14px',
+                background: 'none',
+                border: 'none',
+                cursor: 'pointer',
+              }}
+            >
+              {muted ? '🔇' : '🔊'}
+            </button>
           </div>
         )}
 
+        {/* Equalizer while playing */}
+        <EqualizerBars visible={isPlaying} />
+
         {/* Play/Pause Button */}
         <button
           onClick={togglePlay}
@@ -98,7 +172,7 @@ const BackgroundMusic = memo(function BackgroundMusic({ isMobile }) {
             width: buttonSize,
             height: buttonSize,
             borderRadius: '50%',
-            border: '2px solid rgba(255, 200, 100, 0.6)',
+            border: failed ? '2px solid rgba(255, 102, 102, 0.8)' : '2px solid rgba(255, 200, 100, 0.6)',
             background: isPlaying 
               ? 'linear-gradient(135deg, rgba(255, 170, 0, 0.3), rgba(138, 43, 226, 0.3))'
               : 'rgba(0, 0, 0, 0.5)',
@@ -122,7 +196,7 @@ const BackgroundMusic = memo(function BackgroundMusic({ isMobile }) {
               ? '0 0 20px rgba(255, 170, 0, 0.5), 0 0 40px rgba(138, 43, 226, 0.3)'
               : '0 4px 15px rgba(0, 0, 0, 0.3)'
           }}
-          title={isPlaying ? 'Pause Music' : 'Play Space Music'}
+          title={isPlaying ? 'Pause Music' : failed ? 'Try Again' : 'Play Space Music'}
         >
           {isPlaying ? (
             // Pause Icon
@@ -164,49 +238,91 @@ const BackgroundMusic = memo(function BackgroundMusic({ isMobile }) {
             textShadow: '0 0 10px rgba(255, 170, 0, 0.5)',
           }}
         >
-          {isPlaying ? '♪ Playing' : 'Music'}
+          {status === 'playing' && (muted ? 'Muted' : '♪ Playing')}
+          {status === 'loading' && 'Loading'}
+          {failed && 'Unavailable'}
+          {(status === 'stopped' || status === 'paused') && 'Music'}
         </span>
-      </div>
 
-      {/* Animated music waves when playing */}
-      {isPlaying && (
-        <div
-          style={{
-            position: 'fixed',
-            bottom: isMobile ? '225px' : '85px',
-            right: isMobile ? '22px' : '42px',
-            display: 'flex',
-            alignItems: 'flex-end',
-            gap: '3px',
-            height: '20px',
-          }}
-        >
-          {[0, 1, 2, 3].map((i) => (
-            <div
-              key={i}
-              style={{
-                width: '3px',
-                background: 'linear-gradient(to top, #FFD700, #FF6B00)',
-                borderRadius: '2px',
-                animation: `musicWave 0.8s ease-in-out infinite`,
-                animationDelay: `${i * 0.15}s`,
-              }}
-            />
-          ))}
+        {/* Previous / shuffle / next */}
+        <div style={{ display: 'flex', gap: '6px' }}>
+          <button
+            onClick={previousTrack}
+            aria-label="Previous track"
+            title="Previous track"
+            style={transportButtonStyle(false)}
+          >
+            ⏮
+          </button>
+          <button
+            onClick={toggleShuffle}
+            aria-pressed={shuffle}
+            aria-label="Shuffle"
+            title={shuffle ? 'Shuffle on' : 'Shuffle off'}
+            style={transportButtonStyle(shuffle)}
+          >
+            ⇄
+          </button>
+          <button
+            onClick={nextTrack}
+            aria-label="Next track"
+            title="Next track"
+            style={transportButtonStyle(false)}
+          >
+            ⏭
+          </button>
         </div>
-      )}
-
-      {/* CSS Animation */}
-      <style>{`
-        @keyframes musicWave {
-          0%, 100% {
-            height: 5px;
-          }
-          50% {
-            height: 18px;
-          }
-        }
-      `}</style>
+
+        {/* Now playing */}
+        {status !== 'stopped' && (
+          <div
+            aria-live="polite"
+            style={{
+              maxWidth: isMobile ? '110px' : '150px',
+              textAlign: 'center',
+              fontFamily: 'sans-serif',
+              fontSize: isMobile ? '9px' : '11px',
+              color: 'rgba(255, 255, 255, 0.8)',
+            }}
+          >
+            <div style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={track.title}>
+              {track.title}
+            </div>
+            {(track.artist || track.credit) && (
+              <div style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', color: 'rgba(255, 200, 100, 0.6)' }}>
+                {track.creditUrl ? (
+                  <a
+                    href={track.creditUrl}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    title={track.credit}
+                    style={{ color: 'inherit' }}
+                  >
+                    {track.artist ?? track.credit}
+                  </a>
+                ) : (
+                  <span title={track.credit}>{track.artist ?? track.credit}</span>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
+        {error && (
+          <div
+            role="alert"
+            style={{
+              maxWidth: isMobile ? '110px' : '150px',
+              textAlign: 'center',
+              fontFamily: 'sans-serif',
+              fontSize: isMobile ? '9px' : '11px',
+              color: '#ff6666',
+            }}
+          >
+            {error}
+          </div>
+        )}
+      </div>
     </>
   )
 })
@@ -0,0 +1,185 @@
+/**
+ * Case Study
+ * Detail view for one project from a "project-list" section
+ *
+ * SpaceModal swaps this in for the planet's sections when a project
+ * card is opened; onBack returns to the list.
+ */
+
+import { memo, useState } from 'react'
+
+// ============================================
+// SHARED PIECES
+// ============================================
+
+const CaseStudySection = memo(function CaseStudySection({ title, color, isMobile, children }) {
+  return (
+    <div style={{ textAlign: 'left' }}>
+      <h4 style={{ color, margin: '0 0 10px 0', fontSize: isMobile ? '15px' : '17px' }}>
+        {title}
+      </h4>
+      {children}
+    </div>
+  )
+})
+
+// ============================================
+// GALLERY
+// ============================================
+
+const Gallery = memo(function Gallery({ images, color, isMobile }) {
+  const [selected, setSelected] = useState(0)
+  const image = images[selected]
+
+  return (
+    <figure style={{ margin: 0 }}>
+      <div style={{
+        aspectRatio: '16 / 10',
+        background: `${color}22`,
+        border: `1px solid ${color}44`,
+        borderRadius: '12px',
+        overflow: 'hidden',
+      }}>
+        <img
+          src={image.src}
+          alt={image.caption}
+          style={{ width: '100%', height: '100%', objectFit: 'cover', display: 'block' }}
+        />
+      </div>
+      <figcaption style={{ marginTop: '8px', fontSize: isMobile ? '11px' : '12px', opacity: 0.6 }}>
+        {image.caption}
+      </figcaption>
+
+      {/* Thumbnails */}
+      {images.length > 1 && (
+        <div style={{ display: 'flex', gap: '8px', justifyContent: 'center', marginTop: '12px' }}>
+          {images.map((item, i) => (
+            <button
+              key={item.src}
+              onClick={() => setSelected(i)}
+              aria-label={`Show image ${i + 1}: ${item.caption}`}
+              aria-pressed={i === selected}
+              style={{
+                width: isMobile ? '56px' : '72px',
+                aspectRatio: '16 / 10',
+                padding: 0,
+                border: `2px solid ${i === selected ? color : 'transparent'}`,
+                borderRadius: '6px',
+                overflow: 'hidden',
+                background: 'none',
+                opacity: i === selected ? 1 : 0.6,
+                transition: 'all 0.2s ease',
+              }}
+            >
+              <img
+                src={item.src}
+                alt=""
+                loading="lazy"
+                style={{ width: '100%', height: '100%', objectFit: 'cover', display: 'block' }}
+              />
+            </button>
+          ))}
+        </div>
+      )}
+    </figure>
+  )
+})
+
+// ============================================
+// CASE STUDY
+// ============================================
+
+const CaseStudy = memo(function CaseStudy({ project, color, isMobile, onBack }) {
+  const { caseStudy } = project
+  const textStyle = { margin: 0, fontSize: isMobile ? '13px' : '15px', lineHeight: 1.7, opacity: 0.85 }
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '24px' }}>
+      {/* Back to project list */}
+      <button
+        onClick={onBack}
+        style={{
+          alignSelf: 'flex-start',
+          padding: '8px 16px',
+          background: 'rgba(255,255,255,0.1)',
+          border: `1px solid ${color}66`,
+          borderRadius: '20px',
+          color: '#fff',
+          fontSize: isMobile ? '11px' : '12px',
+          fontFamily: '"Orbitron", sans-serif',
+        }}
+      >
+        ← All Projects
+      </button>
+
+      {/* Header */}
+      <div>
+        <h3 style={{ margin: '0 0 6px 0', color, fontSize: isMobile ? '20px' : '24px' }}>{project.title}</h3>
+        <div style={{ fontSize: isMobile ? '12px' : '13px', opacity: 0.6 }}>{project.role}</div>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', justifyContent: 'center', marginTop: '12px' }}>
+          {project.tags.map((tag, i) => (
+            <span key={i} style={{
+              padding: '4px 10px',
+              background: `${color}33`,
+              border: `1px solid ${color}66`,
+              borderRadius: '12px',
+              fontSize: isMobile ? '10px' : '11px',
+              color,
+            }}>
+              {tag}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      <Gallery images={caseStudy.gallery} color={color} isMobile={isMobile} />
+
+      {/* Outcome metrics */}
+      {project.metrics?.length > 0 && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '24px', justifyContent: 'center' }}>
+          {project.metrics.map((metric, i) => (
+            <div key={i}>
+              <div style={{ fontSize: isMobile ? '22px' : '28px', fontWeight: 'bold', color }}>{metric.value}</div>
+              <div style={{ fontSize: isMobile ? '11px' : '12px', opacity: 0.6 }}>{metric.label}</div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <CaseStudySection title="🧩 Problem" color={color} isMobile={isMobile}>
+        <p style={textStyle}>{caseStudy.problem}</p>
+      </CaseStudySection>
+
+      <CaseStudySection title="🛠️ Process" color={color} isMobile={isMobile}>
+        <ol style={{ ...textStyle, paddingLeft: '20px', lineHeight: 1.8 }}>
+          {caseStudy.process.map((step, i) => (
+            <li key={i}>{step}</li>
+          ))}
+        </ol>
+      </CaseStudySection>
+
+      <CaseStudySection title="🚀 Result" color={color} isMobile={isMobile}>
+        <p style={textStyle}>{caseStudy.result}</p>
+      </CaseStudySection>
+
+      {/* External links */}
+      {project.links?.length > 0 && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '16px', justifyContent: 'center' }}>
+          {project.links.map((link, i) => (
+            <a
+              key={i}
+              href={link.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              style={{ color, fontSize: isMobile ? '13px' : '14px' }}
+            >
+              {link.label} ↗
+            </a>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+})
+
+export default CaseStudy
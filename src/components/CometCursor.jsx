@@ -1,4 +1,5 @@
 import { useEffect, useRef } from 'react'
+import { isMotionReduced } from '../hooks/useReducedMotion'
 
 const CometCursor = () => {
   const cursorRef = useRef(null)
@@ -135,12 +136,14 @@ const CometCursor = () => {
     // Check if touch device
     const isTouchDevice = 'ontouchstart' in window || navigator.maxTouchPoints > 0
     
-    // Click blast effect for all devices
+    // Click blast effect for all devices (skipped when motion is reduced)
     const handleClick = (e) => {
+      if (isMotionReduced()) return
       createBlast(e.clientX, e.clientY)
     }
     
     const handleTouchStart = (e) => {
+      if (isMotionReduced()) return
       if (e.touches.length > 0) {
         createBlast(e.touches[0].clientX, e.touches[0].clientY)
       }
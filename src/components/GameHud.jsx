@@ -0,0 +1,82 @@
+import { memo } from 'react'
+import { SHIELD_MAX, START_LIVES } from '../game/simulation'
+import { POWER_UP_STYLES } from '../game/powerUpStyles'
+
+const pipStyle = (on, color) => ({
+  width: '14px',
+  height: '6px',
+  borderRadius: '3px',
+  background: on ? color : 'rgba(255, 255, 255, 0.15)',
+  boxShadow: on ? `0 0 6px ${color}` : 'none',
+})
+
+// Lives, shield charge and running power-up timers of one player
+// hud: { lives, shield, effects: [{ type, remaining (0-1), seconds }], score, out }
+// Two-player games show a HUD per player, labelled with its score -
+// player 1's on the left under the pause and mute buttons.
+const GameHud = memo(function GameHud({ hud, label, color, align = 'right', isMobile }) {
+  const left = align === 'left'
+  return (
+    <div
+      style={{
+        position: 'absolute',
+        top: left ? '120px' : isMobile ? '55px' : '65px',
+        [align]: '20px',
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: left ? 'flex-start' : 'flex-end',
+        gap: '8px',
+        color: '#fff',
+        fontFamily: '"Orbitron", sans-serif',
+        fontSize: isMobile ? '10px' : '12px',
+        zIndex: 110,
+        pointerEvents: 'none',
+      }}
+    >
+      {label && (
+        <div style={{ color, opacity: hud.out ? 0.4 : 1 }}>
+          {label} {hud.out ? 'OUT' : hud.score}
+        </div>
+      )}
+
+      {/* Lives */}
+      <div aria-label={`${hud.lives} lives left`} style={{ fontSize: isMobile ? '16px' : '20px', letterSpacing: '4px' }}>
+        {Array.from({ length: START_LIVES }, (_, i) => (
+          <span key={i} style={{ color: i < hud.lives ? '#ff4466' : 'rgba(255, 255, 255, 0.15)' }}>♥</span>
+        ))}
+      </div>
+
+      {/* Shield */}
+      <div aria-label={`Shield ${hud.shield} of ${SHIELD_MAX}`} style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+        <span style={{ marginRight: '4px', color: 'rgba(0, 255, 255, 0.8)' }}>SHIELD</span>
+        {Array.from({ length: SHIELD_MAX }, (_, i) => (
+          <span key={i} style={pipStyle(i < hud.shield, '#00ffff')} />
+        ))}
+      </div>
+
+      {/* Timed power-ups */}
+      {hud.effects.map(({ type, remaining, seconds }) => {
+        const { label, color } = POWER_UP_STYLES[type]
+        return (
+          <div key={type} style={{ width: isMobile ? '110px' : '140px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', color }}>
+              <span>{label}</span>
+              <span>{seconds}s</span>
+            </div>
+            <div style={{ height: '4px', marginTop: '3px', borderRadius: '2px', background: 'rgba(255, 255, 255, 0.15)' }}>
+              <div style={{
+                width: `${remaining * 100}%`,
+                height: '100%',
+                borderRadius: '2px',
+                background: color,
+                boxShadow: `0 0 6px ${color}`,
+              }} />
+            </div>
+          </div>
+        )
+      })}
+    </div>
+  )
+})
+
+export default GameHud
@@ -0,0 +1,227 @@
+import { memo, useEffect, useState } from 'react'
+import { KEYS_PER_ACTION, PLAYER_BINDINGS, bindPlayerKey, keyLabel, unbindKey } from '../game/controls'
+import { resetBindings, setGameSetting, useGameSettings } from '../hooks/useGameSettings'
+import { setAudioSetting, useAudioSettings } from '../hooks/useAudioSettings'
+
+const rowStyle = (isMobile) => ({
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'space-between',
+  gap: '16px',
+  width: isMobile ? '280px' : '360px',
+  padding: '10px 14px',
+  boxSizing: 'border-box',
+  fontSize: isMobile ? '11px' : '13px',
+  fontFamily: '"Orbitron", sans-serif',
+  textAlign: 'left',
+  color: '#fff',
+  background: 'rgba(0, 0, 0, 0.4)',
+  border: '1px solid rgba(0, 255, 255, 0.25)',
+  borderRadius: '10px',
+})
+
+const keyButtonStyle = (listening) => ({
+  minWidth: '54px',
+  padding: '4px 8px',
+  fontFamily: 'monospace',
+  fontSize: '12px',
+  color: listening ? '#000' : '#fff',
+  background: listening ? '#ffcc00' : 'rgba(255, 255, 255, 0.1)',
+  border: '1px solid rgba(255, 255, 255, 0.3)',
+  borderRadius: '6px',
+  cursor: 'pointer',
+})
+
+const textButtonStyle = {
+  padding: '8px 16px',
+  fontFamily: '"Orbitron", sans-serif',
+  fontSize: '12px',
+  color: '#fff',
+  background: 'rgba(255, 255, 255, 0.08)',
+  border: '1px solid rgba(255, 255, 255, 0.3)',
+  borderRadius: '20px',
+  cursor: 'pointer',
+}
+
+const sectionTitleStyle = (isMobile) => ({
+  margin: '10px 0 2px',
+  color: 'rgba(0, 255, 255, 0.9)',
+  fontFamily: '"Orbitron", sans-serif',
+  fontSize: isMobile ? '12px' : '14px',
+  letterSpacing: '2px',
+})
+
+// One on/off setting
+const SettingToggle = memo(function SettingToggle({ label, checked, onLabel = 'ON', offLabel = 'OFF', onChange, isMobile }) {
+  return (
+    <button
+      role="switch"
+      aria-checked={checked}
+      onClick={() => onChange(!checked)}
+      style={{ ...rowStyle(isMobile), cursor: 'pointer' }}
+    >
+      <span>{label}</span>
+      <span style={{ color: checked ? '#00ffff' : 'rgba(255, 255, 255, 0.6)' }}>{checked ? onLabel : offLabel}</span>
+    </button>
+  )
+})
+
+// 0-1 volume slider
+const VolumeSlider = memo(function VolumeSlider({ id, label, value, onChange, isMobile }) {
+  return (
+    <div style={rowStyle(isMobile)}>
+      <label htmlFor={id}>{label}</label>
+      <input
+        id={id}
+        type="range"
+        min="0"
+        max="1"
+        step="0.05"
+        value={value}
+        onChange={e => onChange(parseFloat(e.target.value))}
+        style={{ width: isMobile ? '110px' : '150px', cursor: 'pointer', accentColor: '#00ffff' }}
+      />
+    </div>
+  )
+})
+
+// Key slots for every action of `player` (index into PLAYER_BINDINGS).
+// Click a slot, then press the new key; Escape cancels, Backspace /
+// Delete clears the slot. A key bound here is taken off the other player.
+const KeyBindings = memo(function KeyBindings({ settings, player, isMobile }) {
+  const [listening, setListening] = useState(null)   // { action, slot } while waiting for a key
+  const { settingKey, actions } = PLAYER_BINDINGS[player]
+  const bindings = settings[settingKey]
+
+  useEffect(() => {
+    if (!listening) return
+
+    // Capture phase, so the game's own key handlers never see the key
+    const handleKeyDown = (e) => {
+      if (e.key === 'Tab') {
+        setListening(null)
+        return
+      }
+      e.preventDefault()
+      e.stopImmediatePropagation()
+      const { action, slot } = listening
+      if (e.key === 'Backspace' || e.key === 'Delete') {
+        setGameSetting(settingKey, unbindKey(bindings, action, slot))
+      } else if (e.key !== 'Escape') {
+        const next = bindPlayerKey(settings, player, action, slot, e.key)
+        PLAYER_BINDINGS.forEach(({ settingKey: key }) => setGameSetting(key, next[key]))
+      }
+      setListening(null)
+    }
+
+    window.addEventListener('keydown', handleKeyDown, true)
+    return () => window.removeEventListener('keydown', handleKeyDown, true)
+  }, [listening, bindings, settingKey, settings, player])
+
+  return (
+    <>
+      {actions.map(({ id, label }) => (
+        <div key={id} style={rowStyle(isMobile)}>
+          <span>{label}</span>
+          <span style={{ display: 'flex', gap: '6px' }}>
+            {Array.from({ length: KEYS_PER_ACTION }, (_, slot) => {
+              const key = bindings[id][slot]
+              const active = listening?.action === id && listening.slot === slot
+              return (
+                <button
+                  key={slot}
+                  onClick={() => setListening({ action: id, slot })}
+                  aria-label={`${label} key ${slot + 1}: ${key ? keyLabel(key) : 'none'}. Press to change`}
+                  style={keyButtonStyle(active)}
+                >
+                  {active ? '...' : key ? keyLabel(key) : '-'}
+                </button>
+              )
+            })}
+          </span>
+        </div>
+      ))}
+      <div
+        aria-live="polite"
+        style={{ minHeight: '16px', color: 'rgba(255, 255, 255, 0.5)', fontSize: '11px', fontFamily: 'sans-serif' }}
+      >
+        {listening ? 'Press a key - Esc to cancel, Backspace to clear' : 'Esc always pauses'}
+      </div>
+    </>
+  )
+})
+
+// Space Shooter settings: fire mode, auto-pause, sound, key bindings
+// and the hitbox debug view.
+// Shown in the pause menu and on the start screen.
+const GameSettings = memo(function GameSettings({ onDone, isMobile }) {
+  const settings = useGameSettings()
+  const audio = useAudioSettings()
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '8px' }}>
+      <SettingToggle
+        label="Fire mode"
+        checked={settings.fireMode === 'auto'}
+        onLabel="AUTO"
+        offLabel="MANUAL"
+        onChange={auto => setGameSetting('fireMode', auto ? 'auto' : 'manual')}
+        isMobile={isMobile}
+      />
+      <SettingToggle
+        label="Pause when the tab or window loses focus"
+        checked={settings.autoPause}
+        onChange={value => setGameSetting('autoPause', value)}
+        isMobile={isMobile}
+      />
+
+      <h3 style={sectionTitleStyle(isMobile)}>SOUND</h3>
+      <SettingToggle
+        label="Sound"
+        checked={!audio.muted}
+        offLabel="MUTED"
+        onChange={on => setAudioSetting('muted', !on)}
+        isMobile={isMobile}
+      />
+      <VolumeSlider
+        id="game-sfx-volume"
+        label="Effects"
+        value={audio.sfxVolume}
+        onChange={value => setAudioSetting('sfxVolume', value)}
+        isMobile={isMobile}
+      />
+      <VolumeSlider
+        id="game-music-volume"
+        label="Music"
+        value={audio.musicVolume}
+        onChange={value => setAudioSetting('musicVolume', value)}
+        isMobile={isMobile}
+      />
+
+      <h3 style={sectionTitleStyle(isMobile)}>KEYS</h3>
+      <KeyBindings settings={settings} player={0} isMobile={isMobile} />
+      <h3 style={sectionTitleStyle(isMobile)}>PLAYER 2 KEYS</h3>
+      <KeyBindings settings={settings} player={1} isMobile={isMobile} />
+      <div style={{ color: 'rgba(255, 255, 255, 0.5)', fontSize: '11px', fontFamily: 'sans-serif', textAlign: 'center' }}>
+        Gamepad: left stick or d-pad to move, A or right trigger to fire, Start to pause.
+        <br />
+        Two players: a single gamepad is player 2, with two the first is player 1.
+      </div>
+
+      <h3 style={sectionTitleStyle(isMobile)}>DEBUG</h3>
+      <SettingToggle
+        label="Show hitboxes"
+        checked={settings.showHitboxes}
+        onChange={value => setGameSetting('showHitboxes', value)}
+        isMobile={isMobile}
+      />
+
+      <div style={{ display: 'flex', gap: '10px', marginTop: '8px' }}>
+        <button onClick={resetBindings} style={textButtonStyle}>RESET KEYS</button>
+        <button onClick={onDone} style={textButtonStyle}>DONE</button>
+      </div>
+    </div>
+  )
+})
+
+export default GameSettings
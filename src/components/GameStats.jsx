@@ -0,0 +1,111 @@
+import { memo, useState } from 'react'
+import { ACHIEVEMENTS, accuracy } from '../game/achievements'
+import { resetGameStats, useGameStats } from '../hooks/useGameStats'
+
+const formatTime = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+
+const formatDate = (iso) => new Date(iso).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })
+
+const headingStyle = (isMobile) => ({
+  margin: '0 0 10px',
+  fontFamily: '"Orbitron", sans-serif',
+  fontSize: isMobile ? '14px' : '16px',
+  letterSpacing: '2px',
+  color: 'rgba(0, 255, 255, 0.9)',
+})
+
+// One labelled number in the stats grid
+const Stat = memo(function Stat({ label, value }) {
+  return (
+    <div style={{ padding: '6px 8px', background: 'rgba(0, 0, 0, 0.3)', borderRadius: '6px' }}>
+      <div style={{ fontSize: '16px', color: '#fff' }}>{value}</div>
+      <div style={{ fontSize: '10px', color: 'rgba(255, 255, 255, 0.5)', letterSpacing: '1px' }}>{label}</div>
+    </div>
+  )
+})
+
+// Lifetime stats and the achievement list, on the start screen
+const GameStats = memo(function GameStats({ isMobile }) {
+  const { lifetime, unlocked } = useGameStats()
+  const [confirmReset, setConfirmReset] = useState(false)
+  const hitRate = accuracy(lifetime)
+  const unlockedCount = ACHIEVEMENTS.filter(({ id }) => unlocked[id]).length
+
+  const handleReset = () => {
+    if (confirmReset) resetGameStats()
+    setConfirmReset(!confirmReset)
+  }
+
+  return (
+    <div style={{
+      marginTop: '30px',
+      padding: isMobile ? '12px' : '16px 20px',
+      maxWidth: '420px',
+      background: 'rgba(0, 20, 40, 0.6)',
+      border: '1px solid rgba(0, 255, 255, 0.25)',
+      borderRadius: '12px',
+      color: '#fff',
+      fontFamily: 'monospace',
+      fontSize: isMobile ? '11px' : '13px',
+    }}>
+      <h2 style={headingStyle(isMobile)}>STATS</h2>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '6px' }}>
+        <Stat label="GAMES" value={lifetime.gamesPlayed} />
+        <Stat label="ROCKS" value={lifetime.destroyed} />
+        <Stat label="ACCURACY" value={hitRate === null ? '-' : `${Math.round(hitRate * 100)}%`} />
+        <Stat label="LONGEST" value={formatTime(lifetime.longestSeconds)} />
+        <Stat label="BEST STREAK" value={lifetime.bestStreak} />
+        <Stat label="BEST LEVEL" value={lifetime.highestLevel || '-'} />
+      </div>
+
+      <h2 style={{ ...headingStyle(isMobile), marginTop: '16px' }}>
+        ACHIEVEMENTS {unlockedCount}/{ACHIEVEMENTS.length}
+      </h2>
+      <ul style={{ listStyle: 'none', margin: 0, padding: 0, textAlign: 'left' }}>
+        {ACHIEVEMENTS.map(({ id, title, description }) => {
+          const date = unlocked[id]
+          return (
+            <li
+              key={id}
+              style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                gap: '10px',
+                padding: '4px 0',
+                opacity: date ? 1 : 0.45,
+              }}
+            >
+              <span>
+                <span style={{ color: date ? '#ffcc00' : '#fff' }}>{date ? '★' : '☆'} {title}</span>
+                <span style={{ display: 'block', paddingLeft: '18px', color: 'rgba(255, 255, 255, 0.6)' }}>
+                  {description}
+                </span>
+              </span>
+              {date && <span style={{ whiteSpace: 'nowrap', color: 'rgba(255, 255, 255, 0.5)' }}>{formatDate(date)}</span>}
+            </li>
+          )
+        })}
+      </ul>
+
+      <button
+        onClick={handleReset}
+        onBlur={() => setConfirmReset(false)}
+        style={{
+          marginTop: '12px',
+          padding: '4px 12px',
+          fontFamily: '"Orbitron", sans-serif',
+          fontSize: '11px',
+          color: confirmReset ? '#ff6666' : 'rgba(255, 255, 255, 0.6)',
+          background: 'none',
+          border: `1px solid ${confirmReset ? '#ff6666' : 'rgba(255, 255, 255, 0.3)'}`,
+          borderRadius: '12px',
+          cursor: 'pointer',
+        }}
+      >
+        {confirmReset ? 'PRESS AGAIN TO RESET' : 'RESET STATS'}
+      </button>
+    </div>
+  )
+})
+
+export default GameStats
@@ -0,0 +1,122 @@
+import { memo, useRef, useState } from 'react'
+import { useFrame } from '@react-three/fiber'
+import { SHIP_Y } from '../game/simulation'
+import { ASTEROID_TYPES, ASTEROID_TYPE_NAMES } from '../game/levels'
+import { BOSS_HALF_HEIGHT, BOSS_HALF_WIDTH, BULLET_RADIUS, SHIP_SHAPE, asteroidRadius } from '../game/collision'
+import { ASTEROID_CAPACITY, BULLET_CAPACITY } from '../game/world'
+
+const CIRCLE_SEGMENTS = 20
+// Outlines are drawn as line pairs: every circle costs two vertices a
+// segment. A few circles' worth on top covers the ship and the boss.
+const MAX_VERTICES = (ASTEROID_CAPACITY + BULLET_CAPACITY + 8) * CIRCLE_SEGMENTS * 2
+
+const TYPE_SIZES = ASTEROID_TYPE_NAMES.map(type => ASTEROID_TYPES[type].size)
+
+const lerp = (from, to, alpha) => from + (to - from) * alpha
+
+// Appends line segments to a position buffer
+function createWriter(positions) {
+  let count = 0
+  const line = (ax, ay, bx, by) => {
+    if (count + 2 > MAX_VERTICES) return
+    // z stays 0, the game's plane - depthTest off keeps the lines on top
+    const i = count * 3
+    positions[i] = ax
+    positions[i + 1] = ay
+    positions[i + 3] = bx
+    positions[i + 4] = by
+    count += 2
+  }
+  const circle = (x, y, radius) => {
+    for (let i = 0; i < CIRCLE_SEGMENTS; i++) {
+      const a0 = (i / CIRCLE_SEGMENTS) * Math.PI * 2
+      const a1 = ((i + 1) / CIRCLE_SEGMENTS) * Math.PI * 2
+      line(x + Math.cos(a0) * radius, y + Math.sin(a0) * radius, x + Math.cos(a1) * radius, y + Math.sin(a1) * radius)
+    }
+  }
+  return { line, circle, count: () => count }
+}
+
+// Outline of each part of the ship's compound shape
+function drawShip(draw, x, y) {
+  SHIP_SHAPE.forEach((part) => {
+    if (part.type === 'circle') {
+      draw.circle(x + part.x, y + part.y, part.radius)
+    } else if (part.type === 'capsule') {
+      // The capsule's core segment and its end caps
+      draw.line(x + part.ax, y + part.ay, x + part.bx, y + part.by)
+      draw.circle(x + part.ax, y + part.ay, part.radius)
+      draw.circle(x + part.bx, y + part.by, part.radius)
+    } else {
+      part.points.forEach(([ax, ay], i) => {
+        const [bx, by] = part.points[(i + 1) % part.points.length]
+        draw.line(x + ax, y + ay, x + bx, y + by)
+      })
+    }
+  })
+}
+
+// Debug view of the collision shapes (collision.js), drawn over the
+// entities they belong to. Turned on under Settings.
+const HitboxOverlay = memo(function HitboxOverlay({ gameRef, alphaRef }) {
+  const geometryRef = useRef()
+  const [positions] = useState(() => new Float32Array(MAX_VERTICES * 3))
+
+  useFrame(() => {
+    const geometry = geometryRef.current
+    const game = gameRef.current
+    if (!geometry) return
+    if (!game) {
+      geometry.setDrawRange(0, 0)
+      return
+    }
+
+    const alpha = alphaRef.current
+    const draw = createWriter(positions)
+    const { asteroids, bullets } = game.world
+
+    for (let i = 0; i < asteroids.count; i++) {
+      draw.circle(
+        lerp(asteroids.prevX[i], asteroids.x[i], alpha),
+        lerp(asteroids.prevY[i], asteroids.y[i], alpha),
+        asteroidRadius(TYPE_SIZES[asteroids.type[i]], asteroids.health[i], asteroids.maxHealth[i]),
+      )
+    }
+    for (let i = 0; i < bullets.count; i++) {
+      draw.circle(lerp(bullets.prevX[i], bullets.x[i], alpha), lerp(bullets.prevY[i], bullets.y[i], alpha), BULLET_RADIUS)
+    }
+    if (!game.over) {
+      game.players.forEach((player) => {
+        if (!player.out) drawShip(draw, lerp(player.prevX, player.x, alpha), SHIP_Y)
+      })
+    }
+
+    const { boss } = game
+    if (boss) {
+      const x = lerp(boss.prevX, boss.x, alpha)
+      const y = lerp(boss.prevY, boss.y, alpha)
+      const left = x - BOSS_HALF_WIDTH
+      const right = x + BOSS_HALF_WIDTH
+      const top = y + BOSS_HALF_HEIGHT
+      const bottom = y - BOSS_HALF_HEIGHT
+      draw.line(left, top, right, top)
+      draw.line(right, top, right, bottom)
+      draw.line(right, bottom, left, bottom)
+      draw.line(left, bottom, left, top)
+    }
+
+    geometry.setDrawRange(0, draw.count())
+    geometry.attributes.position.needsUpdate = true
+  })
+
+  return (
+    <lineSegments frustumCulled={false} renderOrder={10}>
+      <bufferGeometry ref={geometryRef}>
+        <bufferAttribute attach="attributes-position" args={[positions, 3]} />
+      </bufferGeometry>
+      <lineBasicMaterial color="#00ff66" depthTest={false} transparent opacity={0.9} />
+    </lineSegments>
+  )
+})
+
+export default HitboxOverlay
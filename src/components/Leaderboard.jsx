@@ -0,0 +1,148 @@
+import { memo, useState } from 'react'
+import { cleanInitials } from '../game/leaderboard'
+
+const formatTime = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+
+const formatDate = (iso) => new Date(iso).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })
+
+const cellStyle = {
+  padding: '4px 8px',
+  textAlign: 'right',
+  whiteSpace: 'nowrap',
+}
+
+// Initials form shown when the last run made the table
+const InitialsEntry = memo(function InitialsEntry({ score, onSubmit, isMobile }) {
+  const [initials, setInitials] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!initials || saving) return
+    setSaving(true)
+    onSubmit(initials)
+  }
+
+  return (
+    <form onSubmit={handleSubmit} style={{ marginBottom: '14px' }}>
+      <label
+        htmlFor="leaderboard-initials"
+        style={{ display: 'block', marginBottom: '8px', color: '#ffcc00' }}
+      >
+        NEW HIGH SCORE: {score} - ENTER YOUR INITIALS
+      </label>
+      <input
+        id="leaderboard-initials"
+        value={initials}
+        onChange={(e) => setInitials(cleanInitials(e.target.value))}
+        maxLength={3}
+        autoFocus
+        autoComplete="off"
+        spellCheck={false}
+        style={{
+          width: isMobile ? '70px' : '90px',
+          padding: '6px 8px',
+          marginRight: '8px',
+          fontFamily: '"Orbitron", sans-serif',
+          fontSize: isMobile ? '16px' : '20px',
+          letterSpacing: '6px',
+          textAlign: 'center',
+          color: '#fff',
+          background: 'rgba(0, 0, 0, 0.6)',
+          border: '1px solid rgba(255, 204, 0, 0.6)',
+          borderRadius: '6px',
+        }}
+      />
+      <button
+        type="submit"
+        disabled={!initials || saving}
+        style={{
+          padding: '8px 16px',
+          fontFamily: '"Orbitron", sans-serif',
+          fontSize: '12px',
+          color: '#000',
+          background: '#ffcc00',
+          border: 'none',
+          borderRadius: '6px',
+          cursor: initials && !saving ? 'pointer' : 'default',
+          opacity: initials && !saving ? 1 : 0.5,
+        }}
+      >
+        SAVE
+      </button>
+    </form>
+  )
+})
+
+// Top 10 table for the Space Shooter start and game-over screens
+// scores: null while loading; highlightDate marks the run just saved;
+// pendingScore (with onSubmitInitials) asks for initials first
+const Leaderboard = memo(function Leaderboard({ scores, highlightDate, pendingScore, onSubmitInitials, isMobile }) {
+  return (
+    <div style={{
+      marginTop: '30px',
+      padding: isMobile ? '12px' : '16px 20px',
+      background: 'rgba(0, 20, 40, 0.6)',
+      border: '1px solid rgba(0, 255, 255, 0.25)',
+      borderRadius: '12px',
+      color: '#fff',
+      fontFamily: 'monospace',
+      fontSize: isMobile ? '11px' : '13px',
+    }}>
+      <h2 style={{
+        margin: '0 0 10px',
+        fontFamily: '"Orbitron", sans-serif',
+        fontSize: isMobile ? '14px' : '16px',
+        letterSpacing: '2px',
+        color: 'rgba(0, 255, 255, 0.9)',
+      }}>
+        HIGH SCORES
+      </h2>
+
+      {pendingScore != null && (
+        <InitialsEntry score={pendingScore} onSubmit={onSubmitInitials} isMobile={isMobile} />
+      )}
+
+      {scores === null && <div style={{ opacity: 0.6 }}>Loading scores...</div>}
+      {scores?.length === 0 && <div style={{ opacity: 0.6 }}>No scores yet - be the first!</div>}
+
+      {scores?.length > 0 && (
+        <table style={{ borderCollapse: 'collapse', margin: '0 auto' }}>
+          <thead>
+            <tr style={{ color: 'rgba(255, 255, 255, 0.5)' }}>
+              <th style={cellStyle} scope="col">#</th>
+              <th style={{ ...cellStyle, textAlign: 'left' }} scope="col">NAME</th>
+              <th style={cellStyle} scope="col">SCORE</th>
+              <th style={cellStyle} scope="col">TIME</th>
+              <th style={cellStyle} scope="col">ROCKS</th>
+              {!isMobile && <th style={cellStyle} scope="col">DATE</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {scores.map((entry, i) => {
+              const mine = entry.date === highlightDate
+              return (
+                <tr
+                  key={`${entry.date}-${i}`}
+                  style={{
+                    color: mine ? '#ffcc00' : '#fff',
+                    textShadow: mine ? '0 0 8px rgba(255, 204, 0, 0.8)' : 'none',
+                  }}
+                >
+                  <td style={cellStyle}>{i + 1}</td>
+                  <td style={{ ...cellStyle, textAlign: 'left' }}>{entry.initials}</td>
+                  <td style={cellStyle}>{entry.score}</td>
+                  <td style={cellStyle}>{formatTime(entry.seconds)}</td>
+                  <td style={cellStyle}>{entry.destroyed}</td>
+                  {!isMobile && <td style={cellStyle}>{formatDate(entry.date)}</td>}
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+})
+
+export default Leaderboard
@@ -0,0 +1,105 @@
+import { memo } from 'react'
+
+const BOSS_COLOR = '#ff3366'
+
+// Level and wave label, the boss health bar, and the intermission
+// screen between levels
+// level: { number, name, phase, wave, waves, bossLevel, countdown,
+//          boss: null | { name, health (0-1) } }
+const LevelHud = memo(function LevelHud({ level, isMobile }) {
+  if (!level) return null
+  const { number, name, phase, wave, waves, bossLevel, countdown, boss } = level
+
+  return (
+    <>
+      {/* Level / wave label */}
+      <div style={{
+        position: 'absolute',
+        top: isMobile ? '70px' : '24px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        color: 'rgba(255, 255, 255, 0.8)',
+        fontFamily: '"Orbitron", sans-serif',
+        fontSize: isMobile ? '11px' : '13px',
+        letterSpacing: '2px',
+        whiteSpace: 'nowrap',
+        zIndex: 110,
+        pointerEvents: 'none',
+      }}>
+        LEVEL {number}
+        {phase === 'waves' && ` • WAVE ${wave}/${waves}`}
+        {phase === 'boss' && ' • BOSS'}
+      </div>
+
+      {/* Boss health */}
+      {boss && (
+        <div
+          role="meter"
+          aria-label={`${boss.name} health`}
+          aria-valuemin={0}
+          aria-valuemax={100}
+          aria-valuenow={Math.round(boss.health * 100)}
+          style={{
+            position: 'absolute',
+            top: isMobile ? '90px' : '48px',
+            left: '50%',
+            transform: 'translateX(-50%)',
+            width: isMobile ? '60%' : '360px',
+            color: BOSS_COLOR,
+            fontFamily: '"Orbitron", sans-serif',
+            fontSize: isMobile ? '10px' : '12px',
+            textAlign: 'center',
+            zIndex: 110,
+            pointerEvents: 'none',
+          }}
+        >
+          <div style={{ marginBottom: '4px', textShadow: `0 0 8px ${BOSS_COLOR}` }}>{boss.name.toUpperCase()}</div>
+          <div style={{ height: '8px', borderRadius: '4px', background: 'rgba(255, 255, 255, 0.15)' }}>
+            <div style={{
+              width: `${boss.health * 100}%`,
+              height: '100%',
+              borderRadius: '4px',
+              background: BOSS_COLOR,
+              boxShadow: `0 0 8px ${BOSS_COLOR}`,
+              transition: 'width 0.15s',
+            }} />
+          </div>
+        </div>
+      )}
+
+      {/* Intermission */}
+      {phase === 'intermission' && (
+        <div
+          role="status"
+          style={{
+            position: 'absolute',
+            top: '40%',
+            left: '50%',
+            transform: 'translate(-50%, -50%)',
+            textAlign: 'center',
+            color: '#fff',
+            fontFamily: '"Orbitron", sans-serif',
+            zIndex: 110,
+            pointerEvents: 'none',
+          }}
+        >
+          <div style={{
+            fontSize: isMobile ? '28px' : '44px',
+            textShadow: bossLevel ? `0 0 20px ${BOSS_COLOR}` : '0 0 20px rgba(0, 255, 255, 0.8)',
+            color: bossLevel ? BOSS_COLOR : '#fff',
+          }}>
+            {bossLevel ? 'BOSS INCOMING' : `LEVEL ${number}`}
+          </div>
+          <div style={{ marginTop: '10px', fontSize: isMobile ? '14px' : '18px', letterSpacing: '3px', opacity: 0.8 }}>
+            {name.toUpperCase()}
+          </div>
+          <div style={{ marginTop: '16px', fontSize: isMobile ? '20px' : '28px', color: 'rgba(0, 255, 255, 0.9)' }}>
+            {countdown}
+          </div>
+        </div>
+      )}
+    </>
+  )
+})
+
+export default LevelHud
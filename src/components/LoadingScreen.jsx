@@ -0,0 +1,126 @@
+import { memo, useEffect, useState } from 'react'
+import { preloadModels } from '../three/assets'
+import { useAssetProgress } from '../hooks/useAssetProgress'
+
+const FADE_MS = 600
+const HOLD_MS = 300            // Let the bar reach 100% before fading
+const FAILED_HOLD_MS = 2000    // Time to read the fallback notice
+
+const LABELS = {
+  avatar: 'avatar',
+  asteroid: 'asteroids',
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+function listNames(names) {
+  return names.map(name => LABELS[name] ?? name).join(' and ')
+}
+
+// Full-screen cover shown while the GLB models download
+const LoadingScreen = memo(function LoadingScreen() {
+  const { loaded, total, done, retrying, failed } = useAssetProgress()
+  const [phase, setPhase] = useState('loading')   // 'loading' | 'leaving' | 'gone'
+
+  useEffect(() => {
+    preloadModels()
+  }, [])
+
+  useEffect(() => {
+    if (!done) return
+    const hold = failed.length ? FAILED_HOLD_MS : HOLD_MS
+    const leave = setTimeout(() => setPhase('leaving'), hold)
+    const hide = setTimeout(() => setPhase('gone'), hold + FADE_MS)
+    return () => {
+      clearTimeout(leave)
+      clearTimeout(hide)
+    }
+  }, [done, failed.length])
+
+  if (phase === 'gone') return null
+
+  const percent = done ? 100 : (total ? Math.min(99, Math.round((loaded / total) * 100)) : null)
+
+  let status = total ? `${formatBytes(loaded)} / ${formatBytes(total)}` : formatBytes(loaded)
+  if (retrying.length) status = `Retrying ${listNames(retrying)}...`
+  if (done && failed.length) status = `Couldn't load the ${listNames(failed)} - showing a simplified version`
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        inset: 0,
+        zIndex: 100000,
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: '18px',
+        background: 'radial-gradient(ellipse at center, #0d0d2b 0%, #000 70%)',
+        color: '#fff',
+        opacity: phase === 'leaving' ? 0 : 1,
+        transition: `opacity ${FADE_MS}ms ease`,
+        pointerEvents: phase === 'leaving' ? 'none' : 'auto',
+      }}
+    >
+      <div
+        style={{
+          fontFamily: '"Orbitron", sans-serif',
+          fontSize: '14px',
+          letterSpacing: '4px',
+          textTransform: 'uppercase',
+          color: 'rgba(100, 200, 255, 0.9)',
+          textShadow: '0 0 10px rgba(100, 200, 255, 0.5)',
+        }}
+      >
+        Launching
+      </div>
+
+      {/* Progress Bar */}
+      <div
+        role="progressbar"
+        aria-label="Loading 3D models"
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={percent ?? undefined}
+        aria-valuetext={status}
+        style={{
+          width: 'min(280px, 70vw)',
+          height: '4px',
+          borderRadius: '2px',
+          background: 'rgba(255, 255, 255, 0.1)',
+          overflow: 'hidden',
+        }}
+      >
+        <div
+          style={{
+            width: `${percent ?? 15}%`,
+            height: '100%',
+            background: 'linear-gradient(90deg, #64c8ff, #8a2be2)',
+            boxShadow: '0 0 10px rgba(100, 200, 255, 0.6)',
+            transition: 'width 0.2s ease',
+          }}
+        />
+      </div>
+
+      <div
+        aria-hidden="true"
+        style={{
+          minHeight: '16px',
+          fontSize: '12px',
+          fontFamily: 'monospace',
+          color: failed.length ? 'rgba(255, 200, 100, 0.9)' : 'rgba(255, 255, 255, 0.6)',
+          textAlign: 'center',
+          padding: '0 20px',
+        }}
+      >
+        {status}
+      </div>
+    </div>
+  )
+})
+
+export default LoadingScreen
@@ -0,0 +1,66 @@
+import { memo } from 'react'
+import { setGameSetting, useGameSettings } from '../hooks/useGameSettings'
+
+const MODES = [
+  { id: 'solo', label: '1 PLAYER' },
+  { id: 'coop', label: '2P CO-OP' },
+  { id: 'versus', label: '2P VERSUS' },
+]
+
+const optionStyle = (selected, isMobile) => ({
+  padding: isMobile ? '6px 10px' : '8px 14px',
+  fontSize: isMobile ? '11px' : '12px',
+  fontFamily: '"Orbitron", sans-serif',
+  color: selected ? '#000' : 'rgba(255, 255, 255, 0.8)',
+  background: selected ? '#00ffff' : 'rgba(255, 255, 255, 0.08)',
+  border: '1px solid rgba(0, 255, 255, 0.4)',
+  cursor: 'pointer',
+})
+
+// Solo / co-op / versus picker above the start button, saved with the
+// game settings.
+const ModeSelect = memo(function ModeSelect({ isMobile }) {
+  const { mode, sharedLives } = useGameSettings()
+
+  return (
+    <div style={{ marginBottom: '20px' }}>
+      <div role="radiogroup" aria-label="Game mode" style={{ display: 'inline-flex' }}>
+        {MODES.map(({ id, label }, i) => (
+          <button
+            key={id}
+            role="radio"
+            aria-checked={mode === id}
+            onClick={() => setGameSetting('mode', id)}
+            style={{
+              ...optionStyle(mode === id, isMobile),
+              borderRadius: i === 0 ? '16px 0 0 16px' : i === MODES.length - 1 ? '0 16px 16px 0' : 0,
+            }}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {mode === 'coop' && (
+        <div style={{ marginTop: '10px' }}>
+          <button
+            role="switch"
+            aria-checked={sharedLives}
+            onClick={() => setGameSetting('sharedLives', !sharedLives)}
+            style={{ ...optionStyle(false, isMobile), borderRadius: '16px' }}
+          >
+            LIVES: {sharedLives ? 'SHARED' : 'SEPARATE'}
+          </button>
+        </div>
+      )}
+
+      {mode === 'versus' && (
+        <div style={{ marginTop: '10px', color: 'rgba(255, 255, 255, 0.6)', fontSize: '12px', fontFamily: 'sans-serif' }}>
+          Each ship keeps to its half. Every asteroid you destroy drops into your opponent&apos;s.
+        </div>
+      )}
+    </div>
+  )
+})
+
+export default ModeSelect
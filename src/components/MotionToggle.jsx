@@ -0,0 +1,85 @@
+import { memo, useState } from 'react'
+import { setReducedMotion, useReducedMotion } from '../hooks/useReducedMotion'
+
+const MotionToggle = memo(function MotionToggle({ isMobile }) {
+  const reduced = useReducedMotion()
+  const [isHovered, setIsHovered] = useState(false)
+
+  const buttonSize = isMobile ? '40px' : '50px'
+  const iconSize = isMobile ? '18px' : '22px'
+  const accent = reduced ? 'rgba(255, 200, 100, 0.9)' : 'rgba(100, 200, 255, 0.9)'
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        bottom: isMobile ? '260px' : '115px',
+        left: isMobile ? '15px' : '30px',
+        zIndex: 100,
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'center',
+        gap: '10px',
+      }}
+    >
+      {/* Toggle Button */}
+      <button
+        onClick={() => setReducedMotion(!reduced)}
+        onMouseEnter={() => setIsHovered(true)}
+        onMouseLeave={() => setIsHovered(false)}
+        aria-pressed={reduced}
+        aria-label="Reduce motion"
+        title={reduced ? 'Motion reduced - click for full animation' : 'Reduce motion'}
+        style={{
+          width: buttonSize,
+          height: buttonSize,
+          borderRadius: '50%',
+          border: `2px solid ${reduced ? 'rgba(255, 200, 100, 0.6)' : 'rgba(100, 200, 255, 0.6)'}`,
+          background: isHovered
+            ? 'linear-gradient(135deg, rgba(100, 200, 255, 0.3), rgba(138, 43, 226, 0.2))'
+            : 'rgba(0, 0, 0, 0.5)',
+          backdropFilter: 'blur(10px)',
+          cursor: 'pointer',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          transition: 'all 0.3s ease',
+          transform: isHovered ? 'scale(1.1)' : 'scale(1)',
+          boxShadow: isHovered
+            ? '0 0 25px rgba(100, 200, 255, 0.6), 0 0 50px rgba(138, 43, 226, 0.4)'
+            : '0 4px 15px rgba(0, 0, 0, 0.3)',
+        }}
+      >
+        {reduced ? (
+          // Pause Icon
+          <svg width={iconSize} height={iconSize} viewBox="0 0 24 24" fill="none" stroke={accent} strokeWidth="2" strokeLinecap="round">
+            <line x1="9" y1="6" x2="9" y2="18" />
+            <line x1="15" y1="6" x2="15" y2="18" />
+          </svg>
+        ) : (
+          // Orbit Icon
+          <svg width={iconSize} height={iconSize} viewBox="0 0 24 24" fill="none" stroke={accent} strokeWidth="2" strokeLinecap="round">
+            <circle cx="12" cy="12" r="3" />
+            <ellipse cx="12" cy="12" rx="10" ry="4" transform="rotate(-20 12 12)" />
+          </svg>
+        )}
+      </button>
+
+      {/* Label */}
+      <span
+        style={{
+          fontSize: isMobile ? '8px' : '10px',
+          color: reduced ? 'rgba(255, 200, 100, 0.7)' : 'rgba(100, 200, 255, 0.7)',
+          textTransform: 'uppercase',
+          letterSpacing: '1px',
+          fontFamily: '"Orbitron", sans-serif',
+          textShadow: '0 0 10px rgba(100, 200, 255, 0.5)',
+        }}
+      >
+        {reduced ? 'Calm' : 'Motion'}
+      </span>
+    </div>
+  )
+})
+
+export default MotionToggle
@@ -1,9 +1,13 @@
 import { useEffect, useRef, memo } from 'react'
+import { useReducedMotion } from '../hooks/useReducedMotion'
+import { useQuality } from '../hooks/useQuality'
 
 const PI2 = Math.PI * 2
 
 export default memo(function ParticlesBackground() {
   const canvasRef = useRef(null)
+  const reducedMotion = useReducedMotion()
+  const { particles: particleCount } = useQuality()
 
   useEffect(() => {
     const canvas = canvasRef.current
@@ -14,7 +18,6 @@ export default memo(function ParticlesBackground() {
     let height = canvas.height = window.innerHeight
 
     // Create particles with pre-calculated values
-    const particleCount = 50
     const particles = new Array(particleCount)
 
     for (let i = 0; i < particleCount; i++) {
@@ -36,16 +39,15 @@ export default memo(function ParticlesBackground() {
       resizeTimeout = setTimeout(() => {
         width = canvas.width = window.innerWidth
         height = canvas.height = window.innerHeight
+        // Resizing clears the canvas - repaint the still frame
+        if (reducedMotion) draw(false)
       }, 100)
     }
 
     window.addEventListener('resize', handleResize, { passive: true })
 
-    // Animation loop with optimizations
-    let animationId
-    const animate = () => {
-      animationId = requestAnimationFrame(animate)
-
+    // Draw one frame; particles only drift when `move` is set
+    const draw = (move) => {
       // Clear canvas completely - no trailing effect
       ctx.fillStyle = '#000000'
       ctx.fillRect(0, 0, width, height)
@@ -53,24 +55,27 @@ export default memo(function ParticlesBackground() {
       // Update and draw particles
       for (let i = 0; i < particleCount; i++) {
         const p = particles[i]
-        p.x += p.speedX
-        p.y += p.speedY
 
-        // Wrap around edges
-        if (p.x > width) p.x = 0
-        else if (p.x < 0) p.x = width
-        if (p.y > height) p.y = 0
-        else if (p.y < 0) p.y = height
+        if (move) {
+          p.x += p.speedX
+          p.y += p.speedY
+
+          // Wrap around edges
+          if (p.x > width) p.x = 0
+          else if (p.x < 0) p.x = width
+          if (p.y > height) p.y = 0
+          else if (p.y < 0) p.y = height
 
-        // Gentle random wobble
-        p.speedX += (Math.random() - 0.5) * 0.02
-        p.speedY += (Math.random() - 0.5) * 0.02
+          // Gentle random wobble
+          p.speedX += (Math.random() - 0.5) * 0.02
+          p.speedY += (Math.random() - 0.5) * 0.02
 
-        // Limit speed
-        if (p.speedX > 0.5) p.speedX = 0.5
-        else if (p.speedX < -0.5) p.speedX = -0.5
-        if (p.speedY > 0.5) p.speedY = 0.5
-        else if (p.speedY < -0.5) p.speedY = -0.5
+          // Limit speed
+          if (p.speedX > 0.5) p.speedX = 0.5
+          else if (p.speedX < -0.5) p.speedX = -0.5
+          if (p.speedY > 0.5) p.speedY = 0.5
+          else if (p.speedY < -0.5) p.speedY = -0.5
+        }
 
         const glowSize = p.size * 3
 
@@ -92,14 +97,22 @@ export default memo(function ParticlesBackground() {
       }
     }
 
-    animate()
+    // Animation loop with optimizations - reduced motion paints a still frame
+    let animationId
+    const animate = () => {
+      animationId = requestAnimationFrame(animate)
+      draw(true)
+    }
+
+    if (reducedMotion) draw(false)
+    else animate()
 
     return () => {
       cancelAnimationFrame(animationId)
       clearTimeout(resizeTimeout)
       window.removeEventListener('resize', handleResize)
     }
-  }, [])
+  }, [reducedMotion, particleCount])
 
   return (
     <canvas
@@ -0,0 +1,83 @@
+import { memo, useRef, useState } from 'react'
+import GameSettings from './GameSettings'
+import { useFocusTrap } from '../hooks/useFocusTrap'
+
+const menuButtonStyle = (isMobile, primary = false) => ({
+  width: isMobile ? '200px' : '240px',
+  padding: isMobile ? '10px 0' : '12px 0',
+  fontSize: isMobile ? '14px' : '16px',
+  fontFamily: '"Orbitron", sans-serif',
+  letterSpacing: '2px',
+  color: '#fff',
+  background: primary ? 'linear-gradient(135deg, #00ccff, #0066ff)' : 'rgba(255, 255, 255, 0.08)',
+  border: primary ? 'none' : '1px solid rgba(255, 255, 255, 0.3)',
+  borderRadius: '24px',
+  cursor: 'pointer',
+})
+
+// Pause overlay for SpaceGame: resume, restart, settings, quit
+const PauseMenu = memo(function PauseMenu({ onResume, onRestart, onQuit, isMobile }) {
+  const containerRef = useRef(null)
+  const [view, setView] = useState('menu')    // 'menu' | 'settings'
+
+  useFocusTrap(containerRef)
+
+  return (
+    <div
+      ref={containerRef}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="pause-menu-title"
+      tabIndex={-1}
+      style={{
+        position: 'absolute',
+        inset: 0,
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: '14px',
+        padding: '20px 0',
+        overflowY: 'auto',
+        background: 'rgba(0, 0, 10, 0.7)',
+        backdropFilter: 'blur(4px)',
+        outline: 'none',
+        zIndex: 120,
+      }}
+    >
+      <h2
+        id="pause-menu-title"
+        style={{
+          margin: '0 0 16px',
+          color: '#fff',
+          fontSize: isMobile ? '28px' : '40px',
+          fontFamily: '"Orbitron", sans-serif',
+          textShadow: '0 0 20px rgba(0, 255, 255, 0.8)',
+        }}
+      >
+        {view === 'settings' ? 'SETTINGS' : 'PAUSED'}
+      </h2>
+
+      {view === 'settings' ? (
+        <GameSettings onDone={() => setView('menu')} isMobile={isMobile} />
+      ) : (
+        <>
+          <button onClick={onResume} style={menuButtonStyle(isMobile, true)}>RESUME</button>
+          <button onClick={onRestart} style={menuButtonStyle(isMobile)}>RESTART</button>
+          <button onClick={() => setView('settings')} style={menuButtonStyle(isMobile)}>SETTINGS</button>
+          <button onClick={onQuit} style={menuButtonStyle(isMobile)}>QUIT</button>
+          <div style={{
+            marginTop: '10px',
+            color: 'rgba(255, 255, 255, 0.5)',
+            fontSize: isMobile ? '11px' : '13px',
+            fontFamily: 'sans-serif',
+          }}>
+            Esc to resume
+          </div>
+        </>
+      )}
+    </div>
+  )
+})
+
+export default PauseMenu
@@ -0,0 +1,99 @@
+/**
+ * Planet Navigator
+ * Keyboard and screen-reader layer for the 3D scene
+ *
+ * Mirrors CenterAvatar and PLANETS as visually hidden buttons:
+ * - Tab / arrow keys / Home / End move between them
+ * - the focused one is highlighted in 3D through onHighlight
+ * - Enter or Space activates it like a click
+ * - a polite live region announces modals opening and closing
+ */
+
+import { memo, useRef, useState } from 'react'
+
+export const AVATAR_ID = 'avatar'
+
+// Hidden from view but still focusable and read by screen readers
+const visuallyHidden = {
+  position: 'absolute',
+  width: '1px',
+  height: '1px',
+  padding: 0,
+  margin: '-1px',
+  overflow: 'hidden',
+  clip: 'rect(0, 0, 0, 0)',
+  whiteSpace: 'nowrap',
+  border: 0,
+}
+
+const PlanetNavigator = memo(function PlanetNavigator({
+  planets,
+  openLabel,
+  onHighlight,
+  onOpenPlanet,
+  onAvatarActivate,
+}) {
+  const listRef = useRef()
+
+  // Announce modal changes - derived while rendering so each change
+  // produces exactly one message
+  const [lastOpenLabel, setLastOpenLabel] = useState(openLabel)
+  const [announcement, setAnnouncement] = useState('')
+  if (openLabel !== lastOpenLabel) {
+    setLastOpenLabel(openLabel)
+    setAnnouncement(openLabel ? `${openLabel} opened` : `${lastOpenLabel} closed`)
+  }
+
+  const handleKeyDown = (e) => {
+    const buttons = [...listRef.current.querySelectorAll('button')]
+    const index = buttons.indexOf(document.activeElement)
+    if (index === -1) return
+
+    let next
+    if (e.key === 'ArrowRight' || e.key === 'ArrowDown') next = (index + 1) % buttons.length
+    else if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') next = (index - 1 + buttons.length) % buttons.length
+    else if (e.key === 'Home') next = 0
+    else if (e.key === 'End') next = buttons.length - 1
+    else return
+
+    e.preventDefault()
+    buttons[next].focus()
+  }
+
+  const handleBlur = (e) => {
+    if (!listRef.current.contains(e.relatedTarget)) onHighlight(null)
+  }
+
+  return (
+    <>
+      <nav aria-label="Portfolio sections" style={visuallyHidden}>
+        <ul ref={listRef} onKeyDown={handleKeyDown} onBlur={handleBlur} style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+          <li>
+            <button
+              onFocus={() => onHighlight(AVATAR_ID)}
+              onClick={onAvatarActivate}
+            >
+              Avatar - release bubbles
+            </button>
+          </li>
+          {planets.map((planet, i) => (
+            <li key={planet.id}>
+              <button
+                onFocus={() => onHighlight(planet.id)}
+                onClick={() => onOpenPlanet(planet)}
+                aria-label={`${planet.title}, planet ${i + 1} of ${planets.length}: ${planet.content}`}
+              >
+                {planet.title}
+              </button>
+            </li>
+          ))}
+        </ul>
+      </nav>
+      <div role="status" aria-live="polite" aria-atomic="true" style={visuallyHidden}>
+        {announcement}
+      </div>
+    </>
+  )
+})
+
+export default PlanetNavigator
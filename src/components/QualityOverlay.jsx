@@ -0,0 +1,43 @@
+import { memo } from 'react'
+import { isQualityForced, useFrameRate, useQuality } from '../hooks/useQuality'
+
+const TIER_COLORS = {
+  high: '#64ff96',
+  medium: '#ffc864',
+  low: '#ff6464',
+}
+
+// Debug readout for the adaptive quality tiers - open the site with ?debug
+const QualityOverlay = memo(function QualityOverlay() {
+  const quality = useQuality()
+  const fps = useFrameRate()
+
+  return (
+    <div
+      aria-hidden="true"
+      style={{
+        position: 'fixed',
+        top: '10px',
+        left: '10px',
+        zIndex: 1000000,
+        padding: '8px 12px',
+        background: 'rgba(0, 0, 0, 0.7)',
+        border: '1px solid rgba(255, 255, 255, 0.2)',
+        borderRadius: '8px',
+        color: '#fff',
+        fontFamily: 'monospace',
+        fontSize: '12px',
+        lineHeight: 1.5,
+        pointerEvents: 'none',
+      }}
+    >
+      <div>FPS {fps ?? '--'}</div>
+      <div>
+        Tier <span style={{ color: TIER_COLORS[quality.tier] }}>{quality.tier.toUpperCase()}</span>
+        {isQualityForced() ? ' (forced)' : ' (auto)'}
+      </div>
+    </div>
+  )
+})
+
+export default QualityOverlay
@@ -0,0 +1,41 @@
+/**
+ * Render Layer
+ * A place in the page where 3D content appears
+ *
+ * Used like a <Canvas>: put it where the canvas would go and give it a
+ * camera. The element only marks the spot - the children are drawn by
+ * the shared renderer (SharedCanvas) into the part of its canvas over
+ * the element, so the whole app uses a single WebGL context.
+ *
+ * That canvas is under the page's DOM. Layers in a modal pass `overlay`
+ * to be drawn above it instead (page layers pause while one is open),
+ * plus `clip` to stay inside an element or `behind` to leave one clear.
+ */
+
+import { memo, useId, useLayoutEffect, useRef } from 'react'
+import { removeLayer, setLayer } from '../three/renderLayers'
+
+const RenderLayer = memo(function RenderLayer({ camera, index = 1, overlay = false, clip, behind, style, children, ...props }) {
+  const id = useId()
+  const trackRef = useRef()
+
+  const [x, y, z] = camera?.position ?? [0, 0, 5]
+  const fov = camera?.fov
+
+  // Hand the children to the shared canvas when they or the options change
+  useLayoutEffect(() => {
+    setLayer(id, { track: trackRef, clip, behind, camera: { position: [x, y, z], fov }, index, overlay, children })
+  }, [id, clip, behind, x, y, z, fov, index, overlay, children])
+
+  useLayoutEffect(() => () => removeLayer(id), [id])
+
+  return (
+    <div
+      ref={trackRef}
+      style={{ display: 'block', width: '100%', height: '100%', ...style }}
+      {...props}
+    />
+  )
+})
+
+export default RenderLayer
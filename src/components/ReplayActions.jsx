@@ -0,0 +1,88 @@
+import { memo, useRef, useState } from 'react'
+import { downloadBlob } from '../game/download'
+import { parseReplay, serializeReplay } from '../game/replay'
+
+const buttonStyle = {
+  padding: '6px 14px',
+  fontSize: '12px',
+  fontFamily: '"Orbitron", sans-serif',
+  background: 'none',
+  border: '1px solid rgba(255, 255, 255, 0.3)',
+  borderRadius: '16px',
+  color: 'rgba(255, 255, 255, 0.8)',
+  cursor: 'pointer',
+}
+
+// Save a replay as a .replay.json download
+function downloadReplay(replay) {
+  const blob = new Blob([serializeReplay(replay)], { type: 'application/json' })
+  downloadBlob(blob, `space-shooter-${replay.result?.score ?? 'run'}.replay.json`)
+}
+
+// Watch / export the last replay and import one from a file. Unreadable
+// files show parseReplay's message instead of starting anything; the
+// import button reads VERIFYING while onImport's promise is pending.
+const ReplayActions = memo(function ReplayActions({ replay, onWatch, onImport }) {
+  const fileInputRef = useRef(null)
+  const [error, setError] = useState(null)
+  const [verifying, setVerifying] = useState(false)
+
+  const handleFile = (e) => {
+    const file = e.target.files[0]
+    // Clear it so picking the same file again still fires a change
+    e.target.value = ''
+    if (!file) return
+    file.text()
+      .then((text) => {
+        const imported = parseReplay(text)
+        setError(null)
+        setVerifying(true)
+        return onImport(imported)
+      })
+      .catch((err) => {
+        // Cancelled by starting something else
+        if (err.name !== 'AbortError') setError(err.message)
+      })
+      .finally(() => setVerifying(false))
+  }
+
+  return (
+    <div style={{ marginTop: '12px' }}>
+      <div style={{ display: 'flex', justifyContent: 'center', flexWrap: 'wrap', gap: '8px' }}>
+        {replay && (
+          <button onClick={() => onWatch(replay)} style={buttonStyle}>
+            WATCH REPLAY
+          </button>
+        )}
+        {replay && (
+          <button onClick={() => downloadReplay(replay)} style={buttonStyle}>
+            EXPORT REPLAY
+          </button>
+        )}
+        <button
+          onClick={() => fileInputRef.current.click()}
+          disabled={verifying}
+          aria-live="polite"
+          style={buttonStyle}
+        >
+          {verifying ? 'VERIFYING REPLAY...' : 'IMPORT REPLAY'}
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleFile}
+          aria-label="Replay file"
+          style={{ display: 'none' }}
+        />
+      </div>
+      {error && (
+        <div role="alert" style={{ marginTop: '8px', color: '#ff6666', fontSize: '12px', fontFamily: 'sans-serif' }}>
+          {error}
+        </div>
+      )}
+    </div>
+  )
+})
+
+export default ReplayActions
@@ -0,0 +1,84 @@
+import { memo } from 'react'
+
+const REPLAY_SPEEDS = [0.5, 1, 2, 4]
+
+const buttonStyle = (active) => ({
+  minWidth: '42px',
+  padding: '6px 10px',
+  fontFamily: '"Orbitron", sans-serif',
+  fontSize: '12px',
+  color: active ? '#000' : '#fff',
+  background: active ? '#00ffff' : 'rgba(255, 255, 255, 0.1)',
+  border: '1px solid rgba(255, 255, 255, 0.3)',
+  borderRadius: '14px',
+  cursor: 'pointer',
+})
+
+// Spectator controls shown while a replay plays: play/pause, playback
+// speed and a way out. `check` says whether an imported replay re-ran
+// to the result it claims ('verified' / 'mismatch'), null for own runs.
+const ReplayBar = memo(function ReplayBar({ speed, onSpeedChange, paused, onTogglePause, onExit, check, isMobile }) {
+  return (
+    <div
+      role="toolbar"
+      aria-label="Replay controls"
+      style={{
+        position: 'absolute',
+        bottom: '20px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        display: 'flex',
+        alignItems: 'center',
+        gap: isMobile ? '6px' : '10px',
+        padding: '8px 14px',
+        background: 'rgba(0, 0, 0, 0.6)',
+        border: '1px solid rgba(0, 255, 255, 0.3)',
+        borderRadius: '24px',
+        whiteSpace: 'nowrap',
+        zIndex: 110,
+      }}
+    >
+      <span style={{
+        color: '#ff3366',
+        fontFamily: '"Orbitron", sans-serif',
+        fontSize: isMobile ? '11px' : '13px',
+        letterSpacing: '2px',
+      }}>
+        ● REPLAY
+      </span>
+      <button
+        onClick={onTogglePause}
+        aria-label={paused ? 'Play' : 'Pause'}
+        title={paused ? 'Play (Esc)' : 'Pause (Esc)'}
+        style={buttonStyle(false)}
+      >
+        {paused ? '▶' : '❚❚'}
+      </button>
+      {REPLAY_SPEEDS.map(value => (
+        <button
+          key={value}
+          onClick={() => onSpeedChange(value)}
+          aria-pressed={speed === value}
+          style={buttonStyle(speed === value)}
+        >
+          {value}×
+        </button>
+      ))}
+      {check && (
+        <span
+          title={check === 'verified'
+            ? 'Playing this replay reproduces the score it claims'
+            : 'This replay does not reproduce the score it claims'}
+          style={{ color: check === 'verified' ? '#00ff99' : '#ffcc00', fontFamily: 'monospace', fontSize: '12px' }}
+        >
+          {check === 'verified' ? '✓ VERIFIED' : '⚠ MISMATCH'}
+        </span>
+      )}
+      <button onClick={onExit} style={buttonStyle(false)}>
+        EXIT
+      </button>
+    </div>
+  )
+})
+
+export default ReplayBar
@@ -1,35 +1,8 @@
-import { Canvas, useFrame, useThree } from '@react-three/fiber'
+import { useFrame, useThree } from '@react-three/fiber'
 import { useRef, useState, useEffect, memo, useMemo } from 'react'
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader'
-
-// Cache loaded model globally to avoid reloading
-let cachedModel = null
-let modelLoading = false
-const modelCallbacks = []
-
-function loadModel(callback) {
-  if (cachedModel) {
-    callback(cachedModel.clone())
-    return
-  }
-  
-  modelCallbacks.push(callback)
-  
-  if (!modelLoading) {
-    modelLoading = true
-    const loader = new GLTFLoader()
-    loader.load(
-      '/models/astr.glb',
-      (gltf) => {
-        cachedModel = gltf.scene
-        modelCallbacks.forEach(cb => cb(cachedModel.clone()))
-        modelCallbacks.length = 0
-      },
-      undefined,
-      (err) => console.error('Error loading model:', err)
-    )
-  }
-}
+import RenderLayer from './RenderLayer'
+import { isMotionReduced } from '../hooks/useReducedMotion'
+import { loadModel } from '../three/assets'
 
 const Asteroid = memo(function Asteroid({ offsetX, offsetY, speedX, speedY, initialTime }) {
   const ref = useRef()
@@ -52,18 +25,21 @@ const Asteroid = memo(function Asteroid({ offsetX, offsetY, speedX, speedY, init
   }, [viewport.width])
 
   useEffect(() => {
-    loadModel(setModel)
+    return loadModel('asteroid', setModel)
   }, [])
 
   useFrame(() => {
     if (ref.current) {
-      time.current += 0.01
+      // Reduced motion: hold the current position instead of drifting
+      const still = isMotionReduced()
+      if (!still) time.current += 0.01
       const t = time.current
       // Responsive floating motion
       ref.current.position.x = Math.sin(t * speedX + offsetX) * range.x + Math.cos(t * speedY * 0.7) * (range.x * 0.3)
       ref.current.position.y = Math.sin(t * speedY + offsetY) * range.y + Math.cos(t * speedX * 0.5) * (range.y * 0.5)
       ref.current.position.z = Math.sin(t * 0.3) * 2
       // Tumbling rotation
+      if (still) return
       ref.current.rotation.y += 0.012
       ref.current.rotation.x += 0.008
       ref.current.rotation.z += 0.005
@@ -90,19 +66,12 @@ const containerStyle = {
 export default memo(function RocketModel() {
   return (
     <div style={containerStyle}>
-      <Canvas
-        camera={{ position: [0, 0, 10], fov: 45 }}
-        dpr={[1, 1.5]}
-        performance={{ min: 0.5 }}
-        gl={{ antialias: false, powerPreference: 'high-performance' }}
-        style={{ pointerEvents: 'none' }}
-        eventSource={null}
-      >
+      <RenderLayer camera={{ position: [0, 0, 10], fov: 45 }} index={1} style={{ pointerEvents: 'none' }}>
         <ambientLight intensity={2} />
         <directionalLight position={[5, 5, 5]} intensity={2} />
         <Asteroid offsetX={0} offsetY={0} speedX={0.4} speedY={0.5} initialTime={0} />
         <Asteroid offsetX={3} offsetY={2} speedX={0.6} speedY={0.3} initialTime={50} />
-      </Canvas>
+      </RenderLayer>
     </div>
   )
 })
\ No newline at end of file
@@ -0,0 +1,323 @@
+/**
+ * Section Blocks
+ * Renders a planet's fullContent.sections inside SpaceModal
+ *
+ * Each entry in `sections` has a `type` that picks a block from
+ * SECTION_BLOCKS below. New planets compose these blocks in their
+ * JSON file; src/content/planet.schema.json lists the fields each
+ * block needs.
+ */
+
+import { memo } from 'react'
+
+// ============================================
+// SHARED PIECES
+// ============================================
+
+const BlockTitle = memo(function BlockTitle({ title, color, isMobile }) {
+  if (!title) return null
+  return (
+    <h4 style={{ color, margin: '0 0 12px 0', fontSize: isMobile ? '15px' : '17px' }}>
+      {title}
+    </h4>
+  )
+})
+
+const BulletList = memo(function BulletList({ items, fontSize, lineHeight = 1.8 }) {
+  return (
+    <ul style={{ margin: 0, paddingLeft: '18px', fontSize, opacity: 0.85, lineHeight }}>
+      {items.map((item, i) => (
+        <li key={i}>{item}</li>
+      ))}
+    </ul>
+  )
+})
+
+const panelStyle = (color, padding) => ({
+  padding,
+  background: `${color}22`,
+  border: `1px solid ${color}44`,
+  borderRadius: '12px',
+  textAlign: 'left',
+})
+
+// ============================================
+// BLOCK TYPES
+// ============================================
+
+// Free text - keeps blank lines from the JSON as paragraph breaks
+const ParagraphBlock = memo(function ParagraphBlock({ block, isMobile }) {
+  return (
+    <p style={{
+      margin: 0,
+      fontSize: isMobile ? '14px' : '16px',
+      lineHeight: 1.7,
+      opacity: 0.9,
+      whiteSpace: 'pre-line',
+    }}>
+      {block.text}
+    </p>
+  )
+})
+
+// Rounded tags, e.g. core strengths
+const ChipListBlock = memo(function ChipListBlock({ block, color, isMobile }) {
+  return (
+    <div>
+      <BlockTitle title={block.title} color={color} isMobile={isMobile} />
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', justifyContent: 'center' }}>
+        {block.items.map((item, i) => (
+          <span key={i} style={{
+            padding: '8px 16px',
+            background: `${color}33`,
+            border: `1px solid ${color}66`,
+            borderRadius: '20px',
+            fontSize: isMobile ? '12px' : '14px',
+            color,
+          }}>
+            {item}
+          </span>
+        ))}
+      </div>
+    </div>
+  )
+})
+
+// Bulleted list in a tinted panel, e.g. philosophy
+const ListBlock = memo(function ListBlock({ block, color, isMobile }) {
+  return (
+    <div>
+      <BlockTitle title={block.title} color={color} isMobile={isMobile} />
+      <div style={{
+        padding: '16px',
+        background: `${color}15`,
+        border: `1px solid ${color}33`,
+        borderRadius: '12px',
+        textAlign: 'left',
+      }}>
+        <BulletList items={block.items} fontSize={isMobile ? '12px' : '14px'} lineHeight={2} />
+      </div>
+    </div>
+  )
+})
+
+// Side-by-side titled lists, stacked on mobile
+const TwoColumnListBlock = memo(function TwoColumnListBlock({ block, color, isMobile }) {
+  return (
+    <div>
+      <BlockTitle title={block.title} color={color} isMobile={isMobile} />
+      <div style={{ display: 'grid', gridTemplateColumns: isMobile ? '1fr' : '1fr 1fr', gap: '16px' }}>
+        {block.columns.map((column, i) => (
+          <div key={i} style={panelStyle(color, '16px')}>
+            <h5 style={{ margin: '0 0 12px 0', color, fontSize: isMobile ? '13px' : '15px' }}>{column.title}</h5>
+            <BulletList items={column.items} fontSize={isMobile ? '11px' : '13px'} />
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+})
+
+// One role with period badge and optional detail lists
+const TimelineEntryBlock = memo(function TimelineEntryBlock({ block, color, isMobile }) {
+  return (
+    <div style={panelStyle(color, '20px')}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px', flexWrap: 'wrap', gap: '8px' }}>
+        <h4 style={{ margin: 0, color, fontSize: isMobile ? '14px' : '16px' }}>{block.title}</h4>
+        <span style={{ fontSize: isMobile ? '11px' : '12px', opacity: 0.6, background: `${color}33`, padding: '4px 10px', borderRadius: '12px' }}>{block.period}</span>
+      </div>
+      <div style={{ fontSize: isMobile ? '13px' : '15px', opacity: 0.9, marginBottom: '10px', fontWeight: 500 }}>{block.subtitle}</div>
+      <div style={{ fontSize: isMobile ? '12px' : '13px', opacity: 0.75, marginBottom: block.details?.length ? '12px' : 0 }}>{block.text}</div>
+
+      {block.details?.map((detail, i) => (
+        <div key={i} style={{ marginBottom: i < block.details.length - 1 ? '10px' : 0 }}>
+          <h5 style={{ margin: '0 0 6px 0', color, fontSize: isMobile ? '11px' : '12px', opacity: 0.9 }}>{detail.title}</h5>
+          <ul style={{ margin: 0, paddingLeft: '16px', fontSize: isMobile ? '10px' : '11px', opacity: 0.7, lineHeight: 1.7 }}>
+            {detail.items.map((item, j) => (
+              <li key={j}>{item}</li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  )
+})
+
+// Category cards filled with small skill tags
+const SkillGridBlock = memo(function SkillGridBlock({ block, color, isMobile }) {
+  return (
+    <div>
+      <BlockTitle title={block.title} color={color} isMobile={isMobile} />
+      <div style={{ display: 'grid', gridTemplateColumns: isMobile ? '1fr' : '1fr 1fr', gap: '16px' }}>
+        {block.categories.map((category, i) => (
+          <div key={i} style={{
+            padding: '16px',
+            background: `${color}22`,
+            border: `1px solid ${color}44`,
+            borderRadius: '12px',
+          }}>
+            <h4 style={{ margin: '0 0 12px 0', color, fontSize: isMobile ? '14px' : '16px' }}>{category.title}</h4>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+              {category.items.map((item, j) => (
+                <span key={j} style={{
+                  padding: '4px 10px',
+                  background: 'rgba(255,255,255,0.1)',
+                  borderRadius: '8px',
+                  fontSize: isMobile ? '11px' : '12px',
+                }}>
+                  {item}
+                </span>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+})
+
+// Degree with institution, period and optional score badge
+const DegreeCardBlock = memo(function DegreeCardBlock({ block, color, isMobile }) {
+  return (
+    <div style={panelStyle(color, '24px')}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px', flexWrap: 'wrap', gap: '8px' }}>
+        <h4 style={{ margin: 0, color, fontSize: isMobile ? '16px' : '20px' }}>🎓 {block.degree}</h4>
+        <span style={{ fontSize: isMobile ? '11px' : '12px', opacity: 0.6, background: `${color}33`, padding: '4px 12px', borderRadius: '12px' }}>{block.period}</span>
+      </div>
+      <div style={{ fontSize: isMobile ? '15px' : '18px', opacity: 0.95, marginBottom: '12px', color, fontWeight: 500 }}>{block.institution}</div>
+
+      {block.score && (
+        <div style={{
+          display: 'inline-block',
+          marginBottom: '16px',
+          padding: '10px 20px',
+          background: `linear-gradient(135deg, ${color}44, ${color}22)`,
+          border: `2px solid ${color}`,
+          borderRadius: '12px',
+        }}>
+          <span style={{ fontSize: isMobile ? '12px' : '14px', opacity: 0.8 }}>{block.score.label}: </span>
+          <span style={{ fontSize: isMobile ? '20px' : '24px', fontWeight: 'bold', color }}>{block.score.value}</span>
+        </div>
+      )}
+
+      <div style={{ fontSize: isMobile ? '13px' : '15px', opacity: 0.75, lineHeight: 1.7 }}>{block.text}</div>
+    </div>
+  )
+})
+
+// Project cards - each opens its case study through onSelectProject
+const ProjectListBlock = memo(function ProjectListBlock({ block, color, isMobile, onSelectProject }) {
+  return (
+    <div>
+      <BlockTitle title={block.title} color={color} isMobile={isMobile} />
+      <div style={{ display: 'grid', gridTemplateColumns: isMobile ? '1fr' : '1fr 1fr', gap: '16px' }}>
+        {block.projects.map((project) => (
+          <div key={project.id} style={{ ...panelStyle(color, '0'), overflow: 'hidden', display: 'flex', flexDirection: 'column' }}>
+            {/* Thumbnail */}
+            <div style={{ aspectRatio: '16 / 10', background: `${color}22` }}>
+              <img
+                src={project.thumbnail}
+                alt=""
+                loading="lazy"
+                style={{ width: '100%', height: '100%', objectFit: 'cover', display: 'block' }}
+                onError={(e) => {
+                  e.target.style.display = 'none'
+                }}
+              />
+            </div>
+
+            <div style={{ padding: '16px', display: 'flex', flexDirection: 'column', gap: '10px', flex: 1 }}>
+              <h4 style={{ margin: 0, color, fontSize: isMobile ? '15px' : '17px' }}>{project.title}</h4>
+              <div style={{ fontSize: isMobile ? '11px' : '12px', opacity: 0.6 }}>{project.role}</div>
+              <div style={{ fontSize: isMobile ? '12px' : '13px', opacity: 0.8, lineHeight: 1.6 }}>{project.summary}</div>
+
+              {/* Tech tags */}
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+                {project.tags.map((tag, i) => (
+                  <span key={i} style={{
+                    padding: '3px 8px',
+                    background: 'rgba(255,255,255,0.1)',
+                    borderRadius: '8px',
+                    fontSize: isMobile ? '10px' : '11px',
+                  }}>
+                    {tag}
+                  </span>
+                ))}
+              </div>
+
+              {/* Outcome metrics */}
+              {project.metrics?.length > 0 && (
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '16px' }}>
+                  {project.metrics.map((metric, i) => (
+                    <div key={i}>
+                      <div style={{ fontSize: isMobile ? '18px' : '20px', fontWeight: 'bold', color }}>{metric.value}</div>
+                      <div style={{ fontSize: isMobile ? '10px' : '11px', opacity: 0.6 }}>{metric.label}</div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '12px', marginTop: 'auto', paddingTop: '6px' }}>
+                <button
+                  onClick={() => onSelectProject?.(project.id)}
+                  style={{
+                    padding: '8px 16px',
+                    background: `${color}33`,
+                    border: `1px solid ${color}88`,
+                    borderRadius: '20px',
+                    color: '#fff',
+                    fontSize: isMobile ? '11px' : '12px',
+                    fontFamily: '"Orbitron", sans-serif',
+                  }}
+                >
+                  Case Study →
+                </button>
+                {project.links?.map((link, i) => (
+                  <a
+                    key={i}
+                    href={link.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    style={{ color, fontSize: isMobile ? '11px' : '12px' }}
+                  >
+                    {link.label} ↗
+                  </a>
+                ))}
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+})
+
+// Keep in sync with the "type" enum in planet.schema.json
+const SECTION_BLOCKS = {
+  'paragraph': ParagraphBlock,
+  'chip-list': ChipListBlock,
+  'list': ListBlock,
+  'two-column-list': TwoColumnListBlock,
+  'timeline-entry': TimelineEntryBlock,
+  'skill-grid': SkillGridBlock,
+  'degree-card': DegreeCardBlock,
+  'project-list': ProjectListBlock,
+}
+
+// ============================================
+// SECTION RENDERER
+// ============================================
+
+const SectionRenderer = memo(function SectionRenderer({ sections, color, isMobile, onSelectProject }) {
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '24px' }}>
+      {sections.map((block, i) => {
+        const Block = SECTION_BLOCKS[block.type]
+        if (!Block) return null
+        return <Block key={i} block={block} color={color} isMobile={isMobile} onSelectProject={onSelectProject} />
+      })}
+    </div>
+  )
+})
+
+export default SectionRenderer
@@ -0,0 +1,55 @@
+import { memo, useState } from 'react'
+import { downloadScoreCard, shareScoreCard } from '../game/scoreCard'
+
+const buttonStyle = {
+  padding: '6px 14px',
+  fontSize: '12px',
+  fontFamily: '"Orbitron", sans-serif',
+  background: 'none',
+  border: '1px solid rgba(255, 204, 0, 0.6)',
+  borderRadius: '16px',
+  color: '#ffcc00',
+  cursor: 'pointer',
+}
+
+// Checked once - the share sheet doesn't come and go
+const canShare = typeof navigator !== 'undefined' && Boolean(navigator.share)
+
+// Share or download the finished run's score card (scoreCard.js)
+const ShareScore = memo(function ShareScore({ result }) {
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  const run = (action) => {
+    setBusy(true)
+    setError(null)
+    action(result)
+      .catch((err) => {
+        console.error('Could not create the score card:', err)
+        setError('Could not create the score card')
+      })
+      .finally(() => setBusy(false))
+  }
+
+  return (
+    <div style={{ marginTop: '12px' }}>
+      <div style={{ display: 'flex', justifyContent: 'center', flexWrap: 'wrap', gap: '8px' }}>
+        {canShare && (
+          <button onClick={() => run(shareScoreCard)} disabled={busy} style={buttonStyle}>
+            SHARE SCORE
+          </button>
+        )}
+        <button onClick={() => run(downloadScoreCard)} disabled={busy} style={buttonStyle}>
+          DOWNLOAD SCORE CARD
+        </button>
+      </div>
+      {error && (
+        <div role="alert" style={{ marginTop: '8px', color: '#ff6666', fontSize: '12px', fontFamily: 'sans-serif' }}>
+          {error}
+        </div>
+      )}
+    </div>
+  )
+})
+
+export default ShareScore
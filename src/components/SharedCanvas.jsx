@@ -0,0 +1,193 @@
+/**
+ * Shared Canvas
+ * The one WebGL renderer behind every RenderLayer
+ *
+ * A single transparent canvas covers the window. Each frame it is
+ * cleared once, then every layer is rendered straight into the part of
+ * it over the layer's element (viewport + scissor), in `index` order -
+ * no offscreen copies. One context means one set of GPU resources and
+ * no per-canvas context loss on mobile Safari.
+ *
+ * The canvas sits just above the page background, under the page's
+ * DOM. While an overlay layer is mounted (the planet modal) it moves
+ * above everything instead and only the overlay layers are drawn.
+ *
+ * Pointer events come from #root; a layer only raycasts when the event
+ * target is its own element, just like a separate <Canvas> would.
+ */
+
+import { memo, useEffect, useState, useSyncExternalStore } from 'react'
+import { Canvas, createPortal, useFrame } from '@react-three/fiber'
+import * as THREE from 'three'
+import { getLayers, subscribeLayers } from '../three/renderLayers'
+import { useQuality } from '../hooks/useQuality'
+
+// Over ParticlesBackground, under the rest of the page
+const PAGE_Z_INDEX = 2
+// Over the planet modal
+const OVERLAY_Z_INDEX = 201
+
+const canvasStyle = {
+  position: 'fixed',
+  top: 0,
+  left: 0,
+  width: '100%',
+  height: '100%',
+  pointerEvents: 'none',
+}
+
+const rendererSize = new THREE.Vector2()
+
+// ============================================
+// LAYER RENDERING
+// ============================================
+
+function intersect(a, b) {
+  return {
+    left: Math.max(a.left, b.left),
+    top: Math.max(a.top, b.top),
+    right: Math.min(a.right, b.right),
+    bottom: Math.min(a.bottom, b.bottom),
+  }
+}
+
+const isEmpty = (box) => box.right - box.left < 1 || box.bottom - box.top < 1
+
+// WebGL's origin is bottom-left, the page's top-left
+function setScissor(gl, box) {
+  gl.setScissor(box.left, rendererSize.y - box.bottom, box.right - box.left, box.bottom - box.top)
+}
+
+function drawLayer(gl, scene, camera, { track, clip, behind }) {
+  const rect = track.current.getBoundingClientRect()
+  if (rect.width < 1 || rect.height < 1) return
+  gl.getSize(rendererSize)
+
+  // Only the part of the layer inside the window (and its clip element) is drawn
+  let box = intersect(rect, { left: 0, top: 0, right: rendererSize.x, bottom: rendererSize.y })
+  if (clip?.current) box = intersect(box, clip.current.getBoundingClientRect())
+  if (isEmpty(box)) return
+
+  if (camera.aspect !== rect.width / rect.height) {
+    camera.aspect = rect.width / rect.height
+    camera.updateProjectionMatrix()
+  }
+
+  gl.setViewport(rect.left, rendererSize.y - rect.bottom, rect.width, rect.height)
+  setScissor(gl, box)
+  gl.setScissorTest(true)
+  gl.clearDepth()
+  gl.render(scene, camera)
+
+  // Leave the element this layer sits behind clear
+  if (behind?.current) {
+    const hole = intersect(box, behind.current.getBoundingClientRect())
+    if (!isEmpty(hole)) {
+      setScissor(gl, hole)
+      gl.clear()
+    }
+  }
+  gl.setScissorTest(false)
+}
+
+function aimCamera(camera, position, fov) {
+  camera.position.set(...position)
+  camera.fov = fov
+  camera.lookAt(0, 0, 0)
+  camera.updateProjectionMatrix()
+}
+
+// One RenderLayer inside the shared canvas: its own scene, camera and events
+const LayerView = memo(function LayerView({ track, clip, behind, camera: cameraOptions, index, hidden, children }) {
+  const [scene] = useState(() => new THREE.Scene())
+  const [camera] = useState(() => new THREE.PerspectiveCamera(75, 1, 0.1, 1000))
+  const [x, y, z] = cameraOptions?.position ?? [0, 0, 5]
+  const fov = cameraOptions?.fov ?? 75
+
+  // Like <Canvas camera>, follow option changes (e.g. the mobile camera)
+  useEffect(() => {
+    aimCamera(camera, [x, y, z], fov)
+  }, [camera, x, y, z, fov])
+
+  const [size, setSize] = useState(null)
+
+  // Viewport-dependent children (useThree().viewport) follow the layer size
+  useEffect(() => {
+    const element = track.current
+    if (!element) return
+    const observer = new ResizeObserver(() => {
+      const { width, height, top, left } = element.getBoundingClientRect()
+      setSize({ width, height, top, left })
+    })
+    observer.observe(element)
+    return () => observer.disconnect()
+  }, [track])
+
+  const compute = (event, state) => {
+    const element = track.current
+    if (!element || event.target !== element) return
+    const rect = element.getBoundingClientRect()
+    state.pointer.set(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    )
+    state.raycaster.setFromCamera(state.pointer, state.camera)
+  }
+
+  useFrame((state) => {
+    if (track.current && !hidden) drawLayer(state.gl, scene, camera, { track, clip, behind })
+  }, index)
+
+  return createPortal(children, scene, {
+    camera,
+    events: { compute, priority: index },
+    ...(size && { size }),
+  })
+})
+
+const LayerPort = memo(function LayerPort() {
+  const layers = useSyncExternalStore(subscribeLayers, getLayers)
+  const overlay = layers.some(layer => layer.overlay)
+
+  // Layers render without autoClear, so the canvas is cleared once up front
+  useFrame(({ gl }) => gl.clear(), 0)
+
+  // Covered page layers stay mounted, so their scenes keep their state
+  return layers.map(({ id, track, clip, behind, camera, index, children, ...layer }) => (
+    <LayerView
+      key={id}
+      track={track}
+      clip={clip}
+      behind={behind}
+      camera={camera}
+      index={index}
+      hidden={overlay && !layer.overlay}
+    >
+      {children}
+    </LayerView>
+  ))
+})
+
+// ============================================
+// SHARED CANVAS
+// ============================================
+
+const SharedCanvas = memo(function SharedCanvas() {
+  const { dpr } = useQuality()
+  const overlay = useSyncExternalStore(subscribeLayers, () => getLayers().some(layer => layer.overlay))
+
+  return (
+    <Canvas
+      dpr={dpr}
+      gl={{ antialias: true, powerPreference: 'high-performance' }}
+      onCreated={({ gl }) => { gl.autoClear = false }}
+      eventSource={document.getElementById('root')}
+      eventPrefix="client"
+      style={{ ...canvasStyle, zIndex: overlay ? OVERLAY_Z_INDEX : PAGE_Z_INDEX }}
+    >
+      <LayerPort />
+    </Canvas>
+  )
+})
+
+export default SharedCanvas
@@ -8,155 +8,82 @@
  * 3. 3D Icon Components (PersonIcon, BriefcaseIcon, GearIcon)
  * 4. Avatar Components (AvatarModel, ContactAvatar)
  * 5. Modal Components (ModalStars, GalacticSpiral, ModalScene, SpaceModal)
- * 6. Planet Components (Planet, OrbitRing)
+ * 6. Planet Components (OrbitClock, Planet, OrbitRing)
  * 7. Title Components (Title3D)
  * 8. Main Components (Sun, Scene, SolarSystem)
  */
 
 import { memo, useRef, useEffect, useState, useMemo, useCallback, Suspense } from 'react'
-import { Canvas, useFrame } from '@react-three/fiber'
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader'
+import { useFrame } from '@react-three/fiber'
 import * as THREE from 'three'
 import BackgroundMusic from './BackgroundMusic'
 import ResumeDownload from './ResumeDownload'
+import MotionToggle from './MotionToggle'
+import SectionRenderer from './SectionBlocks'
+import CaseStudy from './CaseStudy'
+import RenderLayer from './RenderLayer'
+import PlanetNavigator, { AVATAR_ID } from './PlanetNavigator'
+import { navigate, navigateBack } from '../hooks/useRoute'
+import { useFocusTrap } from '../hooks/useFocusTrap'
+import { isMotionReduced } from '../hooks/useReducedMotion'
+import { useQuality } from '../hooks/useQuality'
+import { loadModel } from '../three/assets'
+import { getAudioLevels, subscribeAudioLevels } from '../audio/analyser'
+import PLANET_CONTENT from '../content/planets'
 
 // ============================================
 // CONSTANTS & DATA
 // ============================================
 
-// Planet data with realistic planet colors and detailed content
-const SHARED_ORBIT_RADIUS = 5  // All planets share this orbit
-const SHARED_ORBIT_SPEED = 0.5  // All planets move at same speed (increased)
+// Orbit rings - planets on the same ring share one clock and are spaced
+// evenly around it, so they never drift apart whatever the count
+const ORBIT_RINGS = [
+  { id: 'inner', radius: 5, speed: 0.5, phase: 0 },
+  { id: 'outer', radius: 7, speed: 0.3, phase: Math.PI / 4 },
+]
+const DEFAULT_ORBIT_RING = 'inner'
 const SHARED_PLANET_SIZE = 0.7  // All planets same size
 
-const PLANETS = [
-  { 
-    id: 'about', 
-    title: 'About', 
-    color: '#5a9fd4',  // Earth-like blue
-    orbitRadius: SHARED_ORBIT_RADIUS,
-    orbitSpeed: SHARED_ORBIT_SPEED,
-    selfRotation: 0.01,
-    size: 0.7,
-    startAngle: 0,  // 0 degrees
-    content: 'Full Stack Developer & UI/UX Designer with 5+ years experience',
-    fullContent: {
-      heading: 'About Me',
-      description: `I'm Samardhh, a Full Stack Developer and UI/UX Designer with 5+ years of experience building high-performance, user-centric digital products across enterprise, SaaS, and startup environments.
-
-I uniquely blend product design, frontend engineering, and backend development—allowing me to design intuitive experiences and build them end-to-end with scalable, production-ready code.
-
-My work focuses on delivering clean UI, smooth interactions, strong architecture, and measurable impact on business and user experience.`,
-      highlights: ['Product Thinking', 'UI/UX Design', 'Full Stack Development', 'Reusable Component Systems', 'Scalable Architecture Design', 'Real-Time Application Development', 'Strong Debugging & Problem Solving'],
-      whatIDo: {
-        design: ['User Research & Requirement Analysis', 'Wireframes, Low-Fi & High-Fi UI', 'Design Systems & Component Libraries', 'Interaction & Motion Design', 'Prototyping (Figma, FigJam)', 'Usability Testing', 'Information Architecture'],
-        development: ['React.js, Next.js, TypeScript', 'Node.js, Express, REST APIs', 'Microfrontends & Scalable Architecture', 'PostgreSQL, MongoDB', 'Performance Optimization', 'Unit Testing, CI/CD', 'Swagger, Postman, Git']
-      },
-      philosophy: [
-        'Design with purpose → every screen should reduce user effort',
-        'Code with clarity → scalable, reusable, maintainable architecture',
-        'Consistency is power → strong UI patterns make products intuitive',
-        'Performance matters → optimize for speed and smooth UX',
-        'End-to-end ownership → design it, build it, improve it'
-      ]
-    }
-  },
-  { 
-    id: 'experience', 
-    title: 'Experience', 
-    color: '#c1440e',  // Mars-like rust red
-    orbitRadius: SHARED_ORBIT_RADIUS,
-    orbitSpeed: SHARED_ORBIT_SPEED,
-    selfRotation: 0.015,
-    size: 0.75,
-    startAngle: Math.PI / 2,  // 90 degrees
-    content: '5+ years of Full Stack Development & UI/UX Design',
-    fullContent: {
-      heading: 'Experience',
-      description: `With over 5 years of professional experience, I've worked across product design, UI/UX, and full stack development — from enterprise platforms to consumer applications.`,
-      experiences: [
-        { 
-          role: 'Engineer III – Full Stack Developer + UI/UX', 
-          company: 'Verizon – Event Manager Platform', 
-          period: '2023 - Present', 
-          desc: 'Improved UI performance by 35%, reduced duplicate components by 40%, enhanced real-time reliability for alert monitoring.',
-          designWork: ['Designed dashboard layouts, user flows, and microfrontend navigation', 'Created reusable design components for consistent UI', 'Simplified large data-heavy screens into cleaner, digestible interactions'],
-          devWork: ['Built the React.js frontend architecture', 'Developed Node.js microservices with PostgreSQL', 'Implemented WebSockets for real-time event updates', 'Standardized API documentation using Swagger']
-        },
-        { 
-          role: 'UI/UX + Frontend Developer', 
-          company: 'Lemnisk – CDP Marketing Dashboard', 
-          period: '2022 - 2023', 
-          desc: 'Designed analytics dashboards and visualizations. Improved workflow clarity for marketing teams.',
-          designWork: ['Designed analytics dashboards and visualizations', 'Improved workflow clarity for marketing teams', 'Established UI consistency across modules'],
-          devWork: ['Developed scalable React pages and shared components', 'Integrated APIs to deliver real-time marketing insights']
-        },
-        { 
-          role: 'Sole UI/UX Designer + Frontend Developer', 
-          company: 'WeDigit – End-to-End Product Ownership', 
-          period: '2021 - 2022', 
-          desc: 'Designed entire product flows from scratch (wireframes → final UI). Delivered pixel-perfect, responsive React UIs.',
-          designWork: ['Designed entire product flows from scratch', 'Built reusable component systems', 'Ensured strong UX across devices'],
-          devWork: ['Delivered pixel-perfect, responsive React UIs', 'Built reusable component systems']
-        },
-        { 
-          role: 'Full Stack Developer + UX Improvements', 
-          company: 'Savvas Learning – EdTech Platform', 
-          period: '2020 - 2021', 
-          desc: 'Enhanced UX for assessments and navigation. Resolved user pain points through research-driven debugging.',
-          designWork: ['Enhanced UX for assessments and navigation', 'Resolved user pain points through research-driven debugging'],
-          devWork: ['Contributed to both backend (Node.js) and frontend (React) modules']
-        }
-      ]
-    }
-  },
-  { 
-    id: 'skills', 
-    title: 'Skills', 
-    color: '#d4a574',  // Saturn-like beige/tan
-    orbitRadius: SHARED_ORBIT_RADIUS,
-    orbitSpeed: SHARED_ORBIT_SPEED,
-    selfRotation: 0.012,
-    size: 0.7,
-    startAngle: Math.PI,  // 180 degrees
-    content: 'Full Stack Development, UI/UX Design, React, Node.js',
-    fullContent: {
-      heading: 'Tech & Design Stack',
-      description: `I combine strong design skills with full stack technical expertise, enabling me to bridge the gap between design and development seamlessly.`,
-      skillCategories: [
-        { category: 'Design Tools', skills: ['Figma', 'FigJam', 'Adobe XD', 'Miro', 'User Flows', 'Personas', 'Prototypes', 'Journey Maps'] },
-        { category: 'Frontend', skills: ['React.js', 'Next.js', 'JavaScript (ES6+)', 'TypeScript', 'Redux', 'Context API', 'React Query', 'Tailwind CSS', 'Material UI', 'Ant Design'] },
-        { category: 'Backend', skills: ['Node.js', 'Express.js', 'REST APIs', 'Swagger', 'PostgreSQL', 'MongoDB'] },
-        { category: 'Other Tools', skills: ['Docker', 'Postman', 'GitHub', 'Bitbucket', 'Jira', 'Confluence', 'CI/CD (Jenkins, GitHub Actions)'] }
-      ],
-      coreStrengths: ['Product Thinking', 'UI/UX Design', 'Full Stack Development', 'Reusable Component Systems', 'Scalable Architecture Design', 'Real-Time Application Development', 'Collaboration with PM, SRE, UX, and Backend Teams', 'Strong Debugging & Problem Solving']
+// Motion used by planets without an entry in PLANET_ORBITS
+const DEFAULT_PLANET_ORBIT = { ring: DEFAULT_ORBIT_RING, selfRotation: 0.01 }
+
+// Per-planet motion settings - copy lives in src/content/planets
+const PLANET_ORBITS = {
+  about: { selfRotation: 0.01 },
+  experience: { selfRotation: 0.015 },
+  skills: { selfRotation: 0.012 },
+  education: { selfRotation: 0.008 },
+  projects: { ring: 'outer', selfRotation: 0.01 },
+}
+
+// Place each planet on its ring: slot i of n sits at phase + i * 360°/n
+function layoutPlanets(contents) {
+  const planets = contents.map((content) => ({
+    ...content,
+    ...DEFAULT_PLANET_ORBIT,
+    ...PLANET_ORBITS[content.id],
+  }))
+
+  return planets.map((planet) => {
+    const ring = ORBIT_RINGS.find(r => r.id === planet.ring)
+    if (!ring) {
+      throw new Error(`Planet "${planet.id}" uses unknown orbit ring "${planet.ring}"`)
     }
-  },
-  { 
-    id: 'education', 
-    title: 'Education', 
-    color: '#7b68ee',  // Purple/violet - knowledge color
-    orbitRadius: SHARED_ORBIT_RADIUS,
-    orbitSpeed: SHARED_ORBIT_SPEED,
-    selfRotation: 0.008,
-    size: 0.65,
-    startAngle: Math.PI * 1.5,  // 270 degrees
-    content: 'B.Tech – Computer Science, GITAM University',
-    fullContent: {
-      heading: 'Education',
-      description: `My academic foundation in technology has been instrumental in shaping my approach to design and development.`,
-      education: [
-        {
-          degree: 'B.Tech – Computer Science',
-          institution: 'GITAM University',
-          year: '2015 - 2019',
-          cgpa: '8.5',
-          desc: 'Graduated with a strong foundation in Computer Science and Engineering. Developed analytical thinking and problem-solving skills that I apply to design challenges today.'
-        }
-      ]
+    const ringmates = planets.filter(p => p.ring === planet.ring)
+    const slot = ringmates.indexOf(planet)
+    return {
+      ...planet,
+      orbitRadius: ring.radius,
+      orbitSpeed: ring.speed,
+      angleOffset: ring.phase + (slot * Math.PI * 2) / ringmates.length,
     }
-  },
-]
+  })
+}
+
+const PLANETS = layoutPlanets(PLANET_CONTENT)
+
+// Only rings that have planets get a clock
+const ACTIVE_ORBIT_RINGS = ORBIT_RINGS.filter(ring => PLANETS.some(p => p.ring === ring.id))
 
 // ============================================
 // UTILITY FUNCTIONS
@@ -168,66 +95,6 @@ function seededRandom(seed) {
   return x - Math.floor(x)
 }
 
-// ============================================
-// AVATAR LOADING (Singleton Pattern)
-// ============================================
-
-let cachedAvatar = null
-let avatarLoading = false
-const avatarCallbacks = []
-
-function loadAvatar(callback) {
-  if (cachedAvatar) {
-    callback(cachedAvatar.clone())
-    return
-  }
-  avatarCallbacks.push(callback)
-  if (!avatarLoading) {
-    avatarLoading = true
-    const loader = new GLTFLoader()
-    loader.load(
-      '/models/avatar.glb',
-      (gltf) => {
-        cachedAvatar = gltf.scene
-        avatarCallbacks.forEach(cb => cb(cachedAvatar.clone()))
-        avatarCallbacks.length = 0
-      },
-      undefined,
-      (err) => console.error('Error loading avatar:', err)
-    )
-  }
-}
-
-// ============================================
-// ASTEROID LOADING (Singleton Pattern)
-// ============================================
-
-let cachedAsteroid = null
-let asteroidLoading = false
-const asteroidCallbacks = []
-
-function loadAsteroid(callback) {
-  if (cachedAsteroid) {
-    callback(cachedAsteroid.clone())
-    return
-  }
-  asteroidCallbacks.push(callback)
-  if (!asteroidLoading) {
-    asteroidLoading = true
-    const loader = new GLTFLoader()
-    loader.load(
-      '/models/astr.glb',
-      (gltf) => {
-        cachedAsteroid = gltf.scene
-        asteroidCallbacks.forEach(cb => cb(cachedAsteroid.clone()))
-        asteroidCallbacks.length = 0
-      },
-      undefined,
-      (err) => console.error('Error loading asteroid:', err)
-    )
-  }
-}
-
 // ============================================
 // SUN COMPONENT
 // ============================================
@@ -235,12 +102,25 @@ function loadAsteroid(callback) {
 // ============================================
 // CENTER AVATAR COMPONENT (replaces Sun)
 // ============================================
-const CenterAvatar = memo(function CenterAvatar({ onAvatarClick, isMobile, isSmallMobile }) {
+
+// Colored fill lights around the avatar - brighter while it is active
+const AVATAR_FILL_LIGHTS = [
+  { position: [3, 1, 0], color: '#8a2be2', distance: 10, intensity: 1.0, activeIntensity: 2.0 },
+  { position: [-3, 1, 0], color: '#ff6600', distance: 10, intensity: 1.0, activeIntensity: 2.0 },
+  { position: [0, -1, 2], color: '#4fc3f7', distance: 8, intensity: 0.8, activeIntensity: 1.5 },
+]
+
+const CenterAvatar = memo(function CenterAvatar({ onAvatarClick, highlighted, isMobile, isSmallMobile }) {
   const groupRef = useRef()
   const modelRef = useRef()
+  const keyLightRef = useRef()
+  const fillLightsRef = useRef([])
   const [model, setModel] = useState(null)
   const [hovered, setHovered] = useState(false)
   const [clicked, setClicked] = useState(false)
+  // Keyboard focus (PlanetNavigator) lights the avatar up like hovering
+  const active = hovered || highlighted
+  const { extraLights, glowMeshes } = useQuality()
   
   // Responsive avatar scale (increased)
   const avatarScale = useMemo(() => {
@@ -250,7 +130,7 @@ const CenterAvatar = memo(function CenterAvatar({ onAvatarClick, isMobile, isSma
   }, [isMobile, isSmallMobile])
 
   useEffect(() => {
-    loadAvatar((m) => {
+    return loadModel('avatar', (m) => {
       m.scale.set(avatarScale, avatarScale, avatarScale)
       m.position.set(0, 0, 0)
       modelRef.current = m
@@ -261,18 +141,26 @@ const CenterAvatar = memo(function CenterAvatar({ onAvatarClick, isMobile, isSma
   useFrame((state) => {
     if (groupRef.current) {
       // Gentle rotation and floating (increased speed)
-      groupRef.current.rotation.y += hovered ? 0.02 : 0.008
+      groupRef.current.rotation.y += active ? 0.02 : 0.008
       const floatOffset = Math.sin(state.clock.elapsedTime * 0.5) * 0.1
       
       // Smooth scale transition on hover
       const currentScale = groupRef.current.scale.x
-      const target = hovered ? 1.15 : 1.0
+      const target = active ? 1.15 : 1.0
       const newScale = currentScale + (target - currentScale) * 0.08
       groupRef.current.scale.set(newScale, newScale, newScale)
       
       // Position avatar ABOVE the orbit plane (Y=0), centered at X=0, Z=0
       groupRef.current.position.set(0, 0.5 + floatOffset, 0)
     }
+
+    // Lights swell with the background music's bass
+    const bass = isMotionReduced() ? 0 : getAudioLevels().bass
+    if (keyLightRef.current) keyLightRef.current.intensity = (active ? 3.5 : 2.0) * (1 + bass)
+    fillLightsRef.current.forEach((light, i) => {
+      const { intensity, activeIntensity } = AVATAR_FILL_LIGHTS[i]
+      if (light) light.intensity = (active ? activeIntensity : intensity) * (1 + bass * 1.5)
+    })
   })
 
   const handleClick = (e) => {
@@ -301,12 +189,20 @@ const CenterAvatar = memo(function CenterAvatar({ onAvatarClick, isMobile, isSma
     >
       <primitive object={model} />
       {/* Lighting for avatar - intensifies on hover */}
-      <pointLight position={[0, 2, 3]} intensity={hovered ? 3.5 : 2.0} color="#ffffff" distance={12} />
-      <pointLight position={[3, 1, 0]} intensity={hovered ? 2.0 : 1.0} color="#8a2be2" distance={10} />
-      <pointLight position={[-3, 1, 0]} intensity={hovered ? 2.0 : 1.0} color="#ff6600" distance={10} />
-      <pointLight position={[0, -1, 2]} intensity={hovered ? 1.5 : 0.8} color="#4fc3f7" distance={8} />
+      <pointLight ref={keyLightRef} position={[0, 2, 3]} intensity={active ? 3.5 : 2.0} color="#ffffff" distance={12} />
+      {/* Colored fill lights - dropped on lower quality tiers */}
+      {extraLights && AVATAR_FILL_LIGHTS.map(({ position, color, distance, intensity, activeIntensity }, i) => (
+        <pointLight
+          key={color}
+          ref={(light) => { fillLightsRef.current[i] = light }}
+          position={position}
+          intensity={active ? activeIntensity : intensity}
+          color={color}
+          distance={distance}
+        />
+      ))}
       {/* Glow effect on hover - larger for bigger avatar */}
-      {hovered && (
+      {active && glowMeshes && (
         <>
           <mesh>
             <sphereGeometry args={[1.8, 32, 32]} />
@@ -341,7 +237,7 @@ const AvatarModel = memo(function AvatarModel({ color }) {
   const [model, setModel] = useState(null)
 
   useEffect(() => {
-    loadAvatar((m) => {
+    return loadModel('avatar', (m) => {
       m.scale.set(1.5, 1.5, 1.5)
       m.position.set(0, -1.5, 0)
       setModel(m)
@@ -377,7 +273,7 @@ const ContactAvatar = memo(function ContactAvatar({ isMobile, direction = 'cente
   const targetRotation = useRef(0)
 
   useEffect(() => {
-    loadAvatar((m) => {
+    return loadModel('avatar', (m) => {
       const scale = isMobile ? 0.9 : 1.1
       m.scale.set(scale, scale, scale)
       m.position.set(0, -0.2, 0)
@@ -546,287 +442,50 @@ const ModalScene = memo(function ModalScene({ color }) {
 // SPACE MODAL COMPONENT
 // ============================================
 
-const SpaceModal = memo(function SpaceModal({ planet, onClose, isMobile }) {
+// Projects listed by the planet's "project-list" sections
+function getPlanetProjects(planet) {
+  return planet.fullContent.sections
+    .filter(section => section.type === 'project-list')
+    .flatMap(section => section.projects)
+}
+
+const SpaceModal = memo(function SpaceModal({ planet, projectId, onSelectProject, onCloseProject, onClose, isMobile }) {
   const [isVisible, setIsVisible] = useState(false)
+  const contentRef = useRef()
+  useFocusTrap(contentRef)
+  const activeProject = projectId
+    ? getPlanetProjects(planet).find(p => p.id === projectId)
+    : null
   
   useEffect(() => {
-    setTimeout(() => setIsVisible(true), 50)
-    
+    const timer = setTimeout(() => setIsVisible(true), 50)
+    return () => clearTimeout(timer)
+  }, [])
+
+  // Escape leaves an open case study first, then closes the modal
+  useEffect(() => {
     const handleEscape = (e) => {
-      if (e.key === 'Escape') onClose()
+      if (e.key !== 'Escape') return
+      if (activeProject) onCloseProject()
+      else onClose()
     }
     window.addEventListener('keydown', handleEscape)
     return () => window.removeEventListener('keydown', handleEscape)
-  }, [onClose])
+  }, [onClose, onCloseProject, activeProject])
+
+  // Start each case study (and the list again) from the top, keeping
+  // focus inside the dialog after the clicked card unmounts
+  useEffect(() => {
+    if (!contentRef.current) return
+    contentRef.current.scrollTop = 0
+    contentRef.current.focus({ preventScroll: true })
+  }, [projectId])
 
   const handleClose = useCallback(() => {
     setIsVisible(false)
     setTimeout(onClose, 300)
   }, [onClose])
 
-  // Get the appropriate 3D icon for the planet
-  const renderIcon = useCallback(() => {
-    const iconSize = isMobile ? 1.2 : 1.5
-    if (planet.id === 'about') {
-      return <PersonIcon color={planet.color} size={iconSize} />
-    } else if (planet.id === 'experience') {
-      return <BriefcaseIcon color={planet.color} size={iconSize} />
-    } else if (planet.id === 'skills') {
-      return <GearIcon color={planet.color} size={iconSize} />
-    } else if (planet.id === 'education') {
-      return <GraduationCapIcon color={planet.color} size={iconSize} />
-    }
-    return null
-  }, [planet.id, planet.color, isMobile])
-
-  const renderContent = useCallback(() => {
-    const { fullContent } = planet
-    
-    if (planet.id === 'about') {
-      return (
-        <>
-          <p style={{ 
-            fontSize: isMobile ? '14px' : '16px', 
-            lineHeight: 1.8, 
-            opacity: 0.9,
-            whiteSpace: 'pre-line',
-            marginBottom: '24px'
-          }}>
-            {fullContent.description}
-          </p>
-          
-          {/* Core Strengths */}
-          <div style={{ marginBottom: '28px' }}>
-            <h4 style={{ color: planet.color, marginBottom: '12px', fontSize: isMobile ? '15px' : '17px' }}>🧩 Core Strengths</h4>
-            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', justifyContent: 'center' }}>
-              {fullContent.highlights.map((highlight, i) => (
-                <span key={i} style={{
-                  padding: '8px 16px',
-                  background: `${planet.color}33`,
-                  border: `1px solid ${planet.color}66`,
-                  borderRadius: '20px',
-                  fontSize: isMobile ? '12px' : '14px',
-                  color: planet.color,
-                }}>
-                  {highlight}
-                </span>
-              ))}
-            </div>
-          </div>
-          
-          {/* What I Do */}
-          {fullContent.whatIDo && (
-            <div style={{ marginBottom: '28px' }}>
-              <h4 style={{ color: planet.color, marginBottom: '16px', fontSize: isMobile ? '15px' : '17px' }}>💼 What I Do</h4>
-              <div style={{ display: 'grid', gridTemplateColumns: isMobile ? '1fr' : '1fr 1fr', gap: '16px' }}>
-                <div style={{
-                  padding: '16px',
-                  background: `${planet.color}22`,
-                  border: `1px solid ${planet.color}44`,
-                  borderRadius: '12px',
-                  textAlign: 'left',
-                }}>
-                  <h5 style={{ margin: '0 0 12px 0', color: planet.color, fontSize: isMobile ? '13px' : '15px' }}>🎨 UI/UX Design</h5>
-                  <ul style={{ margin: 0, paddingLeft: '18px', fontSize: isMobile ? '11px' : '13px', opacity: 0.85, lineHeight: 1.8 }}>
-                    {fullContent.whatIDo.design.map((item, i) => (
-                      <li key={i}>{item}</li>
-                    ))}
-                  </ul>
-                </div>
-                <div style={{
-                  padding: '16px',
-                  background: `${planet.color}22`,
-                  border: `1px solid ${planet.color}44`,
-                  borderRadius: '12px',
-                  textAlign: 'left',
-                }}>
-                  <h5 style={{ margin: '0 0 12px 0', color: planet.color, fontSize: isMobile ? '13px' : '15px' }}>💻 Full Stack Development</h5>
-                  <ul style={{ margin: 0, paddingLeft: '18px', fontSize: isMobile ? '11px' : '13px', opacity: 0.85, lineHeight: 1.8 }}>
-                    {fullContent.whatIDo.development.map((item, i) => (
-                      <li key={i}>{item}</li>
-                    ))}
-                  </ul>
-                </div>
-              </div>
-            </div>
-          )}
-          
-          {/* Philosophy */}
-          {fullContent.philosophy && (
-            <div>
-              <h4 style={{ color: planet.color, marginBottom: '12px', fontSize: isMobile ? '15px' : '17px' }}>🧠 Philosophy – Design × Code</h4>
-              <div style={{
-                padding: '16px',
-                background: `${planet.color}15`,
-                border: `1px solid ${planet.color}33`,
-                borderRadius: '12px',
-                textAlign: 'left',
-              }}>
-                <ul style={{ margin: 0, paddingLeft: '18px', fontSize: isMobile ? '12px' : '14px', opacity: 0.85, lineHeight: 2 }}>
-                  {fullContent.philosophy.map((item, i) => (
-                    <li key={i}>{item}</li>
-                  ))}
-                </ul>
-              </div>
-            </div>
-          )}
-        </>
-      )
-    }
-    
-    if (planet.id === 'experience') {
-      return (
-        <>
-          <p style={{ fontSize: isMobile ? '14px' : '16px', lineHeight: 1.6, opacity: 0.9, marginBottom: '24px' }}>
-            {fullContent.description}
-          </p>
-          <div style={{ display: 'flex', flexDirection: 'column', gap: '20px' }}>
-            {fullContent.experiences.map((exp, i) => (
-              <div key={i} style={{
-                padding: '20px',
-                background: `${planet.color}22`,
-                border: `1px solid ${planet.color}44`,
-                borderRadius: '12px',
-                textAlign: 'left',
-              }}>
-                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px', flexWrap: 'wrap', gap: '8px' }}>
-                  <h4 style={{ margin: 0, color: planet.color, fontSize: isMobile ? '14px' : '16px' }}>{exp.role}</h4>
-                  <span style={{ fontSize: isMobile ? '11px' : '12px', opacity: 0.6, background: `${planet.color}33`, padding: '4px 10px', borderRadius: '12px' }}>{exp.period}</span>
-                </div>
-                <div style={{ fontSize: isMobile ? '13px' : '15px', opacity: 0.9, marginBottom: '10px', fontWeight: 500 }}>{exp.company}</div>
-                <div style={{ fontSize: isMobile ? '12px' : '13px', opacity: 0.75, marginBottom: '12px' }}>{exp.desc}</div>
-                
-                {/* Design Work */}
-                {exp.designWork && (
-                  <div style={{ marginBottom: '10px' }}>
-                    <h5 style={{ margin: '0 0 6px 0', color: planet.color, fontSize: isMobile ? '11px' : '12px', opacity: 0.9 }}>🎨 Design Contributions:</h5>
-                    <ul style={{ margin: 0, paddingLeft: '16px', fontSize: isMobile ? '10px' : '11px', opacity: 0.7, lineHeight: 1.7 }}>
-                      {exp.designWork.map((item, j) => (
-                        <li key={j}>{item}</li>
-                      ))}
-                    </ul>
-                  </div>
-                )}
-                
-                {/* Dev Work */}
-                {exp.devWork && (
-                  <div>
-                    <h5 style={{ margin: '0 0 6px 0', color: planet.color, fontSize: isMobile ? '11px' : '12px', opacity: 0.9 }}>💻 Development Work:</h5>
-                    <ul style={{ margin: 0, paddingLeft: '16px', fontSize: isMobile ? '10px' : '11px', opacity: 0.7, lineHeight: 1.7 }}>
-                      {exp.devWork.map((item, j) => (
-                        <li key={j}>{item}</li>
-                      ))}
-                    </ul>
-                  </div>
-                )}
-              </div>
-            ))}
-          </div>
-        </>
-      )
-    }
-    
-    if (planet.id === 'skills') {
-      return (
-        <>
-          <p style={{ fontSize: isMobile ? '14px' : '16px', lineHeight: 1.6, opacity: 0.9, marginBottom: '24px' }}>
-            {fullContent.description}
-          </p>
-          <div style={{ display: 'grid', gridTemplateColumns: isMobile ? '1fr' : '1fr 1fr', gap: '16px', marginBottom: '24px' }}>
-            {fullContent.skillCategories.map((cat, i) => (
-              <div key={i} style={{
-                padding: '16px',
-                background: `${planet.color}22`,
-                border: `1px solid ${planet.color}44`,
-                borderRadius: '12px',
-              }}>
-                <h4 style={{ margin: '0 0 12px 0', color: planet.color, fontSize: isMobile ? '14px' : '16px' }}>{cat.category}</h4>
-                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
-                  {cat.skills.map((skill, j) => (
-                    <span key={j} style={{
-                      padding: '4px 10px',
-                      background: 'rgba(255,255,255,0.1)',
-                      borderRadius: '8px',
-                      fontSize: isMobile ? '11px' : '12px',
-                    }}>
-                      {skill}
-                    </span>
-                  ))}
-                </div>
-              </div>
-            ))}
-          </div>
-          
-          {/* Core Strengths */}
-          {fullContent.coreStrengths && (
-            <div>
-              <h4 style={{ color: planet.color, marginBottom: '12px', fontSize: isMobile ? '15px' : '17px' }}>🧩 Core Strengths</h4>
-              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', justifyContent: 'center' }}>
-                {fullContent.coreStrengths.map((strength, i) => (
-                  <span key={i} style={{
-                    padding: '8px 14px',
-                    background: `${planet.color}33`,
-                    border: `1px solid ${planet.color}66`,
-                    borderRadius: '20px',
-                    fontSize: isMobile ? '11px' : '13px',
-                    color: planet.color,
-                  }}>
-                    {strength}
-                  </span>
-                ))}
-              </div>
-            </div>
-          )}
-        </>
-      )
-    }
-    
-    if (planet.id === 'education') {
-      return (
-        <>
-          <p style={{ fontSize: isMobile ? '14px' : '16px', lineHeight: 1.6, opacity: 0.9, marginBottom: '24px' }}>
-            {fullContent.description}
-          </p>
-          <div style={{ display: 'flex', flexDirection: 'column', gap: '16px' }}>
-            {fullContent.education.map((edu, i) => (
-              <div key={i} style={{
-                padding: '24px',
-                background: `${planet.color}22`,
-                border: `1px solid ${planet.color}44`,
-                borderRadius: '12px',
-                textAlign: 'left',
-              }}>
-                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px', flexWrap: 'wrap', gap: '8px' }}>
-                  <h4 style={{ margin: 0, color: planet.color, fontSize: isMobile ? '16px' : '20px' }}>🎓 {edu.degree}</h4>
-                  <span style={{ fontSize: isMobile ? '11px' : '12px', opacity: 0.6, background: `${planet.color}33`, padding: '4px 12px', borderRadius: '12px' }}>{edu.year}</span>
-                </div>
-                <div style={{ fontSize: isMobile ? '15px' : '18px', opacity: 0.95, marginBottom: '12px', color: planet.color, fontWeight: 500 }}>{edu.institution}</div>
-                
-                {/* CGPA */}
-                {edu.cgpa && (
-                  <div style={{ 
-                    display: 'inline-block',
-                    marginBottom: '16px',
-                    padding: '10px 20px',
-                    background: `linear-gradient(135deg, ${planet.color}44, ${planet.color}22)`,
-                    border: `2px solid ${planet.color}`,
-                    borderRadius: '12px',
-                  }}>
-                    <span style={{ fontSize: isMobile ? '12px' : '14px', opacity: 0.8 }}>CGPA: </span>
-                    <span style={{ fontSize: isMobile ? '20px' : '24px', fontWeight: 'bold', color: planet.color }}>{edu.cgpa}</span>
-                  </div>
-                )}
-                
-                <div style={{ fontSize: isMobile ? '13px' : '15px', opacity: 0.75, lineHeight: 1.7 }}>{edu.desc}</div>
-              </div>
-            ))}
-          </div>
-        </>
-      )
-    }
-    return null
-  }, [planet, isMobile])
-
   return (
     <div style={{
       position: 'fixed',
@@ -853,45 +512,53 @@ const SpaceModal = memo(function SpaceModal({ planet, onClose, isMobile }) {
         }} 
       />
       
-      {/* 3D Canvas for galactic background */}
+      {/* 3D galactic background around the content */}
       <div style={{
         position: 'absolute',
         top: 0,
         left: 0,
         width: '100%',
         height: '100%',
-        opacity: 0.6,
       }}>
-        <Canvas camera={{ position: [0, 0, 8], fov: 50 }}>
+        <RenderLayer camera={{ position: [0, 0, 8], fov: 50 }} index={4} overlay behind={contentRef}>
           <Suspense fallback={null}>
             <ModalScene color={planet.color} />
           </Suspense>
-        </Canvas>
+        </RenderLayer>
       </div>
       
       {/* Content container */}
-      <div style={{
-        position: 'absolute',
-        top: '50%',
-        left: '50%',
-        transform: `translate(-50%, -50%) scale(${isVisible ? 1 : 0.9})`,
-        transition: 'transform 0.3s ease',
-        width: isMobile ? '95%' : '90%',
-        maxWidth: '800px',
-        maxHeight: '85vh',
-        overflowY: 'auto',
-        background: `linear-gradient(135deg, ${planet.color}15 0%, rgba(0,0,0,0.8) 50%, ${planet.color}10 100%)`,
-        backdropFilter: 'blur(30px)',
-        border: `2px solid ${planet.color}44`,
-        borderRadius: '24px',
-        padding: isMobile ? '24px' : '40px',
-        color: '#fff',
-        textAlign: 'center',
-        boxShadow: `0 0 60px ${planet.color}33, inset 0 0 60px ${planet.color}11`,
-      }}>
+      <div
+        ref={contentRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="space-modal-heading"
+        tabIndex={-1}
+        style={{
+          outline: 'none',
+          position: 'absolute',
+          top: '50%',
+          left: '50%',
+          transform: `translate(-50%, -50%) scale(${isVisible ? 1 : 0.9})`,
+          transition: 'transform 0.3s ease',
+          width: isMobile ? '95%' : '90%',
+          maxWidth: '800px',
+          maxHeight: '85vh',
+          overflowY: 'auto',
+          background: `linear-gradient(135deg, ${planet.color}15 0%, rgba(0,0,0,0.8) 50%, ${planet.color}10 100%)`,
+          backdropFilter: 'blur(30px)',
+          border: `2px solid ${planet.color}44`,
+          borderRadius: '24px',
+          padding: isMobile ? '24px' : '40px',
+          color: '#fff',
+          textAlign: 'center',
+          boxShadow: `0 0 60px ${planet.color}33, inset 0 0 60px ${planet.color}11`,
+        }}
+      >
         {/* Close button */}
         <button
           onClick={handleClose}
+          aria-label="Close"
           style={{
             position: 'absolute',
             top: '16px',
@@ -922,7 +589,7 @@ const SpaceModal = memo(function SpaceModal({ planet, onClose, isMobile }) {
         </button>
         
         {/* 3D Planet Icon */}
-        <div style={{
+        <div aria-hidden="true" style={{
           width: isMobile ? '100px' : '140px',
           height: isMobile ? '100px' : '140px',
           margin: '0 auto 16px',
@@ -930,18 +597,18 @@ const SpaceModal = memo(function SpaceModal({ planet, onClose, isMobile }) {
           background: `radial-gradient(circle, ${planet.color}33 0%, transparent 70%)`,
           boxShadow: `0 0 40px ${planet.color}44, 0 0 80px ${planet.color}22`,
         }}>
-          <Canvas camera={{ position: [0, 0, 3], fov: 50 }} style={{ background: 'transparent' }}>
+          <RenderLayer camera={{ position: [0, 0, 3], fov: 50 }} index={5} overlay clip={contentRef}>
             <ambientLight intensity={0.8} />
             <directionalLight position={[3, 3, 3]} intensity={1.2} />
             <pointLight position={[0, 0, 2]} intensity={2} color={planet.color} />
             <Suspense fallback={null}>
-              {renderIcon()}
+              <PlanetIcon icon={planet.icon} color={planet.color} size={isMobile ? 1.2 : 1.5} />
             </Suspense>
-          </Canvas>
+          </RenderLayer>
         </div>
         
         {/* Heading */}
-        <h2 style={{
+        <h2 id="space-modal-heading" style={{
           margin: '0 0 24px 0',
           fontSize: isMobile ? '28px' : '36px',
           fontFamily: '"Orbitron", sans-serif',
@@ -951,8 +618,23 @@ const SpaceModal = memo(function SpaceModal({ planet, onClose, isMobile }) {
           {planet.fullContent.heading}
         </h2>
         
-        {/* Dynamic content */}
-        {renderContent()}
+        {/* Sections composed from the planet's content file */}
+        {activeProject ? (
+          <CaseStudy
+            key={activeProject.id}
+            project={activeProject}
+            color={planet.color}
+            isMobile={isMobile}
+            onBack={onCloseProject}
+          />
+        ) : (
+          <SectionRenderer
+            sections={planet.fullContent.sections}
+            color={planet.color}
+            isMobile={isMobile}
+            onSelectProject={onSelectProject}
+          />
+        )}
       </div>
       
       <style>{`
@@ -969,15 +651,27 @@ const SpaceModal = memo(function SpaceModal({ planet, onClose, isMobile }) {
 // PLANET COMPONENT
 // ============================================
 
-// Shared time reference for synchronized orbit
-const sharedOrbitTime = { current: 0 }
+// Shared time reference per ring for synchronized orbits
+const ringOrbitTime = Object.fromEntries(ORBIT_RINGS.map(ring => [ring.id, 0]))
 
-const Planet = memo(function Planet({ planet, isMobile, onClick, planetIndex }) {
+// Advances every ring clock once per frame - mounted before the planets
+// so they all read the same angle in a given frame
+const OrbitClock = memo(function OrbitClock() {
+  useFrame(() => {
+    // Reduced motion: planets hold their places on the rings
+    if (isMotionReduced()) return
+    ACTIVE_ORBIT_RINGS.forEach((ring) => {
+      ringOrbitTime[ring.id] += 0.01 * ring.speed
+    })
+  })
+  return null
+})
+
+const Planet = memo(function Planet({ planet, isMobile, highlighted, onClick }) {
   const meshRef = useRef()
   const groupRef = useRef()
-  
-  // Calculate angle based on planet index (4 planets = 90 degrees apart each)
-  const angleOffset = (planetIndex * Math.PI * 2) / 4  // Equal spacing: 0, π/2, π, 3π/2
+  const highlightRef = useRef()
+  const { glowMeshes } = useQuality()
   
   const adjustedOrbit = isMobile ? planet.orbitRadius * 0.55 : planet.orbitRadius
   const adjustedSize = isMobile ? SHARED_PLANET_SIZE * 0.85 : SHARED_PLANET_SIZE
@@ -1047,13 +741,8 @@ const Planet = memo(function Planet({ planet, isMobile, onClick, planetIndex })
 
   useFrame(() => {
     if (groupRef.current && meshRef.current) {
-      // Update shared time (only first planet updates it, others just read)
-      if (planetIndex === 0) {
-        sharedOrbitTime.current += 0.01 * planet.orbitSpeed
-      }
-      
-      // Calculate position using shared time + this planet's angle offset
-      const currentAngle = sharedOrbitTime.current + angleOffset
+      // Calculate position using the ring's shared time + this planet's slot
+      const currentAngle = ringOrbitTime[planet.ring] + planet.angleOffset
       
       // Orbit around center
       groupRef.current.position.x = Math.cos(currentAngle) * adjustedOrbit
@@ -1062,8 +751,13 @@ const Planet = memo(function Planet({ planet, isMobile, onClick, planetIndex })
       groupRef.current.position.y = fixedY
       
       // Self rotation
-      meshRef.current.rotation.y += planet.selfRotation
-      meshRef.current.rotation.x += planet.selfRotation * 0.3
+      if (!isMotionReduced()) {
+        meshRef.current.rotation.y += planet.selfRotation
+        meshRef.current.rotation.x += planet.selfRotation * 0.3
+      }
+    }
+    if (highlightRef.current && !isMotionReduced()) {
+      highlightRef.current.rotation.z += 0.02
     }
   })
 
@@ -1097,12 +791,26 @@ const Planet = memo(function Planet({ planet, isMobile, onClick, planetIndex })
         <icosahedronGeometry args={[adjustedSize, 2]} />
       </mesh>
       
+      {/* Keyboard focus highlight (PlanetNavigator) */}
+      {highlighted && (
+        <>
+          <mesh ref={highlightRef} rotation={[Math.PI / 2, 0, 0]}>
+            <torusGeometry args={[adjustedSize * 1.4, 0.04, 8, 48]} />
+            <meshBasicMaterial color={planet.color} />
+          </mesh>
+          {glowMeshes && (
+            <mesh>
+              <sphereGeometry args={[adjustedSize * 1.3, 24, 24]} />
+              <meshBasicMaterial color={planet.color} transparent opacity={0.15} />
+            </mesh>
+          )}
+          <pointLight intensity={2} color={planet.color} distance={4} />
+        </>
+      )}
+      
       {/* 3D Icon on top of planet */}
       <group position={[0, iconHeight, 0]}>
-        {planet.id === 'about' && <PersonIcon color={planet.color} size={iconSize} />}
-        {planet.id === 'experience' && <BriefcaseIcon color={planet.color} size={iconSize} />}
-        {planet.id === 'skills' && <GearIcon color={planet.color} size={iconSize} />}
-        {planet.id === 'education' && <GraduationCapIcon color={planet.color} size={iconSize} />}
+        <PlanetIcon icon={planet.icon} color={planet.color} size={iconSize} />
       </group>
       
       {/* Invisible larger hit area for easier clicking */}
@@ -1133,7 +841,7 @@ const Planet = memo(function Planet({ planet, isMobile, onClick, planetIndex })
 // 3D ICON COMPONENTS
 // ============================================
 
-const PersonIcon = memo(function PersonIcon({ color, size }) {
+const PersonIcon = memo(function PersonIcon({ color, size, glow = true }) {
   const groupRef = useRef()
   
   useFrame((state) => {
@@ -1170,13 +878,13 @@ const PersonIcon = memo(function PersonIcon({ color, size }) {
         <meshStandardMaterial color="#ff3300" emissive="#ff3300" emissiveIntensity={0.8} />
       </mesh>
       {/* Glow */}
-      <pointLight position={[0, 0, 0.5]} intensity={1.5} color={color} distance={2} />
+      {glow && <pointLight position={[0, 0, 0.5]} intensity={1.5} color={color} distance={2} />}
     </group>
   )
 })
 
 // Briefcase Icon for Experience planet
-const BriefcaseIcon = memo(function BriefcaseIcon({ color, size }) {
+const BriefcaseIcon = memo(function BriefcaseIcon({ color, size, glow = true }) {
   const groupRef = useRef()
   
   useFrame((state) => {
@@ -1204,13 +912,13 @@ const BriefcaseIcon = memo(function BriefcaseIcon({ color, size }) {
         <meshStandardMaterial color={color} emissive={color} emissiveIntensity={0.5} metalness={0.8} roughness={0.1} />
       </mesh>
       {/* Glow */}
-      <pointLight position={[0, 0, 0.5]} intensity={1} color={color} distance={2} />
+      {glow && <pointLight position={[0, 0, 0.5]} intensity={1} color={color} distance={2} />}
     </group>
   )
 })
 
 // Gear Icon for Skills planet
-const GearIcon = memo(function GearIcon({ color, size }) {
+const GearIcon = memo(function GearIcon({ color, size, glow = true }) {
   const groupRef = useRef()
   
   useFrame((state) => {
@@ -1261,13 +969,13 @@ const GearIcon = memo(function GearIcon({ color, size }) {
         <cylinderGeometry args={[0.12, 0.12, 0.2, 16]} />
         <meshStandardMaterial color={color} emissive={color} emissiveIntensity={0.5} metalness={0.8} roughness={0.1} />
       </mesh>
-      <pointLight position={[0, 0, 0.3]} intensity={1} color={color} distance={2} />
+      {glow && <pointLight position={[0, 0, 0.3]} intensity={1} color={color} distance={2} />}
     </group>
   )
 })
 
 // Graduation Cap Icon for Education planet
-const GraduationCapIcon = memo(function GraduationCapIcon({ color, size }) {
+const GraduationCapIcon = memo(function GraduationCapIcon({ color, size, glow = true }) {
   const groupRef = useRef()
   
   useFrame((state) => {
@@ -1305,175 +1013,97 @@ const GraduationCapIcon = memo(function GraduationCapIcon({ color, size }) {
         <meshStandardMaterial color={color} emissive={color} emissiveIntensity={0.5} />
       </mesh>
       {/* Glow */}
-      <pointLight position={[0, 0, 0.5]} intensity={1} color={color} distance={2} />
+      {glow && <pointLight position={[0, 0, 0.5]} intensity={1} color={color} distance={2} />}
     </group>
   )
 })
 
-// ============================================
-// ALIEN IN SPACESHIP COMPONENT
-// ============================================
-
-const AlienSpaceship = memo(function AlienSpaceship({ isMobile, side = 'right' }) {
+const RocketIcon = memo(function RocketIcon({ color, size, glow = true }) {
   const groupRef = useRef()
-  const eyeLeftRef = useRef()
-  const eyeRightRef = useRef()
-  
-  // Different colors for left and right
-  const isLeft = side === 'left'
-  const shipColor = isLeft ? '#cc6688' : '#6688cc'       // Pink vs Blue
-  const shipEmissive = isLeft ? '#aa3355' : '#3355aa'
-  const shipBottomColor = isLeft ? '#bb5577' : '#5577bb'
-  const rimLightColor = isLeft ? '#66ffff' : '#ff66ff'   // Cyan vs Magenta
-  const alienColor = isLeft ? '#dd66aa' : '#44dd66'      // Pink vs Green
-  const alienEmissive = isLeft ? '#aa4488' : '#22aa44'
-  const antennaColor = isLeft ? '#ff66cc' : '#33bb55'
-  const antennaTipColor = isLeft ? '#00ffff' : '#ffff00' // Cyan vs Yellow
-  
-  // Position based on side - responsive for all screen sizes
-  const xPos = isLeft 
-    ? (isMobile ? -1.8 : -4.5) 
-    : (isMobile ? 1.8 : 4.5)
-  const yPos = isMobile ? 2.0 : 2.8
-  const xOffset = isLeft ? -1 : 1
+  const flameRef = useRef()
   
   useFrame((state) => {
     if (groupRef.current) {
-      // Floating animation
-      const timeOffset = isLeft ? 0.5 : 0
-      groupRef.current.position.y = yPos + Math.sin(state.clock.elapsedTime * 0.6 + timeOffset) * 0.2
-      groupRef.current.position.x = xPos + Math.sin(state.clock.elapsedTime * 0.4 + timeOffset) * 0.15 * xOffset
-      // Slight tilt while flying
-      groupRef.current.rotation.z = Math.sin(state.clock.elapsedTime * 0.5 + timeOffset) * 0.1 * xOffset
+      groupRef.current.rotation.y += 0.02
+      groupRef.current.position.y = Math.sin(state.clock.elapsedTime * 2) * 0.05
     }
-    // Blinking eyes
-    if (eyeLeftRef.current && eyeRightRef.current) {
-      const blinkOffset = isLeft ? 1 : 0
-      const blink = Math.sin(state.clock.elapsedTime * 3 + blinkOffset) > 0.95 ? 0.1 : 1
-      eyeLeftRef.current.scale.y = blink
-      eyeRightRef.current.scale.y = blink
+    if (flameRef.current) {
+      flameRef.current.scale.y = 1 + Math.sin(state.clock.elapsedTime * 20) * 0.2
     }
   })
   
-  const scale = isMobile ? 0.28 : 0.45
-  
   return (
-    <group ref={groupRef} position={[xPos, yPos, 0]} scale={scale}>
-      
-      {/* === SPACESHIP === */}
-      {/* UFO Saucer body */}
-      <mesh position={[0, -0.3, 0]} rotation={[0.2, 0, 0]}>
-        <cylinderGeometry args={[1.8, 1.2, 0.4, 24]} />
-        <meshStandardMaterial color={shipColor} metalness={0.9} roughness={0.1} emissive={shipEmissive} emissiveIntensity={0.3} />
+    <group ref={groupRef} scale={[size, size, size]} rotation={[0, 0, -0.4]}>
+      {/* Body */}
+      <mesh>
+        <cylinderGeometry args={[0.18, 0.22, 0.7, 16]} />
+        <meshStandardMaterial color="#ffffff" emissive={color} emissiveIntensity={0.2} metalness={0.5} roughness={0.3} />
       </mesh>
-      
-      {/* UFO bottom dome */}
-      <mesh position={[0, -0.5, 0]} rotation={[Math.PI, 0, 0]}>
-        <sphereGeometry args={[0.8, 16, 16, 0, Math.PI * 2, 0, Math.PI / 2]} />
-        <meshStandardMaterial color={shipBottomColor} metalness={0.8} roughness={0.2} />
+      {/* Nose cone */}
+      <mesh position={[0, 0.5, 0]}>
+        <coneGeometry args={[0.18, 0.3, 16]} />
+        <meshStandardMaterial color={color} emissive={color} emissiveIntensity={0.5} metalness={0.8} roughness={0.1} />
       </mesh>
-      
-      {/* Glass dome cockpit */}
-      <mesh position={[0, 0.2, 0]}>
-        <sphereGeometry args={[0.9, 24, 24, 0, Math.PI * 2, 0, Math.PI / 2]} />
-        <meshStandardMaterial color="#aaddff" metalness={0.3} roughness={0.1} transparent opacity={0.5} />
+      {/* Window */}
+      <mesh position={[0, 0.12, 0.19]}>
+        <sphereGeometry args={[0.07, 16, 16]} />
+        <meshStandardMaterial color="#88ccff" emissive="#88ccff" emissiveIntensity={0.6} />
       </mesh>
-      
-      {/* UFO rim lights */}
-      {[0, 1, 2, 3, 4, 5].map((i) => (
-        <mesh key={i} position={[Math.cos(i * Math.PI / 3) * 1.5, -0.3, Math.sin(i * Math.PI / 3) * 1.5]}>
-          <sphereGeometry args={[0.12, 8, 8]} />
-          <meshBasicMaterial color={rimLightColor} />
+      {/* Fins */}
+      {[0, 1, 2].map((i) => (
+        <mesh key={i} position={[Math.sin((i * Math.PI * 2) / 3) * 0.22, -0.28, Math.cos((i * Math.PI * 2) / 3) * 0.22]} rotation={[0, (i * Math.PI * 2) / 3, 0]}>
+          <boxGeometry args={[0.03, 0.22, 0.18]} />
+          <meshStandardMaterial color={color} emissive={color} emissiveIntensity={0.4} />
         </mesh>
       ))}
-      <pointLight position={[0, -0.8, 0]} intensity={3} color={rimLightColor} distance={2} />
-      
-      {/* === ALIEN INSIDE === */}
-      <group position={[0, 0.4, 0.1]}>
-        {/* Alien Head */}
-        <mesh position={[0, 0.3, 0]}>
-          <sphereGeometry args={[0.5, 16, 16]} />
-          <meshStandardMaterial color={alienColor} metalness={0.3} roughness={0.6} emissive={alienEmissive} emissiveIntensity={0.3} />
-        </mesh>
-        
-        {/* Big left eye */}
-        <group position={[-0.18, 0.4, 0.42]}>
-          <mesh>
-            <sphereGeometry args={[0.18, 16, 16]} />
-            <meshStandardMaterial color="#111111" metalness={0.9} roughness={0.1} />
-          </mesh>
-          <mesh ref={eyeLeftRef} position={[0, 0, 0.1]}>
-            <sphereGeometry args={[0.08, 16, 16]} />
-            <meshBasicMaterial color="#ffffff" />
-          </mesh>
-        </group>
-        
-        {/* Big right eye */}
-        <group position={[0.18, 0.4, 0.42]}>
-          <mesh>
-            <sphereGeometry args={[0.18, 16, 16]} />
-            <meshStandardMaterial color="#111111" metalness={0.9} roughness={0.1} />
-          </mesh>
-          <mesh ref={eyeRightRef} position={[0, 0, 0.1]}>
-            <sphereGeometry args={[0.08, 16, 16]} />
-            <meshBasicMaterial color="#ffffff" />
-          </mesh>
-        </group>
-        
-        {/* Left antenna */}
-        <group position={[-0.2, 0.75, 0]}>
-          <mesh>
-            <cylinderGeometry args={[0.03, 0.03, 0.3, 8]} />
-            <meshStandardMaterial color={antennaColor} />
-          </mesh>
-          <mesh position={[0, 0.2, 0]}>
-            <sphereGeometry args={[0.07, 16, 16]} />
-            <meshBasicMaterial color={antennaTipColor} />
-          </mesh>
-        </group>
-        
-        {/* Right antenna */}
-        <group position={[0.2, 0.75, 0]}>
-          <mesh>
-            <cylinderGeometry args={[0.03, 0.03, 0.3, 8]} />
-            <meshStandardMaterial color={antennaColor} />
-          </mesh>
-          <mesh position={[0, 0.2, 0]}>
-            <sphereGeometry args={[0.07, 16, 16]} />
-            <meshBasicMaterial color={antennaTipColor} />
-          </mesh>
-        </group>
-        
-        {/* Small wave hand */}
-        <mesh position={[0.45 * xOffset, 0, 0.2]} rotation={[0, 0, -0.5 * xOffset]}>
-          <sphereGeometry args={[0.12, 8, 8]} />
-          <meshStandardMaterial color={alienColor} emissive={alienEmissive} emissiveIntensity={0.2} />
-        </mesh>
-      </group>
-      
-      {/* Antenna glow */}
-      <pointLight position={[0, 1.1, 0]} intensity={1.5} color={antennaTipColor} distance={1.5} />
+      {/* Exhaust flame */}
+      <mesh ref={flameRef} position={[0, -0.5, 0]} rotation={[Math.PI, 0, 0]}>
+        <coneGeometry args={[0.12, 0.3, 12]} />
+        <meshBasicMaterial color="#ffaa33" transparent opacity={0.8} />
+      </mesh>
+      {/* Glow */}
+      {glow && <pointLight position={[0, 0, 0.5]} intensity={1} color={color} distance={2} />}
     </group>
   )
 })
 
+// Icon names used by the "icon" field in src/content/planets
+const PLANET_ICONS = {
+  'person': PersonIcon,
+  'briefcase': BriefcaseIcon,
+  'gear': GearIcon,
+  'graduation-cap': GraduationCapIcon,
+  'rocket': RocketIcon,
+}
+
+const PlanetIcon = memo(function PlanetIcon({ icon, color, size }) {
+  const { extraLights } = useQuality()
+  const Icon = PLANET_ICONS[icon]
+  if (!Icon) return null
+  return <Icon color={color} size={size} glow={extraLights} />
+})
+
 // ============================================
 // GLOWING 3D STAR COMPONENT
 // ============================================
 
-const GlowingStar = memo(function GlowingStar({ position, size = 0.15, color = '#ffdd44', pulseSpeed = 1 }) {
+const GlowingStar = memo(function GlowingStar({ position, size = 0.15, color = '#ffdd44', pulseSpeed = 1, glow = true }) {
   const groupRef = useRef()
+  const lightRef = useRef()
   
   useFrame((state) => {
+    // Sparkles with the background music's treble
+    const treble = isMotionReduced() ? 0 : getAudioLevels().treble
     if (groupRef.current) {
       // Gentle rotation
       groupRef.current.rotation.y += 0.01
       groupRef.current.rotation.z += 0.005
       
       // Pulsing scale effect
-      const pulse = Math.sin(state.clock.elapsedTime * pulseSpeed) * 0.15 + 1
+      const pulse = Math.sin(state.clock.elapsedTime * pulseSpeed) * 0.15 + 1 + treble * 0.5
       groupRef.current.scale.setScalar(pulse)
     }
+    if (lightRef.current) lightRef.current.intensity = 1.5 + treble * 3
   })
   
   // Create 5-pointed star shape
@@ -1521,7 +1151,7 @@ const GlowingStar = memo(function GlowingStar({ position, size = 0.15, color = '
       </mesh>
       
       {/* Point light for glow effect */}
-      <pointLight color={color} intensity={1.5} distance={2} />
+      {glow && <pointLight ref={lightRef} color={color} intensity={1.5} distance={2} />}
     </group>
   )
 })
@@ -1560,6 +1190,7 @@ const TITLE_TAGS = ['Frontend Developer', 'Full Stack Developer', 'UX Designer',
 
 const Title3D = memo(function Title3D({ isMobile }) {
   const groupRef = useRef()
+  const { extraLights } = useQuality()
   const titleRef = useRef()
   const [hoveredLetter, setHoveredLetter] = useState(null)
   const [hoveredTag, setHoveredTag] = useState(null)
@@ -1768,6 +1399,7 @@ const Title3D = memo(function Title3D({ isMobile }) {
           size={star.size}
           color={star.color}
           pulseSpeed={star.pulseSpeed}
+          glow={extraLights}
         />
       ))}
     </group>
@@ -1796,19 +1428,22 @@ const FloatingAsteroid = memo(function FloatingAsteroid({ index, isMobile }) {
   const rotationRef = useRef({ x: 0, y: 0, z: 0 })
   
   useEffect(() => {
-    loadAsteroid(setModel)
+    return loadModel('asteroid', setModel)
   }, [])
   
   useFrame((state, delta) => {
     if (groupRef.current && model) {
+      // Reduced motion: stay put on the orbit
+      const still = isMotionReduced()
       // Orbit around the solar system
-      angleRef.current += delta * orbitSpeed
+      if (!still) angleRef.current += delta * orbitSpeed
       // No additional adjustment needed - orbitRadius already handles mobile
       groupRef.current.position.x = Math.cos(angleRef.current) * orbitRadius
       groupRef.current.position.z = Math.sin(angleRef.current) * orbitRadius
       groupRef.current.position.y = yOffset + Math.sin(angleRef.current * 2) * 0.3
       
       // Tumbling rotation
+      if (still) return
       rotationRef.current.x += delta * rotSpeed * 3
       rotationRef.current.y += delta * rotSpeed * 2
       rotationRef.current.z += delta * rotSpeed
@@ -1835,7 +1470,8 @@ const FloatingAsteroid = memo(function FloatingAsteroid({ index, isMobile }) {
 // ORBIT RING & SCENE COMPONENTS
 // ============================================
 
-// Glowing dot orbit ring - small dots with light glow effect
+// Glowing dot orbit ring - small dots with light glow effect. One
+// points cloud per layer (glow, core) rather than a sprite per dot.
 const OrbitRing = memo(function OrbitRing({ radius, isMobile }) {
   const adjustedRadius = isMobile ? radius * 0.55 : radius
   const groupRef = useRef()
@@ -1843,73 +1479,82 @@ const OrbitRing = memo(function OrbitRing({ radius, isMobile }) {
   // Number of dots based on orbit size - many dots for minimal spacing
   const dotCount = isMobile ? Math.floor(adjustedRadius * 55) : Math.floor(adjustedRadius * 70)
   
-  // Generate dot positions along the orbit
-  const dots = useMemo(() => {
-    const pts = []
+  // Dot positions along the orbit
+  const positions = useMemo(() => {
+    const pos = new Float32Array(dotCount * 3)
     for (let i = 0; i < dotCount; i++) {
       const angle = (i / dotCount) * Math.PI * 2
-      pts.push({
-        x: Math.cos(angle) * adjustedRadius,
-        z: Math.sin(angle) * adjustedRadius,
-      })
+      pos[i * 3] = Math.cos(angle) * adjustedRadius
+      pos[i * 3 + 2] = Math.sin(angle) * adjustedRadius
     }
-    return pts
+    return pos
   }, [adjustedRadius, dotCount])
   
   // Subtle rotation animation
   useFrame((state) => {
-    if (groupRef.current) {
+    if (groupRef.current && !isMotionReduced()) {
       groupRef.current.rotation.y = state.clock.elapsedTime * 0.015
     }
   })
 
   return (
-    <group ref={groupRef}>
-      {dots.map((dot, i) => (
-        <group key={i} position={[dot.x, 0, dot.z]}>
-          {/* Inner glow */}
-          <sprite scale={[0.035, 0.035, 1]}>
-            <spriteMaterial 
-              color="#ffffff" 
-              transparent 
-              opacity={0.35}
+    // Level with the planets (Planet's fixedY)
+    <group ref={groupRef} position={[0, 0.5, 0]}>
+      {[
+        { size: 0.035, opacity: 0.35 },   // Inner glow
+        { size: 0.012, opacity: 0.9 },    // Core dot
+      ].map(({ size, opacity }) => (
+        <points key={size}>
+          <bufferGeometry>
+            <bufferAttribute
+              attach="attributes-position"
+              count={dotCount}
+              array={positions}
+              itemSize={3}
             />
-          </sprite>
-          {/* Core dot */}
-          <sprite scale={[0.012, 0.012, 1]}>
-            <spriteMaterial 
-              color="#ffffff" 
-              transparent 
-              opacity={0.9}
-            />
-          </sprite>
-        </group>
+          </bufferGeometry>
+          <pointsMaterial
+            size={size}
+            color="#ffffff"
+            transparent
+            opacity={opacity}
+            depthWrite={false}
+            sizeAttenuation
+          />
+        </points>
       ))}
     </group>
   )
 })
 
-// Asteroid belt configuration
-const ASTEROID_COUNT = 3
-
-const Scene = memo(function Scene({ isMobile, isSmallMobile, onPlanetClick, onAvatarClick }) {
-  // Generate stable asteroid indices
+const Scene = memo(function Scene({ isMobile, isSmallMobile, highlightedId, onPlanetClick, onAvatarClick }) {
+  // Asteroid belt size follows the quality tier (see hooks/useQuality.js)
+  const { asteroids } = useQuality()
   const asteroidIndices = useMemo(() => 
-    Array.from({ length: ASTEROID_COUNT }, (_, i) => i), 
-  [])
+    Array.from({ length: asteroids }, (_, i) => i), 
+  [asteroids])
   
   return (
     <>
       <ambientLight intensity={0.4} />
       <directionalLight position={[10, 10, 5]} intensity={1} />
-      <CenterAvatar onAvatarClick={onAvatarClick} isMobile={isMobile} isSmallMobile={isSmallMobile} />
+      <CenterAvatar
+        onAvatarClick={onAvatarClick}
+        highlighted={highlightedId === AVATAR_ID}
+        isMobile={isMobile}
+        isSmallMobile={isSmallMobile}
+      />
       
-      {PLANETS.map((planet, index) => (
+      <OrbitClock />
+      {ACTIVE_ORBIT_RINGS.map((ring) => (
+        <OrbitRing key={ring.id} radius={ring.radius} isMobile={isMobile} />
+      ))}
+      {PLANETS.map((planet) => (
         <Planet 
           key={planet.id} 
           planet={planet} 
-          planetIndex={index}
           isMobile={isMobile}
+          highlighted={highlightedId === planet.id}
           onClick={() => onPlanetClick(planet)}
         />
       ))}
@@ -1967,6 +1612,29 @@ const Bubble = memo(function Bubble({ id, x, size, delay, onPop }) {
   const fallDuration = useMemo(() => 7 + seededRandom(id * 3) * 5, [id]) // 7-12 seconds fall time
 
   useEffect(() => {
+    // Reduced motion: fade in and out in place instead of falling and popping
+    if (isMotionReduced()) {
+      const showTimeout = setTimeout(() => {
+        setStyle(prev => ({
+          ...prev,
+          top: 80 + seededRandom(id * 5) * (window.innerHeight - 300),
+          opacity: 0.85,
+          transform: 'scale(1)',
+          transition: 'opacity 1s ease',
+        }))
+      }, delay)
+      const hideTimeout = setTimeout(() => {
+        setStyle(prev => ({ ...prev, opacity: 0 }))
+      }, delay + 2500)
+      const removeTimeout = setTimeout(() => onPop(id), delay + 3500)
+
+      return () => {
+        clearTimeout(showTimeout)
+        clearTimeout(hideTimeout)
+        clearTimeout(removeTimeout)
+      }
+    }
+
     const startTimeout = setTimeout(() => {
       setStyle(prev => ({
         ...prev,
@@ -2040,16 +1708,64 @@ const Bubble = memo(function Bubble({ id, x, size, delay, onPop }) {
   return <div style={style} />
 })
 
+// ============================================
+// NEBULA PULSE COMPONENT
+// ============================================
+
+// Glow over the nebula clouds that swells with the background music's
+// bass. Fully transparent while no music plays.
+const NebulaPulse = memo(function NebulaPulse() {
+  const glowRef = useRef()
+
+  useEffect(() => subscribeAudioLevels(({ bass }) => {
+    if (glowRef.current) glowRef.current.style.opacity = isMotionReduced() ? 0 : bass
+  }), [])
+
+  return (
+    <div
+      ref={glowRef}
+      style={{
+        position: 'absolute',
+        inset: 0,
+        opacity: 0,
+        background: 'radial-gradient(ellipse at 25% 15%, rgba(138, 43, 226, 0.25) 0%, transparent 50%), '
+          + 'radial-gradient(ellipse at 80% 85%, rgba(30, 144, 255, 0.18) 0%, transparent 50%), '
+          + 'radial-gradient(ellipse at 75% 45%, rgba(255, 105, 180, 0.12) 0%, transparent 45%)',
+        willChange: 'opacity',
+      }}
+    />
+  )
+})
+
 // ============================================
 // MAIN SOLAR SYSTEM COMPONENT
 // ============================================
 
-const SolarSystem = memo(function SolarSystem({ onStartGame }) {
+const SolarSystem = memo(function SolarSystem({ route, onStartGame }) {
   const [isMobile, setIsMobile] = useState(false)
   const [isSmallMobile, setIsSmallMobile] = useState(false)
-  const [activePlanet, setActivePlanet] = useState(null)
-  const [showContact, setShowContact] = useState(false)
   const [bubbles, setBubbles] = useState([])
+  // Planet or avatar focused in PlanetNavigator, highlighted in 3D
+  const [highlightedId, setHighlightedId] = useState(null)
+  const quality = useQuality()
+  // DOM star layers thin out on lower quality tiers
+  const starCount = (full) => Math.round(full * quality.starDensity)
+  const contactRef = useRef()
+
+  // Open modals come from the URL (see hooks/useRoute.js)
+  const activePlanet = route.view === 'planet' ? PLANETS.find(p => p.id === route.planetId) : null
+  const activeProjectId = activePlanet ? route.projectId : null
+  const showContact = route.view === 'contact'
+
+  // Unknown planet or project in the URL - fall back to the closest valid route
+  useEffect(() => {
+    if (route.view !== 'planet') return
+    if (!activePlanet) {
+      navigate('/', { replace: true })
+    } else if (activeProjectId && !getPlanetProjects(activePlanet).some(p => p.id === activeProjectId)) {
+      navigate(`/${activePlanet.id}`, { replace: true })
+    }
+  }, [route.view, activePlanet, activeProjectId])
   
   useEffect(() => {
     const checkScreen = () => {
@@ -2063,13 +1779,36 @@ const SolarSystem = memo(function SolarSystem({ onStartGame }) {
   }, [])
 
   const handlePlanetClick = useCallback((planet) => {
-    setActivePlanet(planet)
+    navigate(`/${planet.id}`)
   }, [])
 
   const handleCloseModal = useCallback(() => {
-    setActivePlanet(null)
+    navigateBack('/')
   }, [])
 
+  const handleSelectProject = useCallback((projectId) => {
+    navigate(`/${activePlanet.id}/${projectId}`)
+  }, [activePlanet])
+
+  const handleCloseProject = useCallback(() => {
+    navigateBack(`/${activePlanet.id}`)
+  }, [activePlanet])
+
+  const handleCloseContact = useCallback(() => {
+    navigateBack('/')
+  }, [])
+
+  useFocusTrap(contactRef, showContact)
+
+  useEffect(() => {
+    if (!showContact) return
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') handleCloseContact()
+    }
+    window.addEventListener('keydown', handleEscape)
+    return () => window.removeEventListener('keydown', handleEscape)
+  }, [showContact, handleCloseContact])
+
   const handleBubblePop = useCallback((id) => {
     setBubbles(prev => prev.filter(b => b.id !== id))
   }, [])
@@ -2110,7 +1849,7 @@ const SolarSystem = memo(function SolarSystem({ onStartGame }) {
       {/* ============================================ */}
       
       {/* Nebula Clouds Layer */}
-      <div style={{
+      <div className="ambient-motion" style={{
         position: 'absolute',
         top: 0,
         left: 0,
@@ -2164,10 +1903,12 @@ const SolarSystem = memo(function SolarSystem({ onStartGame }) {
           filter: 'blur(40px)',
           animation: 'nebulaFloat1 22s ease-in-out infinite reverse',
         }} />
+        {/* Music-driven glow */}
+        <NebulaPulse />
       </div>
       
       {/* Enhanced Star Field - Multiple Layers */}
-      <div style={{
+      <div className="ambient-motion" style={{
         position: 'absolute',
         top: 0,
         left: 0,
@@ -2177,7 +1918,7 @@ const SolarSystem = memo(function SolarSystem({ onStartGame }) {
         pointerEvents: 'none',
       }}>
         {/* Distant small stars */}
-        {[...Array(isMobile ? 80 : 150)].map((_, i) => (
+        {[...Array(starCount(isMobile ? 80 : 150))].map((_, i) => (
           <div
             key={`star-small-${i}`}
             style={{
@@ -2195,7 +1936,7 @@ const SolarSystem = memo(function SolarSystem({ onStartGame }) {
           />
         ))}
         {/* Medium bright stars */}
-        {[...Array(isMobile ? 30 : 60)].map((_, i) => (
+        {[...Array(starCount(isMobile ? 30 : 60))].map((_, i) => (
           <div
             key={`star-med-${i}`}
             style={{
@@ -2214,7 +1955,7 @@ const SolarSystem = memo(function SolarSystem({ onStartGame }) {
           />
         ))}
         {/* Large bright stars with glow */}
-        {[...Array(isMobile ? 8 : 15)].map((_, i) => (
+        {[...Array(starCount(isMobile ? 8 : 15))].map((_, i) => (
           <div
             key={`star-large-${i}`}
             style={{
@@ -2238,7 +1979,7 @@ const SolarSystem = memo(function SolarSystem({ onStartGame }) {
       </div>
       
       {/* Shooting Stars */}
-      <div style={{
+      <div className="ambient-motion" style={{
         position: 'absolute',
         top: 0,
         left: 0,
@@ -2248,7 +1989,7 @@ const SolarSystem = memo(function SolarSystem({ onStartGame }) {
         pointerEvents: 'none',
         overflow: 'hidden',
       }}>
-        {[...Array(isMobile ? 3 : 5)].map((_, i) => (
+        {[...Array(starCount(isMobile ? 3 : 5))].map((_, i) => (
           <div
             key={`shooting-${i}`}
             style={{
@@ -2270,7 +2011,7 @@ const SolarSystem = memo(function SolarSystem({ onStartGame }) {
       </div>
       
       {/* Cosmic Dust Particles */}
-      <div style={{
+      <div className="ambient-motion" style={{
         position: 'absolute',
         top: 0,
         left: 0,
@@ -2279,7 +2020,7 @@ const SolarSystem = memo(function SolarSystem({ onStartGame }) {
         zIndex: 2,
         pointerEvents: 'none',
       }}>
-        {[...Array(isMobile ? 20 : 40)].map((_, i) => (
+        {[...Array(starCount(isMobile ? 20 : 40))].map((_, i) => (
           <div
             key={`dust-${i}`}
             style={{
@@ -2298,7 +2039,7 @@ const SolarSystem = memo(function SolarSystem({ onStartGame }) {
       </div>
       
       {/* Center Glow Behind Avatar */}
-      <div style={{
+      <div className="ambient-motion" style={{
         position: 'absolute',
         top: '50%',
         left: '50%',
@@ -2328,7 +2069,7 @@ const SolarSystem = memo(function SolarSystem({ onStartGame }) {
       ))}
       
       {/* Glowing Sun - Top Right Corner - Mass of Light */}
-      <div style={{
+      <div className="ambient-motion" style={{
         position: 'absolute',
         top: isSmallMobile ? '-140px' : (isMobile ? '-180px' : '-220px'),
         right: isSmallMobile ? '-140px' : (isMobile ? '-180px' : '-220px'),
@@ -2369,7 +2110,7 @@ const SolarSystem = memo(function SolarSystem({ onStartGame }) {
         }} />
       </div>
       {/* Outer glow aura */}
-      <div style={{
+      <div className="ambient-motion" style={{
         position: 'absolute',
         top: isSmallMobile ? '-180px' : (isMobile ? '-240px' : '-300px'),
         right: isSmallMobile ? '-180px' : (isMobile ? '-240px' : '-300px'),
@@ -2382,26 +2123,37 @@ const SolarSystem = memo(function SolarSystem({ onStartGame }) {
         animation: 'sunAuraPulse 5s ease-in-out infinite',
       }} />
       
-      <Canvas
+      <RenderLayer
         camera={{ position: cameraPosition, fov: 50 }}
-        dpr={[1, 1.5]}
-        gl={{ antialias: true, powerPreference: 'high-performance' }}
-        performance={{ min: 0.5 }}
+        index={2}
         style={{ cursor: 'grab' }}
-        eventPrefix="client"
       >
         <Scene 
           isMobile={isMobile} 
           isSmallMobile={isSmallMobile}
+          highlightedId={highlightedId}
           onPlanetClick={handlePlanetClick}
           onAvatarClick={handleAvatarClick}
         />
-      </Canvas>
+      </RenderLayer>
+      
+      {/* Keyboard / screen-reader layer over the canvas */}
+      <PlanetNavigator
+        planets={PLANETS}
+        openLabel={activePlanet ? activePlanet.title : (showContact ? 'Contact' : null)}
+        onHighlight={setHighlightedId}
+        onOpenPlanet={handlePlanetClick}
+        onAvatarActivate={handleAvatarClick}
+      />
       
       {/* Space Modal */}
       {activePlanet && (
         <SpaceModal 
+          key={activePlanet.id}
           planet={activePlanet} 
+          projectId={activeProjectId}
+          onSelectProject={handleSelectProject}
+          onCloseProject={handleCloseProject}
           onClose={handleCloseModal} 
           isMobile={isMobile}
         />
@@ -2419,17 +2171,14 @@ const SolarSystem = memo(function SolarSystem({ onStartGame }) {
         zIndex: 20,
         pointerEvents: 'auto',
       }}>
-        <Canvas
-          camera={{ position: [0, 0, 2], fov: 50 }}
-          style={{ background: 'transparent' }}
-        >
+        <RenderLayer camera={{ position: [0, 0, 2], fov: 50 }} index={3}>
           <ambientLight intensity={1} />
           <directionalLight position={[5, 5, 5]} intensity={1.5} />
           <pointLight position={[0, 0, 1.5]} intensity={3} color="#ffaa00" />
           <Suspense fallback={null}>
             <Title3D isMobile={isMobile} />
           </Suspense>
-        </Canvas>
+        </RenderLayer>
       </div>
 
       {/* Animated Hint Text Above Bottom Navigation */}
@@ -2478,7 +2227,7 @@ const SolarSystem = memo(function SolarSystem({ onStartGame }) {
       }}>
         {/* Contact Me Button - LEFT */}
         <button
-          onClick={() => setShowContact(true)}
+          onClick={() => navigate('/contact')}
           style={{
             padding: isSmallMobile ? '8px 12px' : (isMobile ? '10px 16px' : '12px 24px'),
             fontSize: isSmallMobile ? '8px' : (isMobile ? '9px' : '11px'),
@@ -2557,7 +2306,7 @@ const SolarSystem = memo(function SolarSystem({ onStartGame }) {
         }}>
           {/* Backdrop */}
           <div 
-            onClick={() => setShowContact(false)}
+            onClick={handleCloseContact}
             style={{
               position: 'absolute',
               top: 0,
@@ -2570,7 +2319,7 @@ const SolarSystem = memo(function SolarSystem({ onStartGame }) {
           />
           
           {/* Galactic background animation */}
-          <div style={{
+          <div className="ambient-motion" style={{
             position: 'absolute',
             top: 0,
             left: 0,
@@ -2580,7 +2329,7 @@ const SolarSystem = memo(function SolarSystem({ onStartGame }) {
             pointerEvents: 'none',
           }}>
             {/* Animated stars */}
-            {[...Array(50)].map((_, i) => (
+            {[...Array(starCount(50))].map((_, i) => (
               <div
                 key={i}
                 style={{
@@ -2612,23 +2361,32 @@ const SolarSystem = memo(function SolarSystem({ onStartGame }) {
           </div>
           
           {/* Modal Content */}
-          <div style={{
-            position: 'relative',
-            width: isMobile ? '95%' : '500px',
-            maxWidth: '500px',
-            background: 'linear-gradient(135deg, rgba(138, 43, 226, 0.15) 0%, rgba(20, 10, 40, 0.95) 50%, rgba(75, 0, 130, 0.15) 100%)',
-            backdropFilter: 'blur(30px)',
-            border: '2px solid rgba(186, 85, 211, 0.4)',
-            borderRadius: '24px',
-            padding: isMobile ? '30px 20px' : '40px',
-            color: '#fff',
-            textAlign: 'center',
-            boxShadow: '0 0 60px rgba(138, 43, 226, 0.4), inset 0 0 60px rgba(75, 0, 130, 0.1)',
-            animation: 'modalAppear 0.4s ease-out',
-          }}>
+          <div
+            ref={contactRef}
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="contact-modal-heading"
+            tabIndex={-1}
+            style={{
+              outline: 'none',
+              position: 'relative',
+              width: isMobile ? '95%' : '500px',
+              maxWidth: '500px',
+              background: 'linear-gradient(135deg, rgba(138, 43, 226, 0.15) 0%, rgba(20, 10, 40, 0.95) 50%, rgba(75, 0, 130, 0.15) 100%)',
+              backdropFilter: 'blur(30px)',
+              border: '2px solid rgba(186, 85, 211, 0.4)',
+              borderRadius: '24px',
+              padding: isMobile ? '30px 20px' : '40px',
+              color: '#fff',
+              textAlign: 'center',
+              boxShadow: '0 0 60px rgba(138, 43, 226, 0.4), inset 0 0 60px rgba(75, 0, 130, 0.1)',
+              animation: 'modalAppear 0.4s ease-out',
+            }}
+          >
             {/* Close button */}
             <button
-              onClick={() => setShowContact(false)}
+              onClick={handleCloseContact}
+              aria-label="Close"
               style={{
                 position: 'absolute',
                 top: '16px',
@@ -2686,7 +2444,7 @@ const SolarSystem = memo(function SolarSystem({ onStartGame }) {
             </div>
             
             {/* Name */}
-            <h2 style={{
+            <h2 id="contact-modal-heading" style={{
               margin: '0 0 8px 0',
               fontSize: isMobile ? '24px' : '28px',
               fontFamily: '"Orbitron", sans-serif',
@@ -2898,6 +2656,9 @@ const SolarSystem = memo(function SolarSystem({ onStartGame }) {
       {/* Resume Download Button */}
       <ResumeDownload isMobile={isMobile} />
 
+      {/* Reduced motion toggle */}
+      <MotionToggle isMobile={isMobile} />
+
     </div>
   )
 })
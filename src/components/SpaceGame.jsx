@@ -1,42 +1,305 @@
 import { memo, useRef, useEffect, useState, useCallback } from 'react'
+import Leaderboard from './Leaderboard'
+import GameHud from './GameHud'
+import LevelHud from './LevelHud'
+import PauseMenu from './PauseMenu'
+import GameSettings from './GameSettings'
+import AlienSpaceship from './AlienSpaceship'
+import ReplayBar from './ReplayBar'
+import ReplayActions from './ReplayActions'
+import GameStats from './GameStats'
+import AchievementToast from './AchievementToast'
+import HitboxOverlay from './HitboxOverlay'
+import ModeSelect from './ModeSelect'
+import ShareScore from './ShareScore'
 import { Canvas, useFrame} from '@react-three/fiber'
+import * as THREE from 'three'
+import { randomSeed } from '../game/random'
+import {
+  createGame,
+  stepGame,
+  shipLane,
+  TICK_SECONDS,
+  SHIP_Y,
+  EXPLOSION_TICKS,
+  EFFECT_TICKS,
+  POWER_UP_TYPES,
+  SHIELD_MAX,
+  START_LIVES,
+  TICK_RATE,
+  BOSS_START_Y,
+} from '../game/simulation'
+import { ASTEROID_TYPES, ASTEROID_TYPE_NAMES } from '../game/levels'
+import { ASTEROID_RADIUS, asteroidScale } from '../game/collision'
+import { POWER_UP_STYLES } from '../game/powerUpStyles'
+import { PLAYER_COLORS } from '../game/playerStyles'
+import { getScores, qualifies, submitScore } from '../game/leaderboard'
+import { actionForKey, playerActionForKey, pollGamepads } from '../game/controls'
+import {
+  createRecording,
+  recordInput,
+  finishRecording,
+  createReplayPlayer,
+  stepReplay,
+  replayFinished,
+  verifyReplayInSlices,
+} from '../game/replay'
+import { runStats } from '../game/achievements'
+import { getGameSettings, useGameSettings } from '../hooks/useGameSettings'
+import { recordRun, unlockAchievements } from '../hooks/useGameStats'
+import { setAudioSetting, useAudioSettings } from '../hooks/useAudioSettings'
+import { playSound, resumeAudio, suspendAudio } from '../audio/sound'
+import { setMusicIntensity, startMusic, stopMusic } from '../audio/music'
+import { ASTEROID_CAPACITY, BULLET_CAPACITY, EXPLOSION_CAPACITY, POWER_UP_CAPACITY } from '../game/world'
 
+// Longest frame the loop catches up on - after a stall the game slows
+// down instead of running dozens of ticks at once
+const MAX_FRAME_SECONDS = 0.25
 
-// Spaceship component
-const Spaceship = memo(function Spaceship({ position}) {
+// Gamepad stick at full tilt moves the ship's target this far per second
+const GAMEPAD_SPEED = 8
+
+const panelButtonStyle = {
+  padding: '6px 14px',
+  fontSize: '12px',
+  fontFamily: '"Orbitron", sans-serif',
+  background: 'none',
+  border: '1px solid rgba(255, 255, 255, 0.3)',
+  borderRadius: '16px',
+  color: 'rgba(255, 255, 255, 0.8)',
+  cursor: 'pointer',
+}
+
+// Position between the previous and current tick
+const lerp = (from, to, alpha) => from + (to - from) * alpha
+
+// Keep a ship's target within the lane its ship can reach
+function clampToLane(game, index, x) {
+  const [min, max] = shipLane(game, game.players[index])
+  return Math.max(min, Math.min(max, x))
+}
+
+// Live input of one player, turned into one snapshot per tick by
+// GameLoop. fire is a press waiting for the next tick; fireHeld /
+// padFire are the trigger held down (keyboard or pointer / gamepad),
+// used in manual fire mode.
+const createInput = (targetX = 0) => ({ targetX, fire: false, fireHeld: false, padFire: false })
+
+// Gamepads per player: one pad plays solo; with two players a single
+// pad goes to player 2, since player 1 has the mouse
+function assignGamepads(pads, playerCount) {
+  if (playerCount === 1) return [pads[0]]
+  return pads.length >= 2 ? [pads[0], pads[1]] : [undefined, pads[0]]
+}
+
+const BULLET_TINTS = PLAYER_COLORS.map(({ bullet }) => new THREE.Color(bullet))
+
+// Scratch objects for writing instance matrices and colors
+const dummy = new THREE.Object3D()
+const tint = new THREE.Color()
+
+const FULL_HUD = { players: [{ lives: START_LIVES, shield: SHIELD_MAX, effects: [], score: 0, out: false }], level: null }
+
+// Level label, intermission countdown and boss health bar
+function levelSnapshot(game) {
+  const { levelDef, boss } = game
+  return {
+    number: game.level,
+    name: levelDef.name,
+    phase: game.phase,
+    wave: game.waveIndex + 1,
+    waves: levelDef.waves?.length ?? 0,
+    bossLevel: Boolean(levelDef.boss),
+    countdown: Math.ceil(game.phaseTimer / TICK_RATE),
+    boss: boss && { name: boss.def.name, health: Math.ceil((boss.health / boss.maxHealth) * 100) / 100 },
+  }
+}
+
+// Sound for each simulation event
+const EVENT_SOUNDS = {
+  fire: 'laser',
+  hit: 'hit',
+  destroy: 'explosion',
+  powerUp: 'powerUp',
+  shieldHit: 'shieldHit',
+  lifeLost: 'lifeLost',
+  levelStart: 'levelStart',
+  bossHit: 'bossHit',
+  bossDefeated: 'bossDefeated',
+  gameOver: 'gameOver',
+}
+
+// Soundtrack intensity (0-1): builds over the first run through the
+// levels and ten minutes of play, drops back during intermissions and
+// goes all out against a boss
+function musicIntensity(game) {
+  if (game.phase === 'boss') return 1
+  const progress = Math.min(1, (game.level - 1) / 7 + game.tick / TICK_RATE / 600)
+  return game.phase === 'intermission' ? progress * 0.5 : 0.25 + progress * 0.7
+}
+
+// One player's lives, shield, power-ups and score
+function playerSnapshot(player) {
+  const effects = POWER_UP_TYPES
+    .filter(type => player.effects[type] > 0)
+    .map((type) => {
+      const left = player.effects[type]
+      return {
+        type,
+        remaining: Math.ceil((left / EFFECT_TICKS[type]) * 100) / 100,
+        seconds: Math.ceil(left / TICK_RATE),
+      }
+    })
+  const key = [
+    player.lives,
+    player.shield,
+    player.out,
+    player.score,
+    effects.map(e => `${e.type}${Math.ceil(player.effects[e.type] / 6)}`).join(),
+  ].join(',')
+  return { key, lives: player.lives, shield: player.shield, effects, score: player.score, out: player.out }
+}
+
+// HUD values, with power-up timers rounded to tenths of a second so
+// React re-renders a few times a second rather than every frame
+function hudSnapshot(game) {
+  const players = game.players.map(playerSnapshot)
+  const level = levelSnapshot(game)
+  const key = [
+    players.map(player => player.key).join(';'),
+    level.number,
+    level.phase,
+    level.wave,
+    level.phase === 'intermission' ? level.countdown : '',
+    level.boss ? level.boss.health : '',
+  ].join('|')
+  return { key, players, level }
+}
+
+// Fixed-timestep driver - steps the simulation, leaves drawing to the components.
+// While paused no ticks run, so everything timed in ticks stands still.
+// Also polls the gamepads, which have no events to listen to.
+// Live solo runs are recorded into recordingRef; with a replay player in
+// playerRef the ticks come from the replay instead, `speed` times as fast.
+const GameLoop = memo(function GameLoop({
+  gameRef,
+  inputsRef,
+  alphaRef,
+  recordingRef,
+  playerRef,
+  speed,
+  paused,
+  onTogglePause,
+  onUpdate,
+}) {
+  const accumulatorRef = useRef(0)
+
+  useFrame((state, delta) => {
+    const game = gameRef.current
+    if (!game) return
+    const player = playerRef.current
+    const pads = game.over ? [] : pollGamepads()
+    if (pads.some(pad => pad.pausePressed)) onTogglePause()
+    if (paused) {
+      // Resume from a clean tick instead of catching up on the pause
+      accumulatorRef.current = 0
+      return
+    }
+
+    const frameSeconds = Math.min(delta, MAX_FRAME_SECONDS)
+    const inputs = inputsRef.current
+    if (!player) {
+      assignGamepads(pads, inputs.length).forEach((pad, index) => {
+        if (!pad) return
+        const input = inputs[index]
+        input.targetX = clampToLane(game, index, input.targetX + pad.x * GAMEPAD_SPEED * frameSeconds)
+        if (pad.firePressed) input.fire = true
+        input.padFire = pad.fire
+      })
+    }
+    const autoFire = getGameSettings().fireMode !== 'manual'
+
+    accumulatorRef.current += frameSeconds * (player ? speed : 1)
+    let stepped = false
+    while (accumulatorRef.current >= TICK_SECONDS) {
+      if (player) {
+        // After the end only the explosions keep playing out
+        if (!stepReplay(player)) {
+          if (!game.over) break
+          stepGame(game, player.inputs)
+        }
+      } else {
+        const snapshots = inputs.map((input) => {
+          const fire = input.fire || (!autoFire && (input.fireHeld || input.padFire))
+          input.fire = false
+          return { targetX: input.targetX, fire, autoFire }
+        })
+        // Step with the recorded (quantized) input so replays match exactly
+        const recording = recordingRef.current
+        if (recording) snapshots[0] = recordInput(recording, game.tick, snapshots[0])
+        stepGame(game, snapshots)
+      }
+      accumulatorRef.current -= TICK_SECONDS
+      stepped = true
+    }
+
+    alphaRef.current = accumulatorRef.current / TICK_SECONDS
+    if (stepped) onUpdate(game)
+  })
+
+  return null
+})
+
+// Spaceship component - player `index`'s ship
+const Spaceship = memo(function Spaceship({ gameRef, alphaRef, index }) {
   const meshRef = useRef()
+  const bubbleRef = useRef()
+  const colors = PLAYER_COLORS[index]
   
   useFrame(() => {
+    const ship = gameRef.current?.players[index]
+    if (!ship) return
+    const { tick } = gameRef.current
     if (meshRef.current) {
-      // Smooth movement to target position
-      meshRef.current.position.x += (position - meshRef.current.position.x) * 0.15
+      meshRef.current.position.x = lerp(ship.prevX, ship.x, alphaRef.current)
+      // Gone once out of lives; blinks during the grace period after losing one
+      meshRef.current.visible = !ship.out && (ship.invulnerable === 0 || Math.floor(tick / 6) % 2 === 0)
+    }
+
+    // Shield bubble fades with its charge and flares when it takes a hit
+    const bubble = bubbleRef.current
+    if (bubble) {
+      const sinceHit = ship.shieldHitTick === null ? Infinity : tick - ship.shieldHitTick
+      const flare = Math.max(0, 1 - sinceHit / 20)
+      bubble.visible = ship.shield > 0 || flare > 0
+      bubble.material.opacity = 0.08 + (ship.shield / SHIELD_MAX) * 0.12 + flare * 0.5
     }
   })
 
   return (
-    <group ref={meshRef} position={[0, -3.5, 0]}>
+    <group ref={meshRef} position={[0, SHIP_Y, 0]}>
       {/* Spaceship body */}
       <mesh rotation={[0, 0, 0]}>
         <coneGeometry args={[0.3, 0.8, 8]} />
-        <meshStandardMaterial color="#4488ff" metalness={0.8} roughness={0.2} />
+        <meshStandardMaterial color={colors.body} metalness={0.8} roughness={0.2} />
       </mesh>
       
       {/* Cockpit */}
       <mesh position={[0, 0.1, 0]}>
         <sphereGeometry args={[0.15, 16, 16]} />
-        <meshStandardMaterial color="#88ccff" metalness={0.5} roughness={0.3} transparent opacity={0.8} />
+        <meshStandardMaterial color={colors.cockpit} metalness={0.5} roughness={0.3} transparent opacity={0.8} />
       </mesh>
       
       {/* Left wing */}
       <mesh position={[-0.35, -0.2, 0]} rotation={[0, 0, -0.5]}>
         <boxGeometry args={[0.4, 0.08, 0.2]} />
-        <meshStandardMaterial color="#3366cc" metalness={0.7} roughness={0.3} />
+        <meshStandardMaterial color={colors.wing} metalness={0.7} roughness={0.3} />
       </mesh>
       
       {/* Right wing */}
       <mesh position={[0.35, -0.2, 0]} rotation={[0, 0, 0.5]}>
         <boxGeometry args={[0.4, 0.08, 0.2]} />
-        <meshStandardMaterial color="#3366cc" metalness={0.7} roughness={0.3} />
+        <meshStandardMaterial color={colors.wing} metalness={0.7} roughness={0.3} />
       </mesh>
       
       {/* Engine glow */}
@@ -45,51 +308,83 @@ const Spaceship = memo(function Spaceship({ position}) {
         <meshBasicMaterial color="#ff6600" />
       </mesh>
       <pointLight position={[0, -0.5, 0]} intensity={2} color="#ff6600" distance={3} />
+      
+      {/* Shield bubble */}
+      <mesh ref={bubbleRef}>
+        <sphereGeometry args={[0.65, 24, 16]} />
+        <meshBasicMaterial color="#00ffff" transparent opacity={0.2} depthWrite={false} />
+      </mesh>
     </group>
   )
 })
 
-// Bullet component
-const Bullet = memo(function Bullet({ id, startPosition, onRemove, onUpdatePosition }) {
+// All bullets as one instanced mesh - instance i is bullet i in the pool,
+// colored by the player who fired it
+const BulletInstances = memo(function BulletInstances({ gameRef, alphaRef }) {
   const meshRef = useRef()
-  const positionRef = useRef({ x: startPosition.x, y: startPosition.y })
+  const [colors] = useState(() => new Float32Array(BULLET_CAPACITY * 3))
 
   useFrame(() => {
-    if (meshRef.current) {
-      positionRef.current.y += 0.3
-      meshRef.current.position.y = positionRef.current.y
-      
-      // Update position for collision detection
-      onUpdatePosition(id, positionRef.current.x, positionRef.current.y)
-      
-      // Remove if off screen
-      if (positionRef.current.y > 6) {
-        onRemove(id)
-      }
+    const mesh = meshRef.current
+    const game = gameRef.current
+    if (!mesh) return
+    if (!game) {
+      mesh.count = 0
+      return
     }
+
+    const { bullets } = game.world
+    for (let i = 0; i < bullets.count; i++) {
+      const alpha = alphaRef.current
+      dummy.position.set(lerp(bullets.prevX[i], bullets.x[i], alpha), lerp(bullets.prevY[i], bullets.y[i], alpha), 0)
+      dummy.rotation.set(0, 0, 0)
+      dummy.scale.setScalar(1)
+      dummy.updateMatrix()
+      mesh.setMatrixAt(i, dummy.matrix)
+      mesh.setColorAt(i, BULLET_TINTS[bullets.owner[i]])
+    }
+    mesh.count = bullets.count
+    mesh.instanceMatrix.needsUpdate = true
+    mesh.instanceColor.needsUpdate = true
   })
 
   return (
-    <mesh ref={meshRef} position={[startPosition.x, startPosition.y, 0]}>
+    <instancedMesh ref={meshRef} args={[undefined, undefined, BULLET_CAPACITY]} count={0} frustumCulled={false}>
       <sphereGeometry args={[0.08, 8, 8]} />
-      <meshBasicMaterial color="#00ffff" />
-      <pointLight intensity={1} color="#00ffff" distance={2} />
-    </mesh>
+      <meshBasicMaterial />
+      <instancedBufferAttribute attach="instanceColor" args={[colors, 3]} />
+    </instancedMesh>
   )
 })
 
-// Realistic asteroid color palettes
+// Realistic asteroid color palettes (ASTEROID_COLOR_COUNT entries)
 const ASTEROID_COLORS = [
-  { color: '#8B7355', emissive: '#5C4A3D' }, // Brown rocky
-  { color: '#A0826D', emissive: '#6B5344' }, // Tan/beige
-  { color: '#6B6B6B', emissive: '#4A4A4A' }, // Gray metallic
-  { color: '#8B8682', emissive: '#5C5854' }, // Silver-gray
-  { color: '#CD853F', emissive: '#8B5A2B' }, // Copper/rust
-  { color: '#B8860B', emissive: '#8B6914' }, // Golden brown
-  { color: '#A0522D', emissive: '#6B3A1E' }, // Sienna
-  { color: '#808080', emissive: '#555555' }, // Charcoal
+  '#8B7355', // Brown rocky
+  '#A0826D', // Tan/beige
+  '#6B6B6B', // Gray metallic
+  '#8B8682', // Silver-gray
+  '#CD853F', // Copper/rust
+  '#B8860B', // Golden brown
+  '#A0522D', // Sienna
+  '#808080', // Charcoal
 ]
 
+const ASTEROID_TINTS = ASTEROID_COLORS.map(color => new THREE.Color(color))
+
+// Special asteroid types get their own color; normal ones use the palette
+const TYPE_COLORS = {
+  armored: '#5f6b7a',   // Steel blue
+  fast: '#ffaa33',      // Hot orange
+  homing: '#cc55ff',    // Violet
+  splitting: '#55cc88', // Green
+  fragment: '#88ddaa',  // Pale green
+}
+const TYPE_TINTS = ASTEROID_TYPE_NAMES.map(type => TYPE_COLORS[type] && new THREE.Color(TYPE_COLORS[type]))
+const TYPE_SIZES = ASTEROID_TYPE_NAMES.map(type => ASTEROID_TYPES[type].size)
+const DAMAGE_TINT = new THREE.Color('#ff4444')
+const EXPLOSION_TINT = new THREE.Color('#ff6600')
+const POWER_UP_TINTS = POWER_UP_TYPES.map(type => new THREE.Color(POWER_UP_STYLES[type].color))
+
 // Pre-generate star positions at module level (only runs once)
 const STAR_POSITIONS = Array.from({ length: 100 }, (_, i) => {
   // Use deterministic pseudo-random based on index
@@ -102,137 +397,208 @@ const STAR_POSITIONS = Array.from({ length: 100 }, (_, i) => {
   ]
 })
 
-// Asteroid component
-const Asteroid = memo(function Asteroid({ id, startX, speed, colorIndex, health, onHit, onGameOver, bulletsRef, shipPosRef }) {
-  const groupRef = useRef()
-  const positionRef = useRef({ x: startX, y: 5 })
-  const rotationRef = useRef({ x: 0, y: 0, z: 0 })
-  const hitCooldownRef = useRef(false)
-  
-  // Get random color based on id
-  const asteroidColor = ASTEROID_COLORS[colorIndex % ASTEROID_COLORS.length]
-  
-  // Calculate size based on health (shrinks as it takes damage)
-  const scale = 0.7 + (health / 3) * 0.3
+// Instance colors also drive the emissive glow, so each asteroid keeps
+// its own tint without a material (or light) per asteroid
+const tintEmissive = (shader) => {
+  shader.fragmentShader = shader.fragmentShader.replace(
+    '#include <emissivemap_fragment>',
+    '#include <emissivemap_fragment>\n\ttotalEmissiveRadiance *= vColor;'
+  )
+}
+
+// All asteroids as one instanced mesh
+const AsteroidInstances = memo(function AsteroidInstances({ gameRef, alphaRef }) {
+  const meshRef = useRef()
+  const [colors] = useState(() => new Float32Array(ASTEROID_CAPACITY * 3))
 
   useFrame(() => {
-    if (groupRef.current) {
-      // Move down
-      positionRef.current.y -= speed
-      groupRef.current.position.y = positionRef.current.y
-      groupRef.current.position.x = positionRef.current.x
-      
-      // Rotate
-      rotationRef.current.x += 0.02
-      rotationRef.current.y += 0.03
-      groupRef.current.rotation.x = rotationRef.current.x
-      groupRef.current.rotation.y = rotationRef.current.y
-      
-      // Check collision with bullets - only if bullets array has items and not in cooldown
-      // PROTECTIVE LAYER: Only check collision if asteroid is below Y=3 (past the shield)
-      if (!hitCooldownRef.current && positionRef.current.y < 3) {
-        const bullets = bulletsRef.current
-        if (bullets && bullets.length > 0) {
-          for (let i = 0; i < bullets.length; i++) {
-            const bullet = bullets[i]
-            // Only check if bullet is in valid Y range (between asteroid and ship)
-            if (bullet && bullet.y > -3 && bullet.y < 6) {
-              const dx = Math.abs(positionRef.current.x - bullet.x)
-              const dy = Math.abs(positionRef.current.y - bullet.y)
-              if (dx < 0.5 && dy < 0.5) {
-                hitCooldownRef.current = true
-                setTimeout(() => { hitCooldownRef.current = false }, 100)
-                onHit(id, bullet.id, positionRef.current.x, positionRef.current.y)
-                return
-              }
-            }
-          }
-        }
-      }
-      
-      // Check collision with spaceship (at y = -3.5)
-      const shipX = shipPosRef.current
-      const shipY = -3.5
-      const dxShip = Math.abs(positionRef.current.x - shipX)
-      const dyShip = Math.abs(positionRef.current.y - shipY)
-      if (dxShip < 0.5 && dyShip < 0.5) {
-        onGameOver(positionRef.current.x, positionRef.current.y)
-        return
-      }
-      
-      // Game over if asteroid passes the spaceship
-      if (positionRef.current.y < -4.5) {
-        onGameOver(positionRef.current.x, positionRef.current.y)
-        return
-      }
+    const mesh = meshRef.current
+    const game = gameRef.current
+    if (!mesh) return
+    if (!game) {
+      mesh.count = 0
+      return
+    }
+
+    const { asteroids } = game.world
+    const alpha = alphaRef.current
+    for (let i = 0; i < asteroids.count; i++) {
+      const type = asteroids.type[i]
+      const health = asteroids.health[i]
+      const maxHealth = asteroids.maxHealth[i]
+      // Tumble with the asteroid's age in ticks
+      const age = game.tick - 1 + alpha - asteroids.bornTick[i]
+      dummy.position.set(lerp(asteroids.prevX[i], asteroids.x[i], alpha), lerp(asteroids.prevY[i], asteroids.y[i], alpha), 0)
+      dummy.rotation.set(age * 0.02, age * 0.03, 0)
+      // Sized by type, shrinks as it takes damage
+      dummy.scale.setScalar(asteroidScale(TYPE_SIZES[type], health, maxHealth))
+      dummy.updateMatrix()
+      mesh.setMatrixAt(i, dummy.matrix)
+
+      // Damaged asteroids glow red
+      tint.copy(TYPE_TINTS[type] ?? ASTEROID_TINTS[asteroids.colorIndex[i] % ASTEROID_TINTS.length])
+      if (health < maxHealth) tint.lerp(DAMAGE_TINT, 0.5)
+      mesh.setColorAt(i, tint)
     }
+    mesh.count = asteroids.count
+    mesh.instanceMatrix.needsUpdate = true
+    mesh.instanceColor.needsUpdate = true
   })
 
   return (
-    <group ref={groupRef} position={[startX, 5, 0]} scale={scale}>
-      {/* Realistic asteroid with random color */}
-      <mesh>
-        <dodecahedronGeometry args={[0.4, 1]} />
-        <meshStandardMaterial 
-          color={asteroidColor.color} 
-          emissive={health < 3 ? '#ff4444' : asteroidColor.emissive} 
-          emissiveIntensity={health < 3 ? 0.8 : 0.6}
-          roughness={0.7}
-          metalness={0.3}
-        />
-      </mesh>
-      {/* Light to illuminate asteroid */}
-      <pointLight intensity={2} color="#ffffff" distance={3} />
-    </group>
+    <instancedMesh ref={meshRef} args={[undefined, undefined, ASTEROID_CAPACITY]} count={0} frustumCulled={false}>
+      <dodecahedronGeometry args={[ASTEROID_RADIUS, 1]} />
+      <meshStandardMaterial
+        emissive="#ffffff"
+        emissiveIntensity={0.4}
+        roughness={0.7}
+        metalness={0.3}
+        onBeforeCompile={tintEmissive}
+      />
+      <instancedBufferAttribute attach="instanceColor" args={[colors, 3]} />
+    </instancedMesh>
   )
 })
 
-// Explosion effect
-const Explosion = memo(function Explosion({ position, onComplete }) {
+// All explosions as one instanced mesh - additive blending, so fading
+// the instance color to black fades the explosion out
+const ExplosionInstances = memo(function ExplosionInstances({ gameRef, alphaRef }) {
   const meshRef = useRef()
-  const scaleRef = useRef(0.1)
-  const opacityRef = useRef(1)
+  const flashRef = useRef()
+  const [colors] = useState(() => new Float32Array(EXPLOSION_CAPACITY * 3))
 
   useFrame(() => {
-    if (meshRef.current) {
-      scaleRef.current += 0.15
-      opacityRef.current -= 0.05
-      meshRef.current.scale.setScalar(scaleRef.current)
-      meshRef.current.material.opacity = Math.max(0, opacityRef.current)
-      
-      if (opacityRef.current <= 0) {
-        onComplete()
+    const mesh = meshRef.current
+    const game = gameRef.current
+    if (!mesh) return
+    if (!game) {
+      mesh.count = 0
+      return
+    }
+
+    const { explosions } = game.world
+    let youngest = -1
+    for (let i = 0; i < explosions.count; i++) {
+      const age = explosions.age[i] + alphaRef.current
+      dummy.position.set(explosions.x[i], explosions.y[i], 0)
+      dummy.rotation.set(0, 0, 0)
+      dummy.scale.setScalar(0.1 + age * 0.15)
+      dummy.updateMatrix()
+      mesh.setMatrixAt(i, dummy.matrix)
+      mesh.setColorAt(i, tint.copy(EXPLOSION_TINT).multiplyScalar(Math.max(0, 1 - age * 0.05)))
+      if (youngest === -1 || explosions.age[i] < explosions.age[youngest]) youngest = i
+    }
+    mesh.count = explosions.count
+    mesh.instanceMatrix.needsUpdate = true
+    mesh.instanceColor.needsUpdate = true
+
+    // One shared flash light follows the newest explosion
+    const flash = flashRef.current
+    if (flash) {
+      flash.visible = youngest !== -1
+      if (youngest !== -1) {
+        flash.position.set(explosions.x[youngest], explosions.y[youngest], 0)
+        flash.intensity = 5 * Math.max(0, 1 - explosions.age[youngest] / EXPLOSION_TICKS)
       }
     }
   })
 
   return (
-    <mesh ref={meshRef} position={position}>
-      <sphereGeometry args={[0.5, 16, 16]} />
-      <meshBasicMaterial color="#ff6600" transparent opacity={1} />
-      <pointLight intensity={5} color="#ff6600" distance={5} />
-    </mesh>
+    <>
+      <instancedMesh ref={meshRef} args={[undefined, undefined, EXPLOSION_CAPACITY]} count={0} frustumCulled={false}>
+        <sphereGeometry args={[0.5, 16, 16]} />
+        <meshBasicMaterial transparent depthWrite={false} blending={THREE.AdditiveBlending} />
+        <instancedBufferAttribute attach="instanceColor" args={[colors, 3]} />
+      </instancedMesh>
+      <pointLight ref={flashRef} visible={false} color="#ff6600" distance={5} />
+    </>
   )
 })
 
-// Game Scene
-const GameScene = memo(function GameScene({ 
-  shipPosition, 
-  bullets, 
-  asteroids, 
-  explosions,
-  onBulletRemove,
-  onBulletUpdatePosition,
-  onAsteroidHit,
-  onExplosionComplete,
-  onGameOver,
-  bulletsRef,
-  shipPosRef,
-  gameOver
-}) {
+// All power-up pickups as one instanced mesh, colored by type
+const PowerUpInstances = memo(function PowerUpInstances({ gameRef, alphaRef }) {
+  const meshRef = useRef()
+  const [colors] = useState(() => new Float32Array(POWER_UP_CAPACITY * 3))
+
+  useFrame(() => {
+    const mesh = meshRef.current
+    const game = gameRef.current
+    if (!mesh) return
+    if (!game) {
+      mesh.count = 0
+      return
+    }
+
+    const { powerUps } = game.world
+    const spin = (game.tick + alphaRef.current) * 0.05
+    for (let i = 0; i < powerUps.count; i++) {
+      dummy.position.set(powerUps.x[i], lerp(powerUps.prevY[i], powerUps.y[i], alphaRef.current), 0)
+      dummy.rotation.set(spin, spin * 1.5, 0)
+      dummy.scale.setScalar(1)
+      dummy.updateMatrix()
+      mesh.setMatrixAt(i, dummy.matrix)
+      mesh.setColorAt(i, POWER_UP_TINTS[powerUps.type[i]])
+    }
+    mesh.count = powerUps.count
+    mesh.instanceMatrix.needsUpdate = true
+    mesh.instanceColor.needsUpdate = true
+  })
+
+  return (
+    <instancedMesh ref={meshRef} args={[undefined, undefined, POWER_UP_CAPACITY]} count={0} frustumCulled={false}>
+      <octahedronGeometry args={[0.22]} />
+      <meshBasicMaterial />
+      <instancedBufferAttribute attach="instanceColor" args={[colors, 3]} />
+    </instancedMesh>
+  )
+})
+
+// Boss model per boss - the Mk II flies the pink saucer
+const BOSS_SIDES = { mothership: 'right', mothershipMk2: 'left' }
+const BOSS_SCALE = 0.55                // Saucer about as wide as its hit box
+
+// The level's boss, if one is in play
+const Boss = memo(function Boss({ gameRef, alphaRef }) {
+  const groupRef = useRef()
+  const hitLightRef = useRef()
+  const [side, setSide] = useState(null)
+
+  useFrame(() => {
+    const group = groupRef.current
+    const boss = gameRef.current?.boss
+    const nextSide = boss ? BOSS_SIDES[boss.def.id] ?? 'right' : null
+    if (nextSide !== side) setSide(nextSide)
+    if (!group || !boss) return
+
+    const alpha = alphaRef.current
+    const x = lerp(boss.prevX, boss.x, alpha)
+    group.position.set(x, lerp(boss.prevY, boss.y, alpha), 0)
+    // Bank into the sweep
+    group.rotation.z = (boss.prevX - boss.x) * 4
+
+    // Red flash on every hit
+    const light = hitLightRef.current
+    if (light) {
+      const sinceHit = boss.hitTick === null ? Infinity : gameRef.current.tick - boss.hitTick
+      light.intensity = 6 * Math.max(0, 1 - sinceHit / 10)
+    }
+  })
+
+  if (!side) return null
+
+  return (
+    <group ref={groupRef} position={[0, BOSS_START_Y, 0]}>
+      <AlienSpaceship side={side} scale={BOSS_SCALE} />
+      <pointLight ref={hitLightRef} position={[0, 0, 1]} intensity={0} color="#ff3333" distance={3} />
+    </group>
+  )
+})
+
+// Game Scene - `players` ships; versus marks the line between the halves
+const GameScene = memo(function GameScene({ gameRef, alphaRef, gameOver, mode, players }) {
   return (
     <>
-      <ambientLight intensity={0.3} />
+      <ambientLight intensity={0.5} />
       <directionalLight position={[5, 5, 5]} intensity={0.8} />
       
       {/* Stars background */}
@@ -246,7 +612,7 @@ const GameScene = memo(function GameScene({
         </mesh>
       ))}
       
-      {/* Protective Shield Layer at Y=3 */}
+      {/* Firing line at Y=3 - asteroids can only be shot below it */}
       <mesh position={[0, 3, 0]} rotation={[Math.PI / 2, 0, 0]}>
         <planeGeometry args={[12, 0.15]} />
         <meshBasicMaterial 
@@ -255,7 +621,7 @@ const GameScene = memo(function GameScene({
           opacity={0.4}
         />
       </mesh>
-      {/* Shield glow effects */}
+      {/* Firing line glow */}
       <mesh position={[0, 3, 0]} rotation={[Math.PI / 2, 0, 0]}>
         <planeGeometry args={[12, 0.4]} />
         <meshBasicMaterial 
@@ -264,7 +630,7 @@ const GameScene = memo(function GameScene({
           opacity={0.15}
         />
       </mesh>
-      {/* Shield edge markers */}
+      {/* Firing line edge markers */}
       <mesh position={[-5.5, 3, 0]}>
         <sphereGeometry args={[0.1, 8, 8]} />
         <meshBasicMaterial color="#00ffff" />
@@ -274,71 +640,58 @@ const GameScene = memo(function GameScene({
         <meshBasicMaterial color="#00ffff" />
       </mesh>
       
-      {!gameOver && <Spaceship position={shipPosition} />}
-      
-      {bullets.map(bullet => (
-        <Bullet
-          key={bullet.id}
-          id={bullet.id}
-          startPosition={{ x: bullet.x, y: bullet.y }}
-          onRemove={onBulletRemove}
-          onUpdatePosition={onBulletUpdatePosition}
-        />
-      ))}
-      
-      {asteroids.map(asteroid => (
-        <Asteroid
-          key={asteroid.id}
-          id={asteroid.id}
-          startX={asteroid.x}
-          speed={asteroid.speed}
-          colorIndex={asteroid.colorIndex}
-          health={asteroid.health}
-          onHit={onAsteroidHit}
-          onGameOver={onGameOver}
-          bulletsRef={bulletsRef}
-          shipPosRef={shipPosRef}
-        />
+      {/* Versus halves - from below the ships up to the firing line */}
+      {mode === 'versus' && (
+        <mesh position={[0, -0.75, 0]}>
+          <planeGeometry args={[0.04, 7.5]} />
+          <meshBasicMaterial color="#ffffff" transparent opacity={0.15} />
+        </mesh>
+      )}
+
+      {!gameOver && Array.from({ length: players }, (_, i) => (
+        <Spaceship key={i} gameRef={gameRef} alphaRef={alphaRef} index={i} />
       ))}
       
-      {explosions.map(exp => (
-        <Explosion
-          key={exp.id}
-          position={[exp.x, exp.y, 0]}
-          onComplete={() => onExplosionComplete(exp.id)}
-        />
-      ))}
+      <BulletInstances gameRef={gameRef} alphaRef={alphaRef} />
+      <AsteroidInstances gameRef={gameRef} alphaRef={alphaRef} />
+      <ExplosionInstances gameRef={gameRef} alphaRef={alphaRef} />
+      <PowerUpInstances gameRef={gameRef} alphaRef={alphaRef} />
+      <Boss gameRef={gameRef} alphaRef={alphaRef} />
     </>
   )
 })
 
 // Main Game Component
 const SpaceGame = memo(function SpaceGame({ onBack }) {
-  const [shipPosition, setShipPosition] = useState(0)
-  const [bullets, setBullets] = useState([])
-  const [asteroids, setAsteroids] = useState([])
-  const [explosions, setExplosions] = useState([])
   const [score, setScore] = useState(0)
   const [gameOver, setGameOver] = useState(false)
   const [gameStarted, setGameStarted] = useState(false)
+  const [paused, setPaused] = useState(false)
+  const [panel, setPanel] = useState('scores')        // Start screen panel: 'scores' | 'settings' | 'stats'
+  const [toasts, setToasts] = useState([])            // Achievements waiting to be announced
+  const { fireMode, showHitboxes, mode, sharedLives } = useGameSettings()
+  const { muted } = useAudioSettings()
   const [isMobile, setIsMobile] = useState(false)
-  const [gameTime, setGameTime] = useState(0) // Track game time in seconds
+  const [result, setResult] = useState(null)          // { score, seconds, destroyed, level } of the last run
+  const [scores, setScores] = useState(null)          // Top 10, null while loading
+  const [savedDate, setSavedDate] = useState(null)    // Entry saved after the last run
+  const [hud, setHud] = useState(FULL_HUD)
+  const [spectating, setSpectating] = useState(false)  // Watching a replay instead of playing
+  const [replaySpeed, setReplaySpeed] = useState(1)
+  const [replay, setReplay] = useState(null)          // Last run's replay, or the one being watched
+  const [replayResult, setReplayResult] = useState(null) // Result of the replay just watched
+  const [replayCheck, setReplayCheck] = useState(null)   // 'verified' / 'mismatch' for imported replays
+  const [runMode, setRunMode] = useState('solo')      // Mode of the game on screen, see GAME_MODES
   
-  const bulletIdRef = useRef(0)
-  const asteroidIdRef = useRef(0)
-  const explosionIdRef = useRef(0)
-  const bulletsRef = useRef([])
-  const shipPosRef = useRef(0)
-
-  // Define shoot function first so it can be used in effects
-  const shoot = useCallback(() => {
-    const newBullet = {
-      id: bulletIdRef.current++,
-      x: shipPosRef.current,
-      y: -3,
-    }
-    setBullets(prev => [...prev, newBullet])
-  }, [])
+  // Simulation state lives outside React; the loop reports back once per frame
+  const gameRef = useRef(null)
+  const inputsRef = useRef([createInput()])   // One per player
+  const alphaRef = useRef(0)
+  const hudKeyRef = useRef(null)
+  const recordingRef = useRef(null)   // Inputs of the live run
+  const playerRef = useRef(null)      // Replay player while spectating
+  const verifyAbortRef = useRef(null) // Cancels an imported replay's check
+  const runSavedRef = useRef(false)   // Live run already added to the lifetime stats
 
   // Check mobile
   useEffect(() => {
@@ -348,194 +701,317 @@ const SpaceGame = memo(function SpaceGame({ onBack }) {
     return () => window.removeEventListener('resize', checkMobile)
   }, [])
 
-  // Keyboard controls
+  // Load the high-score table
+  useEffect(() => {
+    let cancelled = false
+    getScores()
+      .then(list => { if (!cancelled) setScores(list) })
+      .catch((err) => {
+        console.error('Could not load high scores:', err)
+        if (!cancelled) setScores([])
+      })
+    return () => { cancelled = true }
+  }, [])
+
+  const playing = gameStarted && !gameOver
+  // Spectators watch - the ship is the replay's
+  const controlling = playing && !spectating
+
+  // Keyboard controls, through the bindings from GameSettings
   useEffect(() => {
-    if (!gameStarted || gameOver) return
+    if (!controlling || paused) return
+
+    // Which player's key, and what it does
+    const keyAction = (e) => playerActionForKey(getGameSettings(), e.key, inputsRef.current.length)
 
     const handleKeyDown = (e) => {
-      if (e.key === 'ArrowLeft' || e.key === 'a') {
-        shipPosRef.current = Math.max(-4, shipPosRef.current - 0.5)
-        setShipPosition(shipPosRef.current)
-      } else if (e.key === 'ArrowRight' || e.key === 'd') {
-        shipPosRef.current = Math.min(4, shipPosRef.current + 0.5)
-        setShipPosition(shipPosRef.current)
-      } else if (e.key === ' ') {
+      const pressed = keyAction(e)
+      if (!pressed) return
+      const game = gameRef.current
+      const input = inputsRef.current[pressed.player]
+      if (pressed.action === 'left') {
+        input.targetX = clampToLane(game, pressed.player, input.targetX - 0.5)
+      } else if (pressed.action === 'right') {
+        input.targetX = clampToLane(game, pressed.player, input.targetX + 0.5)
+      } else if (pressed.action === 'fire') {
         e.preventDefault()
-        shoot()
+        input.fire = true
+        input.fireHeld = true
       }
     }
+    const handleKeyUp = (e) => {
+      const released = keyAction(e)
+      if (released?.action === 'fire') inputsRef.current[released.player].fireHeld = false
+    }
 
     window.addEventListener('keydown', handleKeyDown)
-    return () => window.removeEventListener('keydown', handleKeyDown)
-  }, [gameStarted, gameOver, shoot])
+    window.addEventListener('keyup', handleKeyUp)
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown)
+      window.removeEventListener('keyup', handleKeyUp)
+      // The key may come up while paused
+      inputsRef.current.forEach((input) => { input.fireHeld = false })
+    }
+  }, [controlling, paused])
+
+  // Esc (or the bound pause key) toggles the pause menu
+  useEffect(() => {
+    if (!playing) return
+
+    const handlePauseKey = (e) => {
+      if (e.key !== 'Escape' && actionForKey(getGameSettings().bindings, e.key) !== 'pause') return
+      // Let the initials field and other inputs keep their keys
+      if (e.target instanceof HTMLInputElement) return
+      e.preventDefault()
+      setPaused(p => !p)
+    }
+
+    window.addEventListener('keydown', handlePauseKey)
+    return () => window.removeEventListener('keydown', handlePauseKey)
+  }, [playing])
+
+  // Auto-pause when the tab is hidden or the window loses focus -
+  // requestAnimationFrame stops in background tabs anyway, but the
+  // player should come back to a menu, not straight into the action
+  useEffect(() => {
+    if (!playing || paused) return
+
+    const autoPause = () => {
+      if (getGameSettings().autoPause) setPaused(true)
+    }
+    const handleVisibility = () => {
+      if (document.hidden) autoPause()
+    }
+
+    document.addEventListener('visibilitychange', handleVisibility)
+    window.addEventListener('blur', autoPause)
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibility)
+      window.removeEventListener('blur', autoPause)
+    }
+  }, [playing, paused])
 
-  // Touch/mouse controls for mobile
+  // Touch/mouse controls for mobile. In manual fire mode holding the
+  // mouse button or a finger down is the trigger. The mouse steers
+  // player 1; with two players each half of a touch screen steers the
+  // ship on that side.
   useEffect(() => {
-    if (!gameStarted || gameOver) return
+    if (!controlling || paused) return
 
-    const handleMove = (clientX) => {
+    const playerForX = (clientX) => (inputsRef.current.length > 1 && clientX >= window.innerWidth / 2 ? 1 : 0)
+
+    const handleMove = (index, clientX) => {
       const centerX = window.innerWidth / 2
       const offset = (clientX - centerX) / (window.innerWidth / 8)
-      shipPosRef.current = Math.max(-4, Math.min(4, offset))
-      setShipPosition(shipPosRef.current)
+      inputsRef.current[index].targetX = clampToLane(gameRef.current, index, offset)
+    }
+    // Each player's trigger is down while a finger is on their half
+    const holdTouches = (touches) => {
+      inputsRef.current.forEach((input, index) => {
+        input.fireHeld = [...touches].some(touch => playerForX(touch.clientX) === index)
+      })
     }
 
-    const handleMouseMove = (e) => handleMove(e.clientX)
+    const handleMouseMove = (e) => handleMove(0, e.clientX)
     const handleTouchMove = (e) => {
-      if (e.touches.length > 0) {
-        handleMove(e.touches[0].clientX)
-      }
+      // Solo keeps to the first finger
+      const touches = inputsRef.current.length > 1 ? [...e.touches] : [...e.touches].slice(0, 1)
+      touches.forEach(touch => handleMove(playerForX(touch.clientX), touch.clientX))
+    }
+    // Buttons (pause, back) are not the trigger
+    const onButton = (e) => e.target instanceof Element && e.target.closest('button')
+    const handleMouseDown = (e) => {
+      if (!onButton(e)) inputsRef.current[0].fireHeld = true
+    }
+    const handleTouchStart = (e) => {
+      if (!onButton(e)) holdTouches(e.touches)
+    }
+    const handleMouseUp = () => {
+      inputsRef.current[0].fireHeld = false
     }
+    const handleTouchEnd = (e) => holdTouches(e.touches)
 
     // Mouse controls for desktop
     window.addEventListener('mousemove', handleMouseMove, { passive: true })
+    window.addEventListener('mousedown', handleMouseDown)
+    window.addEventListener('mouseup', handleMouseUp)
     // Touch controls for mobile
     window.addEventListener('touchmove', handleTouchMove, { passive: true })
+    window.addEventListener('touchstart', handleTouchStart, { passive: true })
+    window.addEventListener('touchend', handleTouchEnd)
 
     return () => {
       window.removeEventListener('mousemove', handleMouseMove)
+      window.removeEventListener('mousedown', handleMouseDown)
+      window.removeEventListener('mouseup', handleMouseUp)
       window.removeEventListener('touchmove', handleTouchMove)
+      window.removeEventListener('touchstart', handleTouchStart)
+      window.removeEventListener('touchend', handleTouchEnd)
+      inputsRef.current.forEach((input) => { input.fireHeld = false })
     }
-  }, [gameStarted, gameOver])
+  }, [controlling, paused])
 
-  // Spawn asteroids
-  // Game timer - increases difficulty over time
+  const togglePause = useCallback(() => setPaused(p => !p), [])
+
+  // Sound stops with the game clock while paused. Quitting from the
+  // pause menu resumes it too - the portfolio's music shares the graph.
   useEffect(() => {
-    if (!gameStarted || gameOver) return
+    if (!playing || !paused) return
+    suspendAudio()
+    return () => resumeAudio()
+  }, [playing, paused])
 
-    const timer = setInterval(() => {
-      setGameTime(prev => prev + 1)
-    }, 1000)
+  useEffect(() => () => stopMusic(), [])
 
-    return () => clearInterval(timer)
-  }, [gameStarted, gameOver])
+  useEffect(() => () => verifyAbortRef.current?.abort(), [])
 
-  // Spawn asteroids - spawn rate and speed increase with time
-  useEffect(() => {
-    if (!gameStarted || gameOver) return
-
-    // Calculate difficulty based on game time
-    // Speed increases from 0.012 to max 0.035 over time
-    const baseSpeed = 0.012 + Math.min(gameTime * 0.0003, 0.015)
-    const speedVariation = 0.008 + Math.min(gameTime * 0.0002, 0.007)
-    
-    // Spawn interval decreases from 1500ms to min 600ms over time
-    const spawnInterval = Math.max(1500 - gameTime * 30, 600)
-    
-    // Narrower spawn range for mobile to keep asteroids visible
-    const spawnWidth = isMobile ? 4 : 8
-
-    const interval = setInterval(() => {
-      const newAsteroid = {
-        id: asteroidIdRef.current++,
-        x: (Math.random() - 0.5) * spawnWidth,
-        speed: baseSpeed + Math.random() * speedVariation,
-        colorIndex: Math.floor(Math.random() * 8),
-        health: 3,
+  // Only the HUD follows the simulation through React - entities are
+  // drawn straight from the world by the instanced meshes
+  const handleUpdate = useCallback((game) => {
+    // Each sound at most once a frame, however many ticks ran
+    new Set(game.events.map(event => EVENT_SOUNDS[event])).forEach(playSound)
+    game.events.length = 0
+    setMusicIntensity(musicIntensity(game))
+
+    // Achievements unlock as they are earned; only live solo runs count
+    if (!playerRef.current && game.mode === 'solo' && !runSavedRef.current) {
+      const run = runStats(game)
+      const earned = unlockAchievements(run)
+      if (earned.length > 0) setToasts(queue => [...queue, ...earned])
+      if (game.over) {
+        recordRun(run)
+        runSavedRef.current = true
       }
-      setAsteroids(prev => [...prev, newAsteroid])
-    }, spawnInterval)
+    }
 
-    return () => clearInterval(interval)
-  }, [gameStarted, gameOver, gameTime, isMobile])
+    setScore(game.score)
+    const snapshot = hudSnapshot(game)
+    if (snapshot.key !== hudKeyRef.current) {
+      hudKeyRef.current = snapshot.key
+      setHud(snapshot)
+    }
+    const player = playerRef.current
+    if (player ? replayFinished(player) : game.over) {
+      stopMusic()
+      setGameOver(true)
+      if (player) {
+        setReplayResult(game.result)
+      } else {
+        setResult(game.result)
+        // The loop keeps reporting while the last explosions play out
+        const recording = recordingRef.current
+        if (recording) setReplay(last => last ?? finishRecording(recording, game))
+      }
+    }
+  }, [])
 
-  // Auto-shoot for all (mouse and touch)
-  useEffect(() => {
-    if (!gameStarted || gameOver) return
+  const handleSubmitInitials = useCallback((initials) => {
+    const date = new Date().toISOString()
+    // The replay goes along so the server can re-run and check the score
+    submitScore({ initials, ...result, date }, replay)
+      .then((list) => {
+        setScores(list)
+        setSavedDate(date)
+      })
+      .catch((err) => {
+        console.error('Could not save high score:', err)
+        setSavedDate(date)
+      })
+  }, [result, replay])
 
-    const interval = setInterval(() => {
-      shoot()
-    }, 250)
+  // Ask for initials once per solo run, when the score makes the table
+  const pendingScore = gameOver && !spectating && result && !result.mode && !savedDate && scores && qualifies(scores, result.score)
+    ? result.score
+    : null
+  const shownResult = spectating ? replayResult : result
 
-    return () => clearInterval(interval)
-  }, [gameStarted, gameOver, shoot])
+  // Shared by a new run and a replay starting
+  const beginRun = (game) => {
+    verifyAbortRef.current?.abort()
+    gameRef.current = game
+    inputsRef.current = game.players.map(player => createInput(player.x))
+    // Start (or unlock) Web Audio from this click
+    resumeAudio()
+    startMusic(musicIntensity(game))
 
-  const handleBulletRemove = useCallback((id) => {
-    setBullets(prev => prev.filter(b => b.id !== id))
-    // Also remove from bulletsRef
-    bulletsRef.current = bulletsRef.current.filter(b => b.id !== id)
-  }, [])
+    setGameStarted(true)
+    setGameOver(false)
+    setPaused(false)
+    setPanel('scores')
+    setScore(0)
+    setRunMode(game.mode)
+    setHud(hudSnapshot(game))
+    hudKeyRef.current = null
+  }
 
-  const handleBulletUpdatePosition = useCallback((id, x, y) => {
-    // Update bullet position in ref for collision detection
-    const bullet = bulletsRef.current.find(b => b.id === id)
-    if (bullet) {
-      bullet.x = x
-      bullet.y = y
-    } else {
-      bulletsRef.current.push({ id, x, y })
-    }
+  // A live solo run left before game over still counts towards the stats
+  const saveAbandonedRun = useCallback(() => {
+    if (!gameRef.current || gameRef.current.mode !== 'solo' || playerRef.current || runSavedRef.current) return
+    recordRun(runStats(gameRef.current))
+    runSavedRef.current = true
   }, [])
 
-  const handleAsteroidHit = useCallback((asteroidId, bulletId, hitX, hitY) => {
-    setAsteroids(prev => {
-      return prev.map(asteroid => {
-        if (asteroid.id === asteroidId) {
-          const newHealth = asteroid.health - 1
-          if (newHealth <= 0) {
-            // Asteroid destroyed
-            setExplosions(exp => [...exp, {
-              id: explosionIdRef.current++,
-              x: hitX || asteroid.x,
-              y: hitY || 0,
-            }])
-            setScore(s => s + 30) // More points for destroying
-            return null // Mark for removal
-          } else {
-            // Asteroid damaged but not destroyed
-            setScore(s => s + 5) // Small points for hit
-            return { ...asteroid, health: newHealth }
-          }
-        }
-        return asteroid
-      }).filter(a => a !== null) // Remove destroyed asteroids
-    })
-    setBullets(prev => prev.filter(b => b.id !== bulletId))
-    bulletsRef.current = bulletsRef.current.filter(b => b.id !== bulletId)
-  }, [])
+  // Leaving the game mid-run (back button, browser back, another route)
+  // still counts the run
+  useEffect(() => saveAbandonedRun, [saveAbandonedRun])
 
-  const handleExplosionComplete = useCallback((id) => {
-    setExplosions(prev => prev.filter(e => e.id !== id))
-  }, [])
+  const goBack = () => {
+    saveAbandonedRun()
+    onBack()
+  }
 
-  const handleGameOver = useCallback((x, y) => {
-    // Create explosion at ship position
-    setExplosions(exp => [...exp, {
-      id: explosionIdRef.current++,
-      x: x,
-      y: y,
-    }])
-    setGameOver(true)
-    setAsteroids([])
-    setBullets([])
-    bulletsRef.current = []
-  }, [])
+  const dropToast = useCallback(() => setToasts(queue => queue.slice(1)), [])
 
   const startGame = () => {
-    // Spawn 3 asteroids immediately at different positions
-    // Narrower spawn range for mobile to keep asteroids visible
-    const spawnWidth = isMobile ? 4 : 8
-    const initialAsteroids = []
-    for (let i = 0; i < 3; i++) {
-      initialAsteroids.push({
-        id: asteroidIdRef.current++,
-        x: (Math.random() - 0.5) * spawnWidth,
-        speed: 0.012 + Math.random() * 0.008,
-        colorIndex: Math.floor(Math.random() * 8),
-        health: 3,
-      })
-    }
-    
-    setGameStarted(true)
-    setGameOver(false)
+    saveAbandonedRun()
+    runSavedRef.current = false
+    const options = { seed: randomSeed(), spawnWidth: isMobile ? 4 : 8, mode, sharedLives }
+    // Narrower spawn range for mobile to keep asteroids visible.
+    // Replays are of solo runs only.
+    recordingRef.current = mode === 'solo' ? createRecording(options) : null
+    playerRef.current = null
+    beginRun(createGame(options))
+    setSpectating(false)
+    setResult(null)
+    setSavedDate(null)
+    setReplay(null)
+  }
+
+  const watchReplay = (watched, check = null) => {
+    saveAbandonedRun()
+    const player = createReplayPlayer(watched)
+    playerRef.current = player
+    beginRun(player.game)
+    setSpectating(true)
+    setReplaySpeed(1)
+    setReplay(watched)
+    setReplayResult(null)
+    setReplayCheck(check)
+  }
+
+  // Imported files are re-run headless first, so the spectator can see
+  // whether the recorded score is genuine. Starting anything else
+  // meanwhile cancels the check (the promise rejects with AbortError).
+  const importReplay = (imported) => {
+    verifyAbortRef.current?.abort()
+    const controller = new AbortController()
+    verifyAbortRef.current = controller
+    return verifyReplayInSlices(imported, controller.signal).then((actual) => {
+      const verified = actual !== null && imported.result?.score === actual.score
+      watchReplay(imported, verified ? 'verified' : 'mismatch')
+    })
+  }
+
+  // Abandon the run and go back to the start screen
+  const quitGame = () => {
+    saveAbandonedRun()
+    stopMusic()
+    gameRef.current = null
+    playerRef.current = null
+    setGameStarted(false)
+    setSpectating(false)
+    setPaused(false)
     setScore(0)
-    setGameTime(0)
-    setBullets([])
-    setAsteroids(initialAsteroids)
-    setExplosions([])
-    bulletsRef.current = []
-    shipPosRef.current = 0
-    setShipPosition(0)
   }
 
   return (
@@ -560,11 +1036,100 @@ const SpaceGame = memo(function SpaceGame({ onBack }) {
         textShadow: '0 0 10px rgba(0, 255, 255, 0.8)',
         zIndex: 110,
       }}>
-        SCORE: {score}
+        {runMode === 'versus' && hud.players.length > 1
+          ? `P1 ${hud.players[0].score} : ${hud.players[1].score} P2`
+          : `SCORE: ${score}`}
       </div>
 
+      {playing && hud.players.length === 1 && <GameHud hud={hud.players[0]} isMobile={isMobile} />}
+      {playing && hud.players.length > 1 && hud.players.map((player, i) => (
+        <GameHud
+          key={i}
+          hud={player}
+          label={`P${i + 1}`}
+          color={PLAYER_COLORS[i].body}
+          align={i === 0 ? 'left' : 'right'}
+          isMobile={isMobile}
+        />
+      ))}
+      {playing && <LevelHud level={hud.level} isMobile={isMobile} />}
+
+      {/* Pause button - the way to pause on touch screens */}
+      {controlling && !paused && (
+        <button
+          onClick={() => setPaused(true)}
+          aria-label="Pause"
+          title="Pause (Esc)"
+          style={{
+            position: 'absolute',
+            top: '70px',
+            left: '20px',
+            width: '40px',
+            height: '40px',
+            fontSize: '14px',
+            background: 'rgba(255, 255, 255, 0.1)',
+            border: '1px solid rgba(255, 255, 255, 0.3)',
+            borderRadius: '50%',
+            color: '#fff',
+            cursor: 'pointer',
+            zIndex: 110,
+          }}
+        >
+          ❚❚
+        </button>
+      )}
+
+      {/* Mute - shared with the portfolio's music player */}
+      {playing && (
+        <button
+          onClick={() => setAudioSetting('muted', !muted)}
+          aria-pressed={muted}
+          aria-label="Mute sound"
+          title={muted ? 'Unmute' : 'Mute'}
+          style={{
+            position: 'absolute',
+            top: '70px',
+            left: '70px',
+            width: '40px',
+            height: '40px',
+            fontSize: '16px',
+            background: 'rgba(255, 255, 255, 0.1)',
+            border: '1px solid rgba(255, 255, 255, 0.3)',
+            borderRadius: '50%',
+            color: '#fff',
+            cursor: 'pointer',
+            zIndex: 110,
+          }}
+        >
+          {muted ? '🔇' : '🔊'}
+        </button>
+      )}
+
+      {controlling && paused && (
+        <PauseMenu
+          onResume={() => setPaused(false)}
+          onRestart={startGame}
+          onQuit={quitGame}
+          isMobile={isMobile}
+        />
+      )}
+
+      <AchievementToast toasts={toasts} onDone={dropToast} isMobile={isMobile} />
+
+      {spectating && playing && (
+        <ReplayBar
+          speed={replaySpeed}
+          onSpeedChange={setReplaySpeed}
+          paused={paused}
+          onTogglePause={togglePause}
+          onExit={quitGame}
+          check={replayCheck}
+          isMobile={isMobile}
+        />
+      )}
+
       {/* Controls hint */}
-      {gameStarted && !gameOver && (
+      {controlling && (
         <div style={{
           position: 'absolute',
           bottom: '20px',
@@ -575,7 +1140,10 @@ const SpaceGame = memo(function SpaceGame({ onBack }) {
           fontFamily: 'sans-serif',
           zIndex: 110,
         }}>
-          Move mouse or drag to control • Auto-shooting
+          {runMode === 'solo'
+            ? 'Move mouse or drag to control'
+            : 'P1: mouse or keys • P2: own keys (see Settings) or a gamepad'}
+          {' • '}{fireMode === 'manual' ? 'Hold to fire' : 'Auto-shooting'} • Esc to pause
         </div>
       )}
 
@@ -587,6 +1155,8 @@ const SpaceGame = memo(function SpaceGame({ onBack }) {
           left: '50%',
           transform: 'translate(-50%, -50%)',
           textAlign: 'center',
+          maxHeight: '100%',
+          overflowY: 'auto',
           zIndex: 110,
         }}>
           <h1 style={{
@@ -598,8 +1168,18 @@ const SpaceGame = memo(function SpaceGame({ onBack }) {
               : '0 0 20px rgba(255, 102, 0, 0.8)',
             marginBottom: '20px',
           }}>
-            {gameOver ? 'GAME OVER' : 'SPACE SHOOTER'}
+            {gameOver ? (spectating ? 'REPLAY COMPLETE' : 'GAME OVER') : 'SPACE SHOOTER'}
           </h1>
+          {gameOver && shownResult?.mode === 'versus' && (
+            <div style={{
+              color: shownResult.winner === null ? '#fff' : PLAYER_COLORS[shownResult.winner].body,
+              fontSize: isMobile ? '20px' : '28px',
+              fontFamily: '"Orbitron", sans-serif',
+              marginBottom: '20px',
+            }}>
+              {shownResult.winner === null ? 'DRAW' : `PLAYER ${shownResult.winner + 1} WINS`}
+            </div>
+          )}
           {gameOver && (
             <div style={{
               color: '#fff',
@@ -608,9 +1188,38 @@ const SpaceGame = memo(function SpaceGame({ onBack }) {
               textShadow: '0 0 15px rgba(0, 255, 255, 0.8)',
               marginBottom: '30px',
             }}>
-              FINAL SCORE: {score}
+              {shownResult?.mode === 'coop' ? 'TEAM SCORE' : 'FINAL SCORE'}: {score}
+            </div>
+          )}
+          {gameOver && shownResult?.players && (
+            <div style={{
+              display: 'flex',
+              justifyContent: 'center',
+              gap: '24px',
+              fontSize: isMobile ? '14px' : '18px',
+              fontFamily: '"Orbitron", sans-serif',
+              marginTop: '-20px',
+              marginBottom: '30px',
+            }}>
+              {shownResult.players.map((player, i) => (
+                <span key={i} style={{ color: PLAYER_COLORS[i].body }}>
+                  P{i + 1}: {player.score} • {player.destroyed} destroyed
+                </span>
+              ))}
             </div>
           )}
+          {gameOver && shownResult && (
+            <div style={{
+              color: 'rgba(255, 255, 255, 0.7)',
+              fontSize: isMobile ? '12px' : '14px',
+              fontFamily: 'monospace',
+              marginTop: '-20px',
+              marginBottom: '30px',
+            }}>
+              Reached level {shownResult.level} • Survived {shownResult.seconds}s • {shownResult.destroyed} asteroids destroyed
+            </div>
+          )}
+          <ModeSelect isMobile={isMobile} />
           <button
             onClick={startGame}
             style={{
@@ -644,12 +1253,41 @@ const SpaceGame = memo(function SpaceGame({ onBack }) {
           >
             {gameOver ? 'PLAY AGAIN' : 'START GAME'}
           </button>
+          <div style={{ display: 'flex', justifyContent: 'center', gap: '8px', marginTop: '16px' }}>
+            {['settings', 'stats'].map(name => (
+              <button
+                key={name}
+                onClick={() => setPanel(open => (open === name ? 'scores' : name))}
+                aria-expanded={panel === name}
+                style={panelButtonStyle}
+              >
+                {panel === name ? 'HIGH SCORES' : name.toUpperCase()}
+              </button>
+            ))}
+          </div>
+          {gameOver && !spectating && result && <ShareScore result={result} />}
+          <ReplayActions replay={replay} onWatch={watchReplay} onImport={importReplay} />
+          {panel === 'settings' && (
+            <div style={{ marginTop: '20px' }}>
+              <GameSettings onDone={() => setPanel('scores')} isMobile={isMobile} />
+            </div>
+          )}
+          {panel === 'stats' && <GameStats isMobile={isMobile} />}
+          {panel === 'scores' && (
+            <Leaderboard
+              scores={scores}
+              highlightDate={savedDate}
+              pendingScore={pendingScore}
+              onSubmitInitials={handleSubmitInitials}
+              isMobile={isMobile}
+            />
+          )}
         </div>
       )}
 
       {/* Back button */}
       <button
-        onClick={onBack}
+        onClick={goBack}
         style={{
           position: 'absolute',
           top: '20px',
@@ -673,20 +1311,25 @@ const SpaceGame = memo(function SpaceGame({ onBack }) {
         dpr={[1, 1.5]}
         gl={{ antialias: true }}
       >
+        <GameLoop
+          gameRef={gameRef}
+          inputsRef={inputsRef}
+          alphaRef={alphaRef}
+          recordingRef={recordingRef}
+          playerRef={playerRef}
+          speed={replaySpeed}
+          paused={paused}
+          onTogglePause={togglePause}
+          onUpdate={handleUpdate}
+        />
         <GameScene
-          shipPosition={shipPosition}
-          bullets={bullets}
-          asteroids={asteroids}
-          explosions={explosions}
-          onBulletRemove={handleBulletRemove}
-          onBulletUpdatePosition={handleBulletUpdatePosition}
-          onAsteroidHit={handleAsteroidHit}
-          onExplosionComplete={handleExplosionComplete}
-          onGameOver={handleGameOver}
-          shipPosRef={shipPosRef}
+          gameRef={gameRef}
+          alphaRef={alphaRef}
           gameOver={gameOver}
-          bulletsRef={bulletsRef}
+          mode={runMode}
+          players={runMode === 'solo' ? 1 : 2}
         />
+        {showHitboxes && <HitboxOverlay gameRef={gameRef} alphaRef={alphaRef} />}
       </Canvas>
 
       <style>{`
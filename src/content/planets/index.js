@@ -0,0 +1,15 @@
+/**
+ * Planet Content
+ * Order here is the order planets appear on the orbit.
+ * Each file is checked against ../planet.schema.json when the app builds.
+ */
+
+import about from './about.json'
+import experience from './experience.json'
+import skills from './skills.json'
+import education from './education.json'
+import projects from './projects.json'
+
+const PLANET_CONTENT = [about, experience, skills, education, projects]
+
+export default PLANET_CONTENT
@@ -0,0 +1,115 @@
+/**
+ * Content Validator
+ * Checks planet JSON against planet.schema.json at build time
+ *
+ * Supports the subset of JSON Schema the content schema uses:
+ * type, enum, const, required, properties, items, minItems,
+ * minLength, pattern, $ref (local definitions), allOf and if/then.
+ */
+
+// ============================================
+// HELPERS
+// ============================================
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array'
+  if (value === null) return 'null'
+  if (Number.isInteger(value)) return 'integer'
+  return typeof value
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value)
+  if (type === 'number') return actual === 'number' || actual === 'integer'
+  return actual === type
+}
+
+function resolveRef(ref, root) {
+  const path = ref.replace(/^#\//, '').split('/')
+  const target = path.reduce((node, key) => (node ? node[key] : undefined), root)
+  if (!target) throw new Error(`Unknown schema reference "${ref}"`)
+  return target
+}
+
+function formatPath(path) {
+  return path || '(root)'
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+function validateNode(value, schema, root, path, errors) {
+  if (schema.$ref) {
+    validateNode(value, resolveRef(schema.$ref, root), root, path, errors)
+    return
+  }
+
+  if ('const' in schema && value !== schema.const) {
+    errors.push(`${formatPath(path)} must be ${JSON.stringify(schema.const)}`)
+    return
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${formatPath(path)} must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`)
+    return
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${formatPath(path)} must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`)
+    return
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength && value.trim().length < schema.minLength) {
+      errors.push(`${formatPath(path)} must not be empty`)
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${formatPath(path)} must match ${schema.pattern}`)
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${formatPath(path)} needs at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`)
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validateNode(item, schema.items, root, `${path}[${i}]`, errors))
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach((key) => {
+      if (!(key in value)) {
+        errors.push(`${path ? `${path}.` : ''}${key} is required`)
+      }
+    })
+    Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+      if (key in value) {
+        validateNode(value[key], propSchema, root, path ? `${path}.${key}` : key, errors)
+      }
+    })
+  }
+
+  (schema.allOf || []).forEach((sub) => {
+    validateNode(value, sub, root, path, errors)
+  })
+
+  if (schema.if) {
+    const conditionErrors = []
+    validateNode(value, schema.if, root, path, conditionErrors)
+    if (conditionErrors.length === 0 && schema.then) {
+      validateNode(value, schema.then, root, path, errors)
+    }
+  }
+}
+
+/**
+ * Validate a parsed value against a schema.
+ * Returns a list of readable error messages (empty when valid).
+ */
+export function validateContent(value, schema) {
+  const errors = []
+  validateNode(value, schema, schema, '', errors)
+  return errors
+}
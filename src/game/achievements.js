@@ -0,0 +1,125 @@
+/**
+ * Achievements
+ * Lifetime Space Shooter stats and the achievements earned from them
+ *
+ * runStats() sums up one run from the simulation's counters, addRun()
+ * folds it into the lifetime totals. Each achievement tests the totals
+ * and the run so far:
+ *
+ *   { id, title, description, test: ({ lifetime, run }) => boolean }
+ *
+ * so it can unlock mid-run, the moment it is earned. Lifetime totals
+ * passed to test() already include the run in progress.
+ */
+
+import { TICK_RATE } from './simulation'
+
+export const EMPTY_STATS = {
+  gamesPlayed: 0,
+  destroyed: 0,          // Asteroids destroyed
+  shots: 0,
+  hits: 0,
+  secondsPlayed: 0,
+  longestSeconds: 0,     // Longest survival in one run
+  bestStreak: 0,         // Most hits in a row
+  highestLevel: 0,
+  bossesDefeated: 0,
+}
+
+/** One solo run's numbers, from a game in progress or over */
+export function runStats(game) {
+  const { stats } = game.players[0]
+  return {
+    destroyed: game.destroyed,
+    shots: stats.shots,
+    hits: stats.hits,
+    seconds: Math.floor(game.tick / TICK_RATE),
+    bestStreak: stats.bestStreak,
+    // Only stretches of steady hitting count - holding fire doesn't
+    cleanSeconds: Math.floor(stats.cleanTicks / TICK_RATE),
+    level: game.level,
+    bossesDefeated: stats.bossesDefeated,
+  }
+}
+
+export function addRun(lifetime, run) {
+  return {
+    gamesPlayed: lifetime.gamesPlayed + 1,
+    destroyed: lifetime.destroyed + run.destroyed,
+    shots: lifetime.shots + run.shots,
+    hits: lifetime.hits + run.hits,
+    secondsPlayed: lifetime.secondsPlayed + run.seconds,
+    longestSeconds: Math.max(lifetime.longestSeconds, run.seconds),
+    bestStreak: Math.max(lifetime.bestStreak, run.bestStreak),
+    highestLevel: Math.max(lifetime.highestLevel, run.level),
+    bossesDefeated: lifetime.bossesDefeated + run.bossesDefeated,
+  }
+}
+
+/** Share of bullets that hit something (0-1), null before the first shot */
+export function accuracy(stats) {
+  return stats.shots > 0 ? stats.hits / stats.shots : null
+}
+
+export const ACHIEVEMENTS = [
+  {
+    id: 'first-blood',
+    title: 'First Contact',
+    description: 'Destroy your first asteroid',
+    test: ({ lifetime }) => lifetime.destroyed >= 1,
+  },
+  {
+    id: 'centurion',
+    title: 'Centurion',
+    description: 'Destroy 100 asteroids',
+    test: ({ lifetime }) => lifetime.destroyed >= 100,
+  },
+  {
+    id: 'demolition',
+    title: 'Demolition Crew',
+    description: 'Destroy 1,000 asteroids',
+    test: ({ lifetime }) => lifetime.destroyed >= 1000,
+  },
+  {
+    id: 'survivor',
+    title: 'Survivor',
+    description: 'Survive 2 minutes in one run',
+    test: ({ run }) => run.seconds >= 120,
+  },
+  {
+    id: 'marathon',
+    title: 'Marathon',
+    description: 'Survive 5 minutes in one run',
+    test: ({ run }) => run.seconds >= 300,
+  },
+  {
+    id: 'sharpshooter',
+    title: 'Sharpshooter',
+    description: 'Keep hitting for 30 seconds without a missed shot',
+    test: ({ run }) => run.cleanSeconds >= 30,
+  },
+  {
+    id: 'streak',
+    title: 'On Target',
+    description: 'Hit 25 shots in a row',
+    test: ({ run }) => run.bestStreak >= 25,
+  },
+  {
+    id: 'boss-slayer',
+    title: 'Boss Slayer',
+    description: 'Defeat a boss',
+    test: ({ lifetime }) => lifetime.bossesDefeated >= 1,
+  },
+  {
+    id: 'deep-space',
+    title: 'Deep Space',
+    description: 'Reach level 5',
+    test: ({ run }) => run.level >= 5,
+  },
+  {
+    id: 'regular',
+    title: 'Regular',
+    description: 'Play 10 games',
+    test: ({ lifetime }) => lifetime.gamesPlayed >= 10,
+  },
+]
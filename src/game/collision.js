@@ -0,0 +1,137 @@
+/**
+ * Collision Shapes
+ * The shapes things collide with, matching what is drawn
+ *
+ * Everything is 2D - the game plays in the z = 0 plane:
+ *
+ *   asteroid - circle of the dodecahedron's radius at its drawn scale,
+ *              which shrinks as the asteroid takes damage
+ *   bullet   - small circle, tested along the path it moved this tick
+ *              (swept) so it can't skip over a target between ticks
+ *   ship     - compound shape: a triangle for the cone seen side-on,
+ *              a circle for the cockpit and a capsule per wing
+ *   boss     - box around the saucer's hull
+ *
+ * Moving pairs are tested in the target's frame: if both move in a
+ * straight line during a tick, the bullet's path relative to the
+ * target is the segment from (start - target start) to (end - target
+ * end), and they touch during the tick exactly when that segment comes
+ * within reach of the target's shape.
+ */
+
+export const ASTEROID_RADIUS = 0.4     // dodecahedronGeometry radius at scale 1
+export const BULLET_RADIUS = 0.08
+export const BOSS_HALF_WIDTH = 1       // Around the saucer's hull
+export const BOSS_HALF_HEIGHT = 0.5
+
+/** Drawn scale of an asteroid: its type's size, down to 70% as it takes damage */
+export function asteroidScale(size, health, maxHealth) {
+  return size * (0.7 + (health / maxHealth) * 0.3)
+}
+
+export function asteroidRadius(size, health, maxHealth) {
+  return ASTEROID_RADIUS * asteroidScale(size, health, maxHealth)
+}
+
+// Wing: a 0.4 x 0.08 box at (side * 0.35, -0.2), tilted side * 0.5 rad
+function wing(side) {
+  const angle = side * 0.5
+  const dx = Math.cos(angle) * 0.2
+  const dy = Math.sin(angle) * 0.2
+  const x = side * 0.35
+  return { type: 'capsule', ax: x - dx, ay: -0.2 - dy, bx: x + dx, by: -0.2 + dy, radius: 0.04 }
+}
+
+/** The ship's parts, relative to the ship's position */
+export const SHIP_SHAPE = [
+  // Cone of radius 0.3 and height 0.8, apex up
+  { type: 'polygon', points: [[0, 0.4], [-0.3, -0.4], [0.3, -0.4]] },
+  { type: 'circle', x: 0, y: 0.1, radius: 0.15 },
+  wing(-1),
+  wing(1),
+]
+
+// ============================================
+// PRIMITIVES
+// ============================================
+
+/** Squared distance from point p to the segment a-b */
+export function segmentDistanceSq(px, py, ax, ay, bx, by) {
+  const abx = bx - ax
+  const aby = by - ay
+  const lengthSq = abx * abx + aby * aby
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * abx + (py - ay) * aby) / lengthSq))
+  const dx = ax + abx * t - px
+  const dy = ay + aby * t - py
+  return dx * dx + dy * dy
+}
+
+// Circle against a convex polygon: centre inside, or close to an edge
+function circleHitsPolygon(cx, cy, radius, points) {
+  let inside = true
+  for (let i = 0; i < points.length; i++) {
+    const [ax, ay] = points[i]
+    const [bx, by] = points[(i + 1) % points.length]
+    if (segmentDistanceSq(cx, cy, ax, ay, bx, by) <= radius * radius) return true
+    // Counter-clockwise winding: inside is to the left of every edge
+    if ((bx - ax) * (cy - ay) - (by - ay) * (cx - ax) < 0) inside = false
+  }
+  return inside
+}
+
+/** Circle at (cx, cy) against a compound shape placed at (x, y) */
+export function circleHitsShape(cx, cy, radius, shape, x, y) {
+  const lx = cx - x
+  const ly = cy - y
+  return shape.some((part) => {
+    if (part.type === 'circle') {
+      const reach = radius + part.radius
+      return (lx - part.x) ** 2 + (ly - part.y) ** 2 <= reach * reach
+    }
+    if (part.type === 'capsule') {
+      const reach = radius + part.radius
+      return segmentDistanceSq(lx, ly, part.ax, part.ay, part.bx, part.by) <= reach * reach
+    }
+    return circleHitsPolygon(lx, ly, radius, part.points)
+  })
+}
+
+// ============================================
+// SWEPT TESTS
+// ============================================
+
+/**
+ * Whether a circle moving from (x0, y0) to (x1, y1) touches another
+ * moving from (cx0, cy0) to (cx1, cy1) during the tick. `reach` is
+ * the sum of both radii.
+ */
+export function sweptCirclesHit(x0, y0, x1, y1, cx0, cy0, cx1, cy1, reach) {
+  return segmentDistanceSq(0, 0, x0 - cx0, y0 - cy0, x1 - cx1, y1 - cy1) <= reach * reach
+}
+
+// Scratch interval for the slab test, so the hot loop allocates nothing
+const span = { enter: 0, exit: 1 }
+
+// Narrow `span` to where p + t * d lies within [-half, half]
+function clipSlab(p, d, half) {
+  if (d === 0) return Math.abs(p) <= half
+  const t0 = (-half - p) / d
+  const t1 = (half - p) / d
+  span.enter = Math.max(span.enter, Math.min(t0, t1))
+  span.exit = Math.min(span.exit, Math.max(t0, t1))
+  return span.enter <= span.exit
+}
+
+/**
+ * Whether a point moving from (x0, y0) to (x1, y1) passes through a
+ * box of half size (halfWidth, halfHeight) moving from (cx0, cy0) to
+ * (cx1, cy1). Grow the box by a circle's radius to test a circle.
+ */
+export function sweptPointHitsBox(x0, y0, x1, y1, cx0, cy0, cx1, cy1, halfWidth, halfHeight) {
+  // Slab test of the relative path against the box at the origin
+  const px = x0 - cx0
+  const py = y0 - cy0
+  span.enter = 0
+  span.exit = 1
+  return clipSlab(px, (x1 - cx1) - px, halfWidth) && clipSlab(py, (y1 - cy1) - py, halfHeight)
+}
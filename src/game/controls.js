@@ -0,0 +1,167 @@
+/**
+ * Controls
+ * Keyboard bindings and gamepad polling for SpaceGame
+ *
+ * Bindings map each action to up to two keys, stored as KeyboardEvent.key
+ * values (single characters lowercased, so Shift doesn't matter). Escape
+ * always pauses and is not bindable - it also cancels a rebind.
+ *
+ * Two-player modes split the keyboard: player 2 has its own bindings
+ * for moving and firing (by default the arrow keys and Enter, player 1
+ * A / D and Space). No key belongs to both - binding a key for one
+ * player takes it off the other (bindPlayerKey). Playing alone, player
+ * 2's keys steer the one ship too, so the arrow keys still work.
+ *
+ * The gamepad layout is fixed (standard mapping): left stick or d-pad
+ * to move, A or right trigger to fire, Start to pause.
+ */
+
+// ============================================
+// KEYBOARD
+// ============================================
+
+export const ACTIONS = [
+  { id: 'left', label: 'Move left' },
+  { id: 'right', label: 'Move right' },
+  { id: 'fire', label: 'Fire' },
+  { id: 'pause', label: 'Pause' },
+]
+
+export const KEYS_PER_ACTION = 2
+
+export const DEFAULT_BINDINGS = {
+  left: ['a'],
+  right: ['d'],
+  fire: [' '],
+  pause: ['p'],
+}
+
+// Player 2 moves and fires; pausing stays with player 1's keys
+export const PLAYER_2_ACTIONS = ACTIONS.filter(({ id }) => id !== 'pause')
+
+export const DEFAULT_BINDINGS_P2 = {
+  left: ['ArrowLeft'],
+  right: ['ArrowRight'],
+  fire: ['Enter'],
+}
+
+// Where each player's bindings are saved and the actions they can bind
+export const PLAYER_BINDINGS = [
+  { settingKey: 'bindings', actions: ACTIONS },
+  { settingKey: 'bindings2', actions: PLAYER_2_ACTIONS },
+]
+
+const KEY_LABELS = {
+  ' ': 'Space',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+}
+
+export const normalizeKey = (key) => (key.length === 1 ? key.toLowerCase() : key)
+
+export const keyLabel = (key) => KEY_LABELS[key] ?? (key.length === 1 ? key.toUpperCase() : key)
+
+// Action bound to `key`, or null
+export function actionForKey(bindings, key) {
+  const normalized = normalizeKey(key)
+  return ACTIONS.find(({ id }) => bindings[id]?.includes(normalized))?.id ?? null
+}
+
+/**
+ * { player (index), action } for `key`, or null. Player 2's bindings
+ * are checked first; with one player they move player 1.
+ */
+export function playerActionForKey(settings, key, playerCount) {
+  const action2 = actionForKey(settings.bindings2, key)
+  if (action2 && action2 !== 'pause') return { player: playerCount > 1 ? 1 : 0, action: action2 }
+  const action = actionForKey(settings.bindings, key)
+  return action ? { player: 0, action } : null
+}
+
+// Bindings of `actions` only, without `key`
+const withoutKey = (bindings, actions, key) => Object.fromEntries(
+  actions.map(({ id }) => [id, (bindings[id] ?? []).filter(k => k !== key)])
+)
+
+/**
+ * Bindings of `actions` with `key` in slot `slot` of `action`. The key
+ * is taken off any other action first, so one key never does two things.
+ */
+export function bindKey(bindings, action, slot, key, actions = ACTIONS) {
+  const normalized = normalizeKey(key)
+  const next = withoutKey(bindings, actions, normalized)
+  const keys = [...next[action]]
+  keys[Math.min(slot, keys.length)] = normalized
+  next[action] = keys.slice(0, KEYS_PER_ACTION)
+  return next
+}
+
+/**
+ * Both players' bindings, { bindings, bindings2 }, after `player` binds
+ * `key` to `action` - the key is taken off the other player too.
+ */
+export function bindPlayerKey(settings, player, action, slot, key) {
+  const normalized = normalizeKey(key)
+  return Object.fromEntries(PLAYER_BINDINGS.map(({ settingKey, actions }, i) => [
+    settingKey,
+    i === player
+      ? bindKey(settings[settingKey], action, slot, normalized, actions)
+      : withoutKey(settings[settingKey], actions, normalized),
+  ]))
+}
+
+export function unbindKey(bindings, action, slot) {
+  return { ...bindings, [action]: bindings[action].filter((_, i) => i !== slot) }
+}
+
+// ============================================
+// GAMEPAD
+// ============================================
+
+const STICK_DEADZONE = 0.15
+const TRIGGER_THRESHOLD = 0.3
+
+// Standard mapping button indices
+const BUTTON_A = 0
+const BUTTON_RT = 7
+const BUTTON_START = 9
+const DPAD_LEFT = 14
+const DPAD_RIGHT = 15
+
+// Buttons held on the previous poll, per gamepad index
+const previous = new Map()
+
+const pressed = (pad, index) => {
+  const button = pad.buttons[index]
+  return Boolean(button) && (button.pressed || button.value > TRIGGER_THRESHOLD)
+}
+
+function readPad(pad) {
+  const stick = pad.axes[0] ?? 0
+  let x = Math.abs(stick) > STICK_DEADZONE ? stick : 0
+  if (pressed(pad, DPAD_LEFT)) x = -1
+  if (pressed(pad, DPAD_RIGHT)) x = 1
+
+  const fire = pressed(pad, BUTTON_A) || pressed(pad, BUTTON_RT)
+  const pause = pressed(pad, BUTTON_START)
+  const was = previous.get(pad.index) ?? { fire: false, pause: false }
+  previous.set(pad.index, { fire, pause })
+  return { x, fire, firePressed: fire && !was.fire, pausePressed: pause && !was.pause }
+}
+
+/**
+ * Read every connected gamepad, once per frame, in the order the
+ * browser numbers them. Each is
+ * { x (-1..1), fire (held), firePressed, pausePressed } - the *Pressed
+ * flags are true only on the frame the button went down.
+ */
+export function pollGamepads() {
+  const pads = [...(navigator.getGamepads?.() ?? [])].filter(pad => pad?.connected)
+  // Forget pads that went away, so they start clean when they return
+  previous.forEach((_, index) => {
+    if (!pads.some(pad => pad.index === index)) previous.delete(index)
+  })
+  return pads.map(readPad)
+}
@@ -0,0 +1,15 @@
+// Save a Blob as a file download, shared by score cards and replays.
+// The link has to be in the page for Firefox, and the URL has to outlive
+// the click - revoking it straight away can abort the download in Safari.
+const REVOKE_DELAY_MS = 10000
+
+export function downloadBlob(blob, name) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = name
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS)
+}
@@ -0,0 +1,168 @@
+/**
+ * Leaderboard
+ * Top 10 Space Shooter scores, kept in IndexedDB
+ *
+ * Entry: { initials, score, seconds, destroyed, date }
+ *   seconds   - time survived
+ *   destroyed - asteroids destroyed
+ *   date      - ISO timestamp of the run
+ *
+ * Set VITE_LEADERBOARD_URL to also use a self-hosted endpoint:
+ *   GET  <url>  -> JSON array of entries
+ *   POST <url>  JSON { ...entry, replay } -> JSON array of entries (the new top 10)
+ * The replay (see replay.js) lets the endpoint re-run the game and
+ * reject scores that don't match it. Scores are always saved locally
+ * too, and the local table is shown whenever the endpoint can't be
+ * reached. `npm run dev` serves an in-memory stand-in at
+ * /mock-leaderboard (see vite.config.js).
+ */
+
+export const LEADERBOARD_SIZE = 10
+export const LEADERBOARD_URL = import.meta.env.VITE_LEADERBOARD_URL || null
+
+const DB_NAME = 'space-shooter'
+const STORE = 'scores'
+
+// ============================================
+// ENTRIES
+// ============================================
+
+export function cleanInitials(value) {
+  return value.toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 3)
+}
+
+// Highest score first; ties go to whoever set it first
+function rank(entries) {
+  return [...entries]
+    .sort((a, b) => b.score - a.score || a.date.localeCompare(b.date))
+    .slice(0, LEADERBOARD_SIZE)
+}
+
+function isEntry(value) {
+  return value &&
+    typeof value.initials === 'string' &&
+    Number.isFinite(value.score) &&
+    Number.isFinite(value.seconds) &&
+    Number.isFinite(value.destroyed) &&
+    typeof value.date === 'string'
+}
+
+/** Whether `score` earns a place on the table `entries` */
+export function qualifies(entries, score) {
+  if (score <= 0) return false
+  return entries.length < LEADERBOARD_SIZE || score > entries[entries.length - 1].score
+}
+
+// ============================================
+// INDEXEDDB ADAPTER
+// ============================================
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+function createLocalLeaderboard() {
+  // Private windows in some browsers have no IndexedDB - keep scores for the session
+  if (typeof indexedDB === 'undefined') {
+    let memory = []
+    return {
+      list: async () => rank(memory),
+      submit: async (entry) => {
+        memory = rank([...memory, entry])
+        return memory
+      },
+    }
+  }
+
+  let dbPromise = null
+  const open = () => {
+    if (!dbPromise) {
+      const request = indexedDB.open(DB_NAME, 1)
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true })
+      }
+      dbPromise = promisify(request)
+    }
+    return dbPromise
+  }
+
+  const store = async (mode) => {
+    const db = await open()
+    return db.transaction(STORE, mode).objectStore(STORE)
+  }
+
+  return {
+    list: async () => rank(await promisify((await store('readonly')).getAll())),
+
+    // Adds the entry and deletes everything that fell off the table
+    submit: async (entry) => {
+      const scores = await store('readwrite')
+      await promisify(scores.add(entry))
+      const all = await promisify(scores.getAll())
+      const top = rank(all)
+      const keep = new Set(top.map(item => item.id))
+      await Promise.all(all.filter(item => !keep.has(item.id)).map(item => promisify(scores.delete(item.id))))
+      return top
+    },
+  }
+}
+
+// ============================================
+// HTTP ADAPTER
+// ============================================
+
+function createHttpLeaderboard(url) {
+  const read = async (response) => {
+    if (!response.ok) throw new Error(`Leaderboard responded ${response.status}`)
+    const body = await response.json()
+    if (!Array.isArray(body)) throw new Error('Leaderboard response is not a list')
+    return rank(body.filter(isEntry))
+  }
+
+  return {
+    list: async () => read(await fetch(url, { headers: { Accept: 'application/json' } })),
+    submit: async (entry, replay) => read(await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify({ ...entry, replay }),
+    })),
+  }
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+const local = createLocalLeaderboard()
+const remote = LEADERBOARD_URL ? createHttpLeaderboard(LEADERBOARD_URL) : null
+
+/** Current top 10 - from the endpoint if configured and reachable */
+export async function getScores() {
+  if (remote) {
+    try {
+      return await remote.list()
+    } catch (err) {
+      console.warn('Leaderboard endpoint unavailable, showing local scores:', err)
+    }
+  }
+  return local.list()
+}
+
+/**
+ * Save an entry and resolve with the updated top 10. The run's replay
+ * only goes to the endpoint, as proof of the score.
+ */
+export async function submitScore(entry, replay) {
+  const saved = await local.submit(entry)
+  if (remote) {
+    try {
+      return await remote.submit(entry, replay)
+    } catch (err) {
+      console.warn('Could not send score to the leaderboard endpoint:', err)
+    }
+  }
+  return saved
+}
@@ -0,0 +1,199 @@
+/**
+ * Levels
+ * Authored waves, asteroid types and bosses for SpaceGame
+ *
+ * A level is either a list of waves or a boss. Each wave spawns one
+ * formation of one asteroid type; the next wave starts once the last
+ * one is cleared. Levels open with a short intermission screen.
+ *
+ * After the last level the list repeats, faster and with tougher
+ * bosses each time round (see getLevel).
+ *
+ * Speeds: a level's `speed` is the base fall speed in units per tick;
+ * an asteroid type's `speed` multiplies it. Timings are in ticks.
+ */
+
+// ============================================
+// ASTEROID TYPES
+// ============================================
+
+export const ASTEROID_TYPES = {
+  normal: { health: 3, speed: 1, size: 1, points: 30 },
+  armored: { health: 8, speed: 0.6, size: 1.4, points: 80 },
+  fast: { health: 1, speed: 2.4, size: 0.7, points: 20 },
+  // Steers towards the ship: x acceleration per tick
+  homing: { health: 2, speed: 0.8, size: 0.9, points: 50, homing: 0.0015 },
+  // Breaks into smaller rocks when destroyed
+  splitting: { health: 2, speed: 0.9, size: 1.2, points: 40, splitInto: 'fragment', splitCount: 2 },
+  fragment: { health: 1, speed: 1.3, size: 0.6, points: 10 },
+}
+
+// The asteroid pool stores the index into this list
+export const ASTEROID_TYPE_NAMES = Object.keys(ASTEROID_TYPES)
+
+// ============================================
+// FORMATIONS
+// ============================================
+
+// (wave, width, rng) -> [{ x, delay }] - width is the spawn band
+export const FORMATIONS = {
+  // Anywhere in the band, one after another
+  random: ({ count, interval = 45 }, width, rng) =>
+    Array.from({ length: count }, (_, i) => ({ x: (rng.next() - 0.5) * width, delay: i * interval })),
+
+  // Side by side, all at once
+  line: ({ count }, width) =>
+    Array.from({ length: count }, (_, i) => ({
+      x: count === 1 ? 0 : -width / 2 + (width * i) / (count - 1),
+      delay: 0,
+    })),
+
+  // Arrow pointing down: the centre rock leads, the wings trail behind
+  v: ({ count, interval = 12 }, width) =>
+    Array.from({ length: count }, (_, i) => {
+      const rank = Math.ceil(i / 2)
+      const side = i % 2 === 0 ? 1 : -1
+      return { x: side * rank * (width / count), delay: rank * interval }
+    }),
+
+  // Single file down one lane
+  column: ({ count, interval = 20 }, width, rng) => {
+    const x = (rng.next() - 0.5) * width
+    return Array.from({ length: count }, (_, i) => ({ x, delay: i * interval }))
+  },
+
+  // Sweeping across the band and back
+  zigzag: ({ count, interval = 15 }, width) =>
+    Array.from({ length: count }, (_, i) => {
+      const phase = count === 1 ? 0.5 : i / (count - 1)
+      const sweep = 1 - Math.abs(phase * 2 - 1)
+      return { x: -width / 2 + width * sweep, delay: i * interval }
+    }),
+}
+
+// ============================================
+// BOSSES
+// ============================================
+
+// Attack patterns (bossSystem in simulation.js):
+//   aimed - one rock launched towards the ship
+//   fan   - `count` rocks spreading out below the boss
+//   drop  - one rock straight down
+export const BOSSES = {
+  mothership: {
+    name: 'Alien Mothership',
+    health: 40,
+    points: 500,
+    rockSpeed: 0.02,         // Base fall speed of the rocks it throws
+    sweepSpeed: 0.02,        // Side-to-side sweep, radians per tick
+    attacks: [
+      { pattern: 'aimed', every: 80, type: 'fast' },
+      { pattern: 'fan', every: 200, type: 'normal', count: 3 },
+    ],
+  },
+  mothershipMk2: {
+    name: 'Mothership Mk II',
+    health: 70,
+    points: 800,
+    rockSpeed: 0.024,
+    sweepSpeed: 0.03,
+    attacks: [
+      { pattern: 'aimed', every: 60, type: 'fast' },
+      { pattern: 'fan', every: 160, type: 'splitting', count: 3 },
+      { pattern: 'drop', every: 240, type: 'homing' },
+    ],
+  },
+}
+
+// ============================================
+// LEVELS
+// ============================================
+
+export const LEVELS = [
+  {
+    name: 'Debris Field',
+    speed: 0.014,
+    waves: [
+      { formation: 'random', type: 'normal', count: 5, interval: 60 },
+      { formation: 'line', type: 'normal', count: 4 },
+      { formation: 'random', type: 'normal', count: 6, interval: 40 },
+    ],
+  },
+  {
+    name: 'Splinter Belt',
+    speed: 0.016,
+    waves: [
+      { formation: 'v', type: 'normal', count: 5 },
+      { formation: 'random', type: 'splitting', count: 4, interval: 70 },
+      { formation: 'zigzag', type: 'fast', count: 6 },
+    ],
+  },
+  {
+    name: 'Iron Rain',
+    speed: 0.018,
+    waves: [
+      { formation: 'line', type: 'armored', count: 3 },
+      { formation: 'column', type: 'fast', count: 5 },
+      { formation: 'v', type: 'splitting', count: 5 },
+      { formation: 'random', type: 'homing', count: 3, interval: 80 },
+    ],
+  },
+  { name: 'Mothership', boss: 'mothership' },
+  {
+    name: 'Seekers',
+    speed: 0.02,
+    waves: [
+      { formation: 'line', type: 'homing', count: 3 },
+      { formation: 'zigzag', type: 'normal', count: 8 },
+      { formation: 'random', type: 'homing', count: 5, interval: 50 },
+    ],
+  },
+  {
+    name: 'Gauntlet',
+    speed: 0.022,
+    waves: [
+      { formation: 'column', type: 'armored', count: 3, interval: 40 },
+      { formation: 'v', type: 'fast', count: 7 },
+      { formation: 'random', type: 'splitting', count: 6, interval: 45 },
+    ],
+  },
+  {
+    name: 'Storm Front',
+    speed: 0.024,
+    waves: [
+      { formation: 'zigzag', type: 'splitting', count: 6 },
+      { formation: 'line', type: 'armored', count: 4 },
+      { formation: 'random', type: 'homing', count: 6, interval: 40 },
+      { formation: 'v', type: 'fast', count: 9, interval: 8 },
+    ],
+  },
+  { name: 'Mothership Returns', boss: 'mothershipMk2' },
+]
+
+// Each pass through LEVELS after the first
+const LOOP_SPEED_BONUS = 0.25
+const LOOP_BOSS_HEALTH_BONUS = 0.5
+
+/**
+ * Definition of level `number` (1-based). Past the end of LEVELS the
+ * list repeats with faster asteroids and sturdier bosses.
+ */
+export function getLevel(number) {
+  const index = (number - 1) % LEVELS.length
+  const loop = Math.floor((number - 1) / LEVELS.length)
+  const level = LEVELS[index]
+
+  if (level.boss) {
+    const boss = BOSSES[level.boss]
+    return {
+      ...level,
+      boss: {
+        ...boss,
+        id: level.boss,
+        health: Math.round(boss.health * (1 + loop * LOOP_BOSS_HEALTH_BONUS)),
+        rockSpeed: boss.rockSpeed * (1 + loop * LOOP_SPEED_BONUS),
+      },
+    }
+  }
+  return { ...level, speed: level.speed * (1 + loop * LOOP_SPEED_BONUS) }
+}
@@ -0,0 +1,5 @@
+// Ship, bullet and HUD colors per player, shared by the game and the score card
+export const PLAYER_COLORS = [
+  { body: '#4488ff', wing: '#3366cc', cockpit: '#88ccff', bullet: '#00ffff' },
+  { body: '#ff8844', wing: '#cc5522', cockpit: '#ffcc88', bullet: '#ffaa00' },
+]
@@ -0,0 +1,8 @@
+// Label and color per power-up type, shared by the HUD and the 3D pickups
+export const POWER_UP_STYLES = {
+  spread: { label: 'SPREAD', color: '#ff66ff' },
+  rapid: { label: 'RAPID', color: '#ffcc00' },
+  piercing: { label: 'PIERCE', color: '#66ff99' },
+  slow: { label: 'SLOW', color: '#66aaff' },
+  shield: { label: 'SHIELD', color: '#00ffff' },
+}
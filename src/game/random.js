@@ -0,0 +1,34 @@
+/**
+ * Seeded Random
+ * Small deterministic PRNG (mulberry32) for the game simulation
+ *
+ * Math.random can't be replayed, so everything the simulation rolls
+ * goes through one of these - the same seed gives the same sequence.
+ */
+
+/** A fresh 32-bit seed for a new run */
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0
+}
+
+export function createRandom(seed) {
+  let state = seed >>> 0
+
+  // Float in [0, 1)
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+
+  return {
+    seed: seed >>> 0,
+    next,
+    /** Float in [min, max) */
+    range: (min, max) => min + next() * (max - min),
+    /** Integer in [0, count) */
+    int: (count) => Math.floor(next() * count),
+  }
+}
@@ -0,0 +1,197 @@
+/**
+ * Replays
+ * Record a run as its seed plus per-tick inputs, and play it back
+ *
+ * The simulation is deterministic (see simulation.js), so a run is fully
+ * described by the options it was created with and the input of every
+ * tick. The recording keeps only the ticks where the input changed:
+ *
+ *   {
+ *     format: 'space-shooter-replay', version,
+ *     seed, spawnWidth,
+ *     ticks,                         // Length of the run
+ *     result,                        // { score, seconds, destroyed, level } as recorded
+ *     inputs: [dt, x, flags, ...],   // Flat triples, one per change
+ *   }
+ *
+ * dt is ticks since the previous change, x the ship target in
+ * hundredths of a unit and flags bit 0 fire, bit 1 auto-fire. Live play
+ * steps the game with the same quantized input it records, so playback
+ * matches to the tick. verifyReplay re-runs a recording headless, e.g.
+ * to check a leaderboard submission.
+ */
+
+import { TICK_RATE, createGame, stepGame } from './simulation'
+
+export const REPLAY_FORMAT = 'space-shooter-replay'
+// Bumped whenever the rules change how a recording plays out
+export const REPLAY_VERSION = 2
+
+// Longest replay parseReplay() accepts and the mock leaderboard in
+// vite.config.js verifies, bounding the work a crafted file or
+// submission can cause. validateReplay itself has no length limit.
+export const MAX_REPLAY_TICKS = 30 * 60 * TICK_RATE
+
+// Ticks verifyReplayInSlices() runs between yields (a few ms of work)
+const VERIFY_SLICE_TICKS = 1000
+
+const X_SCALE = 100
+const FIRE = 1
+const AUTO_FIRE = 2
+
+const encodeFlags = (input) => (input.fire ? FIRE : 0) | (input.autoFire ? AUTO_FIRE : 0)
+
+const decodeInput = (x, flags) => ({
+  targetX: x / X_SCALE,
+  fire: (flags & FIRE) !== 0,
+  autoFire: (flags & AUTO_FIRE) !== 0,
+})
+
+// ============================================
+// RECORDING
+// ============================================
+
+/** Empty recording for a game created with these options */
+export function createRecording({ seed, spawnWidth }) {
+  return { seed, spawnWidth, inputs: [], lastTick: 0, lastX: null, lastFlags: null }
+}
+
+/**
+ * Log the input for the tick about to run and return it quantized -
+ * step the game with the returned input, not the original.
+ */
+export function recordInput(recording, tick, input) {
+  const x = Math.round(input.targetX * X_SCALE)
+  const flags = encodeFlags(input)
+  if (x !== recording.lastX || flags !== recording.lastFlags) {
+    recording.inputs.push(tick - recording.lastTick, x, flags)
+    recording.lastTick = tick
+    recording.lastX = x
+    recording.lastFlags = flags
+  }
+  return decodeInput(x, flags)
+}
+
+/** The finished replay of `game`, which was recorded into `recording` */
+export function finishRecording(recording, game) {
+  return {
+    format: REPLAY_FORMAT,
+    version: REPLAY_VERSION,
+    seed: recording.seed,
+    spawnWidth: recording.spawnWidth,
+    ticks: game.tick,
+    result: game.result,
+    inputs: [...recording.inputs],
+  }
+}
+
+// ============================================
+// PLAYBACK
+// ============================================
+
+/** Fresh game plus a cursor into the replay's inputs */
+export function createReplayPlayer(replay) {
+  return {
+    replay,
+    game: createGame({ seed: replay.seed, spawnWidth: replay.spawnWidth }),
+    cursor: 0,
+    nextChange: replay.inputs.length > 0 ? replay.inputs[0] : Infinity,
+    inputs: [decodeInput(0, AUTO_FIRE)],   // Replays are single-player
+  }
+}
+
+/** True once the replay has played to its last recorded tick */
+export function replayFinished(player) {
+  return player.game.over || player.game.tick >= player.replay.ticks
+}
+
+/** Run the next tick of the replay. Returns false once it has ended. */
+export function stepReplay(player) {
+  if (replayFinished(player)) return false
+
+  const { replay, game } = player
+  const { inputs } = replay
+  while (game.tick === player.nextChange) {
+    player.inputs[0] = decodeInput(inputs[player.cursor + 1], inputs[player.cursor + 2])
+    player.cursor += 3
+    player.nextChange = player.cursor < inputs.length ? game.tick + inputs[player.cursor] : Infinity
+  }
+  stepGame(game, player.inputs)
+  return true
+}
+
+/** Play the whole replay headless and return the game's result. */
+export function verifyReplay(replay) {
+  const player = createReplayPlayer(replay)
+  while (stepReplay(player)) {
+    player.game.events.length = 0
+  }
+  return player.game.result
+}
+
+/**
+ * verifyReplay without freezing the page: plays VERIFY_SLICE_TICKS at a
+ * time and yields to the event loop in between. Resolves to the result;
+ * rejects with an AbortError once `signal` aborts.
+ */
+export async function verifyReplayInSlices(replay, signal) {
+  const player = createReplayPlayer(replay)
+  for (;;) {
+    signal?.throwIfAborted()
+    for (let i = 0; i < VERIFY_SLICE_TICKS; i++) {
+      if (!stepReplay(player)) return player.game.result
+      player.game.events.length = 0
+    }
+    await new Promise(resolve => setTimeout(resolve, 0))
+  }
+}
+
+// ============================================
+// FILES
+// ============================================
+
+export function serializeReplay(replay) {
+  return JSON.stringify(replay)
+}
+
+/**
+ * Check that `replay` is a well-formed replay of this version, whatever
+ * its length. Returns it, or throws with a readable message.
+ */
+export function validateReplay(replay) {
+  if (replay?.format !== REPLAY_FORMAT) {
+    throw new Error('This file is not a Space Shooter replay.')
+  }
+  if (replay.version !== REPLAY_VERSION) {
+    throw new Error(`Replay version ${replay.version} is not supported by this version of the game.`)
+  }
+  const valid = Number.isInteger(replay.seed) &&
+    Number.isFinite(replay.spawnWidth) &&
+    Number.isInteger(replay.ticks) &&
+    replay.ticks >= 0 &&
+    Array.isArray(replay.inputs) &&
+    replay.inputs.length % 3 === 0 &&
+    // At most one change per tick, plus the first
+    replay.inputs.length <= (replay.ticks + 1) * 3 &&
+    replay.inputs.every(Number.isInteger)
+  if (!valid) throw new Error('This replay file is damaged.')
+  return replay
+}
+
+/**
+ * Parse and check a replay file's text for import, up to
+ * MAX_REPLAY_TICKS long; throws with a readable message
+ */
+export function parseReplay(text) {
+  let replay
+  try {
+    replay = JSON.parse(text)
+  } catch {
+    throw new Error('This file is not a replay (invalid JSON).')
+  }
+  validateReplay(replay)
+  if (replay.ticks > MAX_REPLAY_TICKS) {
+    throw new Error(`Replays longer than ${MAX_REPLAY_TICKS / TICK_RATE / 60} minutes can't be imported.`)
+  }
+  return replay
+}
@@ -0,0 +1,217 @@
+/**
+ * Score Card
+ * A shareable PNG of a finished Space Shooter run
+ *
+ * drawScoreCard() paints the card on a 2D canvas: the score, time
+ * survived, level and asteroids destroyed, player 1's ship, and the
+ * portfolio's name and address, so a shared score leads back here.
+ * shareScoreCard() hands the PNG to the Web Share API where the browser
+ * can share files, and downloads it everywhere else.
+ *
+ * The address is the page's own origin unless VITE_SITE_URL is set.
+ */
+
+import { downloadBlob } from './download'
+import { PLAYER_COLORS } from './playerStyles'
+
+export const CARD_WIDTH = 1200     // Open Graph image size
+export const CARD_HEIGHT = 630
+
+const PORTFOLIO_NAME = 'Samardhh Reddy'
+const SITE_URL = import.meta.env.VITE_SITE_URL || null
+
+const TITLE_FONT = 'Orbitron'
+const SHIP_SCALE = 150             // Pixels per world unit
+const STAR_COUNT = 120
+
+const siteUrl = () => SITE_URL ?? window.location.origin
+
+// Address without the protocol, for printing
+const displayUrl = (url) => url.replace(/^https?:\/\//, '').replace(/\/$/, '')
+
+// ============================================
+// DRAWING
+// ============================================
+
+// Fixed star field - every card gets the same sky
+function drawStars(ctx) {
+  let seed = 7
+  const next = () => {
+    seed = (seed * 16807) % 2147483647
+    return seed / 2147483647
+  }
+  for (let i = 0; i < STAR_COUNT; i++) {
+    ctx.globalAlpha = 0.3 + next() * 0.7
+    ctx.fillStyle = '#ffffff'
+    ctx.beginPath()
+    ctx.arc(next() * CARD_WIDTH, next() * CARD_HEIGHT, 0.5 + next() * 1.5, 0, Math.PI * 2)
+    ctx.fill()
+  }
+  ctx.globalAlpha = 1
+}
+
+// The game's ship seen side-on, as it is modelled in SpaceGame: a cone
+// with a cockpit, two tilted wings and the engine glow
+function drawShip(ctx, x, y, colors) {
+  ctx.save()
+  ctx.translate(x, y)
+  ctx.scale(SHIP_SCALE, -SHIP_SCALE)   // World units, y up
+
+  const glow = ctx.createRadialGradient(0, -0.45, 0, 0, -0.45, 0.5)
+  glow.addColorStop(0, 'rgba(255, 102, 0, 0.9)')
+  glow.addColorStop(1, 'rgba(255, 102, 0, 0)')
+  ctx.fillStyle = glow
+  ctx.beginPath()
+  ctx.arc(0, -0.45, 0.5, 0, Math.PI * 2)
+  ctx.fill()
+
+  ctx.fillStyle = colors.wing
+  ;[-1, 1].forEach((side) => {
+    ctx.save()
+    ctx.translate(side * 0.35, -0.2)
+    ctx.rotate(side * 0.5)
+    ctx.fillRect(-0.2, -0.04, 0.4, 0.08)
+    ctx.restore()
+  })
+
+  ctx.fillStyle = colors.body
+  ctx.beginPath()
+  ctx.moveTo(0, 0.4)
+  ctx.lineTo(-0.3, -0.4)
+  ctx.lineTo(0.3, -0.4)
+  ctx.closePath()
+  ctx.fill()
+
+  ctx.fillStyle = colors.cockpit
+  ctx.beginPath()
+  ctx.arc(0, 0.1, 0.15, 0, Math.PI * 2)
+  ctx.fill()
+
+  ctx.restore()
+}
+
+function formatTime(seconds) {
+  const minutes = Math.floor(seconds / 60)
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`
+}
+
+// Headline under the title: who won, or whose score it is
+function headline(result) {
+  if (result.mode === 'versus') return result.winner === null ? 'DRAW' : `PLAYER ${result.winner + 1} WINS`
+  if (result.mode === 'coop') return 'TEAM SCORE'
+  return 'FINAL SCORE'
+}
+
+/**
+ * Paint the card for `result` ({ score, seconds, destroyed, level },
+ * plus mode / players / winner for two players) onto a new canvas.
+ * Waits for the title font so the first card isn't drawn in a fallback.
+ */
+export async function drawScoreCard(result) {
+  try {
+    await document.fonts.load(`900 40px "${TITLE_FONT}"`)
+  } catch {
+    // Draw with the fallback font
+  }
+
+  const canvas = document.createElement('canvas')
+  canvas.width = CARD_WIDTH
+  canvas.height = CARD_HEIGHT
+  const ctx = canvas.getContext('2d')
+  const font = (size, weight = 700) => `${weight} ${size}px "${TITLE_FONT}", sans-serif`
+
+  const background = ctx.createLinearGradient(0, 0, CARD_WIDTH, CARD_HEIGHT)
+  background.addColorStop(0, '#02020f')
+  background.addColorStop(1, '#140822')
+  ctx.fillStyle = background
+  ctx.fillRect(0, 0, CARD_WIDTH, CARD_HEIGHT)
+  drawStars(ctx)
+
+  // Firing line, as in the game
+  ctx.fillStyle = 'rgba(0, 255, 255, 0.4)'
+  ctx.fillRect(0, 150, CARD_WIDTH, 3)
+
+  drawShip(ctx, 930, 360, PLAYER_COLORS[0])
+
+  ctx.textBaseline = 'alphabetic'
+  ctx.fillStyle = '#ffffff'
+  ctx.shadowColor = 'rgba(255, 102, 0, 0.8)'
+  ctx.shadowBlur = 20
+  ctx.font = font(56, 900)
+  ctx.fillText('SPACE SHOOTER', 70, 110)
+
+  ctx.shadowColor = 'rgba(0, 255, 255, 0.8)'
+  ctx.font = font(28)
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.8)'
+  ctx.fillText(headline(result), 70, 230)
+  ctx.font = font(120, 900)
+  ctx.fillStyle = '#ffffff'
+  ctx.fillText(String(result.score), 70, 350)
+  ctx.shadowBlur = 0
+
+  ctx.font = font(26)
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.85)'
+  const details = result.players
+    ? result.players.map((player, i) => `P${i + 1}  ${player.score}`).join('   •   ')
+    : `${result.destroyed} asteroids destroyed`
+  ctx.fillText(`Survived ${formatTime(result.seconds)}   •   Level ${result.level}`, 70, 420)
+  ctx.fillText(details, 70, 465)
+
+  // Portfolio footer
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.08)'
+  ctx.fillRect(0, CARD_HEIGHT - 90, CARD_WIDTH, 90)
+  ctx.font = font(26)
+  ctx.fillStyle = '#ffcc00'
+  ctx.fillText(PORTFOLIO_NAME, 70, CARD_HEIGHT - 35)
+  ctx.textAlign = 'right'
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.8)'
+  ctx.font = font(22, 400)
+  ctx.fillText(displayUrl(siteUrl()), CARD_WIDTH - 70, CARD_HEIGHT - 36)
+
+  return canvas
+}
+
+// ============================================
+// SHARING
+// ============================================
+
+const cardFileName = (result) => `space-shooter-${result.score}.png`
+
+function toBlob(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not create the score card image'))), 'image/png')
+  })
+}
+
+/**
+ * Render the card and share it, or download it where files can't be
+ * shared. Resolves to 'shared', 'downloaded' or 'cancelled' (the share
+ * sheet was closed).
+ */
+export async function shareScoreCard(result) {
+  const blob = await toBlob(await drawScoreCard(result))
+  const file = new File([blob], cardFileName(result), { type: 'image/png' })
+  const url = siteUrl()
+
+  if (navigator.canShare?.({ files: [file] })) {
+    try {
+      await navigator.share({
+        files: [file],
+        title: 'Space Shooter',
+        text: `I scored ${result.score} in Space Shooter on ${PORTFOLIO_NAME}'s portfolio - ${url}`,
+      })
+      return 'shared'
+    } catch (err) {
+      if (err.name === 'AbortError') return 'cancelled'
+      // Sharing failed for another reason - fall back to the download
+    }
+  }
+
+  downloadBlob(blob, file.name)
+  return 'downloaded'
+}
+
+/** Just the PNG download, for the explicit download button */
+export async function downloadScoreCard(result) {
+  downloadBlob(await toBlob(await drawScoreCard(result)), cardFileName(result))
+}
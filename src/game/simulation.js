@@ -0,0 +1,759 @@
+/**
+ * Space Shooter Simulation
+ * Fixed-timestep game rules, independent of rendering and frame rate
+ *
+ * The game advances in ticks of 1/60 s. Each tick reads one input
+ * snapshot ({ targetX, fire, autoFire }) per player and rolls dice only
+ * through the game's seeded RNG, so the same seed and the same per-tick
+ * inputs always play out the same game. Speeds are in world units per tick and
+ * timers in ticks - the tuning matches the old 60 fps per-frame values.
+ *
+ * The state is a plain mutable object; bullets, asteroids, explosions
+ * and power-ups live in the pooled entity world (world.js) and are
+ * updated by the systems below, one pass each per tick. Entities keep
+ * their previous position so the renderer can interpolate between ticks.
+ * Hits are tested against the shapes in collision.js, swept over the
+ * tick for bullets.
+ *
+ * An asteroid that touches the ship or slips past it drains one shield
+ * charge, or a life once the shield is empty. Destroyed asteroids can
+ * drop power-ups (POWER_UP_TYPES) that the ship collects by touching.
+ *
+ * Up to two players share the screen (GAME_MODES). Ship, shield, lives,
+ * power-ups, score and stats are per player in game.players; game.score
+ * and game.destroyed are the totals. In co-op lives can be shared - a
+ * life lost is lost by both - and the game ends when nobody is left.
+ * In versus each ship keeps to its half, every asteroid a player
+ * destroys drops into the other half, and the first player out loses.
+ *
+ * What spawns when comes from the authored levels in levels.js: each
+ * level opens with an intermission, then either plays its waves one
+ * after another or sends in a boss (levelSystem, bossSystem).
+ *
+ * Things worth a sound or a stat are also appended to game.events as
+ * GAME_EVENTS names. The simulation never reads or clears that list -
+ * whoever consumes it empties it. Shooting accuracy is counted in each
+ * player's stats: a bullet is a hit once it connects with anything, and a
+ * miss if it leaves the screen without doing so.
+ */
+
+import { ASTEROID_TYPES, ASTEROID_TYPE_NAMES, FORMATIONS, getLevel } from './levels'
+import {
+  BOSS_HALF_HEIGHT,
+  BOSS_HALF_WIDTH,
+  BULLET_RADIUS,
+  SHIP_SHAPE,
+  asteroidRadius,
+  circleHitsShape,
+  sweptCirclesHit,
+  sweptPointHitsBox,
+} from './collision'
+import { createRandom } from './random'
+import { clearPool, createWorld, despawn, spawn } from './world'
+
+// ============================================
+// TIMING
+// ============================================
+
+export const TICK_RATE = 60
+export const TICK_SECONDS = 1 / TICK_RATE
+
+const ticks = (ms) => Math.round((ms / 1000) * TICK_RATE)
+
+// ============================================
+// TUNING
+// ============================================
+
+export const SHIP_Y = -3.5
+export const SHIP_LIMIT = 4            // Ship stays within ±4 on x
+export const SHIELD_Y = 3              // Bullets only hit below the firing line
+export const ASTEROID_COLOR_COUNT = 8
+export const EXPLOSION_TICKS = 20
+export const START_LIVES = 3
+export const SHIELD_MAX = 3            // Hits the shield absorbs when full
+
+export const GAME_MODES = ['solo', 'coop', 'versus']
+
+const SHIP_EASING = 0.15               // Share of the gap to the target closed per tick
+const SHIP_START_OFFSET = 2            // Two-player ships start at ±2
+const VERSUS_MARGIN = 0.5              // Versus ships stay this far off the middle
+const BULLET_SPEED = 0.3
+const BULLET_START_Y = -3
+const BULLET_MAX_Y = 6
+const BULLET_MAX_X = 7
+const AUTO_FIRE_TICKS = ticks(250)
+const ASTEROID_START_Y = 5
+const ASTEROID_ESCAPE_Y = -4.5         // Past the ship - costs shield or a life
+const ASTEROID_MAX_X = 7               // Drifted off the side - gone for free
+const ASTEROID_SPEED_VARIATION = 0.15  // ± share of the type's fall speed
+const HOMING_MAX_VX = 0.04
+const SPLIT_VX = 0.02                  // Sideways push of split fragments
+const HIT_COOLDOWN_TICKS = ticks(100)
+const CLEAN_MIN_HITS = 10              // Hits before a miss-free stretch counts
+const INVULNERABLE_TICKS = ticks(2000) // Grace period after losing a life
+
+const POINTS_HIT = 5
+
+// ============================================
+// LEVELS
+// ============================================
+
+export const INTERMISSION_TICKS = ticks(3000)
+const WAVE_GAP_TICKS = ticks(1000)     // Pause between a cleared wave and the next
+
+export const BOSS_Y = 2.2              // Where the boss settles after entering
+export const BOSS_START_Y = 6
+const BOSS_ENTER_SPEED = 0.02
+const FAN_VX = 0.025
+const BOSS_EXPLOSIONS = 6
+
+// Indexed by the asteroid pool's type field
+const TYPE_DEFS = ASTEROID_TYPE_NAMES.map(name => ASTEROID_TYPES[name])
+
+// ============================================
+// POWER-UPS
+// ============================================
+
+// The power-up pool stores the index into this list
+export const POWER_UP_TYPES = ['spread', 'rapid', 'piercing', 'slow', 'shield']
+
+// Timed effects and how long one pickup lasts - picking the same one
+// up again restarts the timer. 'shield' is instant.
+export const EFFECT_TICKS = {
+  spread: ticks(10000),    // Three bullets per shot in a fan
+  rapid: ticks(8000),      // Auto-fire twice as fast
+  piercing: ticks(8000),   // Bullets keep going after a hit
+  slow: ticks(5000),       // Bomb: asteroids and spawning slow down
+}
+
+const POWER_UP_DROP_CHANCE = 0.2
+const POWER_UP_SPEED = 0.03
+const POWER_UP_MIN_Y = -5
+const PICKUP_DISTANCE = 0.6
+const RAPID_FIRE_TICKS = ticks(120)
+const SPREAD_VX = 0.05
+const SLOW_TIME_SCALE = 0.4
+
+// ============================================
+// EVENTS
+// ============================================
+
+export const GAME_EVENTS = [
+  'fire',          // A volley left the ship
+  'hit',           // An asteroid took damage
+  'destroy',       // An asteroid was destroyed
+  'powerUp',       // A power-up was collected
+  'shieldHit',     // The shield absorbed a hit
+  'lifeLost',
+  'levelStart',    // An intermission ended
+  'bossHit',
+  'bossDefeated',
+  'gameOver',
+]
+
+const emit = (game, event) => {
+  game.events.push(event)
+}
+
+const noEffects = () => Object.fromEntries(Object.keys(EFFECT_TICKS).map(type => [type, 0]))
+
+// ============================================
+// STATE
+// ============================================
+
+// Base fall speed of the current level (a boss level uses its boss's)
+const levelSpeed = (game) => game.levelDef.speed ?? game.levelDef.boss.rockSpeed
+
+function spawnAsteroid(game, type, x, y, vx = 0, sent = 0) {
+  const { rng } = game
+  const def = ASTEROID_TYPES[type]
+  const variation = 1 + (rng.next() * 2 - 1) * ASTEROID_SPEED_VARIATION
+  spawn(game.world.asteroids, {
+    x,
+    y,
+    prevX: x,
+    prevY: y,
+    vx,
+    speed: levelSpeed(game) * def.speed * variation,
+    type: ASTEROID_TYPE_NAMES.indexOf(type),
+    colorIndex: rng.int(ASTEROID_COLOR_COUNT),
+    health: def.health,
+    maxHealth: def.health,
+    cooldown: 0,
+    bornTick: game.tick,
+    sent,
+  })
+}
+
+function spawnBullet(game, player, vx) {
+  const { x } = player
+  player.stats.shots++
+  spawn(game.world.bullets, {
+    x,
+    y: BULLET_START_Y,
+    prevX: x,
+    prevY: BULLET_START_Y,
+    vx,
+    pierce: player.effects.piercing > 0 ? 1 : 0,
+    owner: player.index,
+  })
+}
+
+function spawnExplosion(game, x, y) {
+  spawn(game.world.explosions, { x, y, age: 0 })
+}
+
+function maybeDropPowerUp(game, x, y) {
+  const { rng } = game
+  if (rng.next() >= POWER_UP_DROP_CHANCE) return
+  spawn(game.world.powerUps, { x, y, prevY: y, type: rng.int(POWER_UP_TYPES.length) })
+}
+
+function createPlayer(index, x) {
+  return {
+    index,
+    x,                         // Ship position
+    prevX: x,
+    fireTimer: AUTO_FIRE_TICKS,
+    lives: START_LIVES,
+    shield: SHIELD_MAX,
+    shieldHitTick: null,       // Last tick the shield absorbed a hit
+    invulnerable: 0,           // Ticks of grace left after losing a life
+    effects: noEffects(),      // Ticks left per timed power-up
+    score: 0,
+    destroyed: 0,              // Asteroids destroyed
+    out: false,                // Lost the last life
+    stats: {
+      shots: 0,                // Bullets fired
+      hits: 0,                 // Bullets that connected at least once
+      streak: 0,               // Hits since the last miss
+      bestStreak: 0,
+      streakStartTick: 0,      // Tick of the current streak's first hit
+      cleanTicks: 0,           // Longest first-to-last-hit span of a streak of CLEAN_MIN_HITS or more
+      bossesDefeated: 0,
+    },
+  }
+}
+
+/**
+ * New game state.
+ * spawnWidth  - width of the band asteroids spawn in (narrower on mobile)
+ * mode        - one of GAME_MODES
+ * sharedLives - co-op only: losing a life costs both players one
+ */
+export function createGame({ seed, spawnWidth, mode = 'solo', sharedLives = false }) {
+  const players = mode === 'solo'
+    ? [createPlayer(0, 0)]
+    : [createPlayer(0, -SHIP_START_OFFSET), createPlayer(1, SHIP_START_OFFSET)]
+  const game = {
+    seed,
+    rng: createRandom(seed),
+    tick: 0,
+    spawnWidth,
+    mode,
+    sharedLives: mode === 'coop' && sharedLives,
+    players,
+    world: createWorld(),
+    level: 1,
+    levelDef: getLevel(1),
+    phase: 'intermission',     // 'intermission' | 'waves' | 'boss'
+    phaseTimer: INTERMISSION_TICKS,
+    waveIndex: 0,
+    waveClock: 0,              // Ticks of wave time - runs slower under 'slow'
+    spawnQueue: [],            // [{ at (waveClock), type, x }] of the current wave
+    boss: null,
+    score: 0,                  // All players together
+    destroyed: 0,
+    over: false,
+    result: null,              // See endGame
+    events: [],                // GAME_EVENTS since the consumer last emptied it
+  }
+  return game
+}
+
+// Ships still in the game
+const activePlayers = (game) => game.players.filter(player => !player.out)
+
+// The active ship closest to `x`
+function nearestPlayer(game, x) {
+  let nearest = null
+  game.players.forEach((player) => {
+    if (!player.out && (!nearest || Math.abs(player.x - x) < Math.abs(nearest.x - x))) nearest = player
+  })
+  return nearest
+}
+
+/** [min, max] x a player's ship may move in */
+export function shipLane(game, player) {
+  if (game.mode !== 'versus') return [-SHIP_LIMIT, SHIP_LIMIT]
+  return player.index === 0 ? [-SHIP_LIMIT, -VERSUS_MARGIN] : [VERSUS_MARGIN, SHIP_LIMIT]
+}
+
+// Whose loss an asteroid at `x` is: the owner of that half in versus,
+// otherwise the nearest ship
+function playerAt(game, x) {
+  if (game.mode === 'versus') return game.players[x < 0 ? 0 : 1]
+  return nearestPlayer(game, x)
+}
+
+function addScore(game, player, points) {
+  player.score += points
+  game.score += points
+}
+
+/**
+ * Final result: { score, seconds, destroyed, level }, plus for two
+ * players { mode, players: [{ score, destroyed }], winner } - winner is
+ * the player index in versus, null in co-op.
+ */
+function endGame(game) {
+  const { world } = game
+  game.over = true
+  game.result = {
+    score: game.score,
+    seconds: Math.floor(game.tick / TICK_RATE),
+    destroyed: game.destroyed,
+    level: game.level,
+  }
+  if (game.mode !== 'solo') {
+    game.result.mode = game.mode
+    game.result.players = game.players.map(({ score, destroyed }) => ({ score, destroyed }))
+    game.result.winner = game.mode === 'versus' ? activePlayers(game)[0]?.index ?? null : null
+  }
+  emit(game, 'gameOver')
+  game.boss = null
+  game.spawnQueue = []
+  clearPool(world.asteroids)
+  clearPool(world.bullets)
+  clearPool(world.powerUps)
+}
+
+function startIntermission(game, level) {
+  game.level = level
+  game.levelDef = getLevel(level)
+  game.phase = 'intermission'
+  game.phaseTimer = INTERMISSION_TICKS
+  game.waveIndex = 0
+  game.spawnQueue = []
+}
+
+// Queue the current wave's formation, starting `delay` ticks from now
+function queueWave(game, delay) {
+  const wave = game.levelDef.waves[game.waveIndex]
+  const { waveClock } = game
+  game.spawnQueue = FORMATIONS[wave.formation](wave, game.spawnWidth, game.rng)
+    .map(({ x, delay: offset }) => ({ at: waveClock + delay + offset, type: wave.type, x }))
+    .sort((a, b) => a.at - b.at)
+}
+
+function spawnBoss(game) {
+  const def = game.levelDef.boss
+  game.boss = {
+    def,
+    x: 0,
+    prevX: 0,
+    y: BOSS_START_Y,
+    prevY: BOSS_START_Y,
+    sweep: 0,                             // Phase of the side-to-side sweep
+    health: def.health,
+    maxHealth: def.health,
+    hitTick: null,                        // Last tick a bullet hit it
+    attackTimers: def.attacks.map(attack => attack.every),
+  }
+}
+
+function bossAttack(game, { pattern, type, count = 1 }) {
+  const { boss } = game
+  const y = boss.y - BOSS_HALF_HEIGHT
+
+  if (pattern === 'aimed') {
+    // Sideways speed that meets the nearest ship where it is now
+    const ship = nearestPlayer(game, boss.x)
+    const fallTicks = (y - SHIP_Y) / (levelSpeed(game) * ASTEROID_TYPES[type].speed)
+    spawnAsteroid(game, type, boss.x, y, (ship.x - boss.x) / fallTicks)
+  } else if (pattern === 'fan') {
+    for (let i = 0; i < count; i++) {
+      spawnAsteroid(game, type, boss.x, y, (i - (count - 1) / 2) * FAN_VX)
+    }
+  } else {
+    spawnAsteroid(game, type, boss.x, y)
+  }
+}
+
+function defeatBoss(game, player) {
+  const { boss, world } = game
+  addScore(game, player, boss.def.points)
+  player.stats.bossesDefeated++
+  emit(game, 'bossDefeated')
+  for (let i = 0; i < BOSS_EXPLOSIONS; i++) {
+    const angle = (i / BOSS_EXPLOSIONS) * Math.PI * 2
+    spawnExplosion(game, boss.x + Math.cos(angle) * BOSS_HALF_WIDTH, boss.y + Math.sin(angle) * BOSS_HALF_HEIGHT)
+  }
+  // Its rocks go down with it
+  const { asteroids } = world
+  for (let i = 0; i < asteroids.count; i++) {
+    spawnExplosion(game, asteroids.x[i], asteroids.y[i])
+  }
+  clearPool(asteroids)
+  game.boss = null
+  startIntermission(game, game.level + 1)
+}
+
+// An asteroid reached a ship or got past it: shield first, then lives.
+// Returns false once that ended the game.
+function takeHit(game, player) {
+  if (player.invulnerable > 0) return true
+  if (player.shield > 0) {
+    player.shield--
+    player.shieldHitTick = game.tick
+    emit(game, 'shieldHit')
+    return true
+  }
+
+  emit(game, 'lifeLost')
+  spawnExplosion(game, player.x, SHIP_Y)
+  player.invulnerable = INVULNERABLE_TICKS
+  const losers = game.sharedLives ? game.players : [player]
+  losers.forEach((loser) => {
+    loser.lives--
+    if (loser.lives <= 0) loser.out = true
+  })
+
+  const remaining = activePlayers(game).length
+  if (remaining === 0 || (game.mode === 'versus' && remaining < game.players.length)) {
+    endGame(game)
+    return false
+  }
+  return true
+}
+
+function collectPowerUp(game, player, type) {
+  emit(game, 'powerUp')
+  if (type === 'shield') {
+    player.shield = SHIELD_MAX
+    return
+  }
+  player.effects[type] = EFFECT_TICKS[type]
+}
+
+// ============================================
+// SYSTEMS
+// ============================================
+
+function effectSystem(game) {
+  game.players.forEach((player) => {
+    const { effects } = player
+    Object.keys(effects).forEach((type) => {
+      if (effects[type] > 0) effects[type]--
+    })
+    if (player.invulnerable > 0) player.invulnerable--
+  })
+}
+
+function shipSystem(game, player, input) {
+  const { effects } = player
+  const [min, max] = shipLane(game, player)
+  const target = Math.max(min, Math.min(max, input.targetX))
+  player.prevX = player.x
+  player.x += (target - player.x) * SHIP_EASING
+
+  const fire = () => {
+    emit(game, 'fire')
+    if (effects.spread > 0) {
+      spawnBullet(game, player, -SPREAD_VX)
+      spawnBullet(game, player, 0)
+      spawnBullet(game, player, SPREAD_VX)
+    } else {
+      spawnBullet(game, player, 0)
+    }
+  }
+
+  if (player.fireTimer > 0) player.fireTimer--
+  const ready = player.fireTimer <= 0
+  const volley = () => {
+    player.fireTimer = effects.rapid > 0 ? RAPID_FIRE_TICKS : AUTO_FIRE_TICKS
+    fire()
+  }
+
+  if (input.autoFire) {
+    // Volleys on the timer; `fire` adds an extra one right away
+    if (ready) volley()
+    if (input.fire) fire()
+  } else if (input.fire && ready) {
+    // Manual: `fire` is the trigger held down, at the same rate
+    volley()
+  }
+}
+
+function bulletSystem(game) {
+  const { bullets } = game.world
+  for (let i = bullets.count - 1; i >= 0; i--) {
+    bullets.prevX[i] = bullets.x[i]
+    bullets.prevY[i] = bullets.y[i]
+    bullets.x[i] += bullets.vx[i]
+    bullets.y[i] += BULLET_SPEED
+    if (bullets.y[i] > BULLET_MAX_Y || Math.abs(bullets.x[i]) > BULLET_MAX_X) {
+      if (!bullets.hit[i]) countMiss(game.players[bullets.owner[i]])
+      despawn(bullets, i)
+    }
+  }
+}
+
+// Intermission countdown, then the level's waves or its boss
+function levelSystem(game, timeScale) {
+  if (game.phase === 'intermission') {
+    game.phaseTimer--
+    if (game.phaseTimer > 0) return
+    emit(game, 'levelStart')
+    if (game.levelDef.boss) {
+      game.phase = 'boss'
+      spawnBoss(game)
+    } else {
+      game.phase = 'waves'
+      queueWave(game, 0)
+    }
+    return
+  }
+  if (game.phase !== 'waves') return
+
+  game.waveClock += timeScale
+  const { spawnQueue } = game
+  while (spawnQueue.length > 0 && spawnQueue[0].at <= game.waveClock) {
+    const { type, x } = spawnQueue.shift()
+    spawnAsteroid(game, type, x, ASTEROID_START_Y)
+  }
+
+  // Wave cleared: the next one, or on to the next level
+  if (spawnQueue.length > 0 || game.world.asteroids.count > 0) return
+  if (game.waveIndex + 1 < game.levelDef.waves.length) {
+    game.waveIndex++
+    queueWave(game, WAVE_GAP_TICKS)
+  } else {
+    startIntermission(game, game.level + 1)
+  }
+}
+
+function bossSystem(game, timeScale) {
+  const { boss } = game
+  if (!boss) return
+  boss.prevX = boss.x
+  boss.prevY = boss.y
+
+  // Fly in before attacking
+  if (boss.y > BOSS_Y) {
+    boss.y = Math.max(BOSS_Y, boss.y - BOSS_ENTER_SPEED)
+    return
+  }
+
+  boss.sweep += boss.def.sweepSpeed * timeScale
+  boss.x = Math.sin(boss.sweep) * (game.spawnWidth / 2)
+
+  boss.def.attacks.forEach((attack, i) => {
+    boss.attackTimers[i] -= timeScale
+    if (boss.attackTimers[i] > 0) return
+    boss.attackTimers[i] += attack.every
+    bossAttack(game, attack)
+  })
+}
+
+function asteroidSystem(game, timeScale) {
+  const { asteroids } = game.world
+  for (let i = asteroids.count - 1; i >= 0; i--) {
+    const { homing } = TYPE_DEFS[asteroids.type[i]]
+    if (homing) {
+      const shipX = nearestPlayer(game, asteroids.x[i]).x
+      const steer = Math.max(-1, Math.min(1, shipX - asteroids.x[i])) * homing * timeScale
+      asteroids.vx[i] = Math.max(-HOMING_MAX_VX, Math.min(HOMING_MAX_VX, asteroids.vx[i] + steer))
+    }
+    asteroids.prevX[i] = asteroids.x[i]
+    asteroids.prevY[i] = asteroids.y[i]
+    asteroids.x[i] += asteroids.vx[i] * timeScale
+    asteroids.y[i] -= asteroids.speed[i] * timeScale
+    if (asteroids.cooldown[i] > 0) asteroids.cooldown[i]--
+    if (Math.abs(asteroids.x[i]) > ASTEROID_MAX_X) despawn(asteroids, i)
+  }
+}
+
+function powerUpSystem(game) {
+  const { powerUps } = game.world
+  for (let i = powerUps.count - 1; i >= 0; i--) {
+    powerUps.prevY[i] = powerUps.y[i]
+    powerUps.y[i] -= POWER_UP_SPEED
+    const player = nearestPlayer(game, powerUps.x[i])
+    if (Math.abs(powerUps.x[i] - player.x) < PICKUP_DISTANCE && Math.abs(powerUps.y[i] - SHIP_Y) < PICKUP_DISTANCE) {
+      collectPowerUp(game, player, POWER_UP_TYPES[powerUps.type[i]])
+      despawn(powerUps, i)
+    } else if (powerUps.y[i] < POWER_UP_MIN_Y) {
+      despawn(powerUps, i)
+    }
+  }
+}
+
+// Accuracy bookkeeping - each bullet counts as a hit once, piercing or not
+function countHit(game, b) {
+  const { bullets } = game.world
+  if (bullets.hit[b]) return
+  const { stats } = game.players[bullets.owner[b]]
+  bullets.hit[b] = 1
+  stats.hits++
+  if (stats.streak === 0) stats.streakStartTick = game.tick
+  stats.streak++
+  stats.bestStreak = Math.max(stats.bestStreak, stats.streak)
+  if (stats.streak >= CLEAN_MIN_HITS) {
+    stats.cleanTicks = Math.max(stats.cleanTicks, game.tick - stats.streakStartTick)
+  }
+}
+
+function countMiss(player) {
+  const { stats } = player
+  stats.streak = 0
+}
+
+// First bullet whose path this tick crossed asteroid `a`, or -1
+function findBulletHit(bullets, asteroids, a, radius) {
+  const reach = radius + BULLET_RADIUS
+  for (let b = 0; b < bullets.count; b++) {
+    if (sweptCirclesHit(
+      bullets.prevX[b], bullets.prevY[b], bullets.x[b], bullets.y[b],
+      asteroids.prevX[a], asteroids.prevY[a], asteroids.x[a], asteroids.y[a],
+      reach,
+    )) {
+      return b
+    }
+  }
+  return -1
+}
+
+// Versus: a copy of the destroyed asteroid drops into the other half.
+// Sent asteroids (and their fragments) are not sent back.
+function sendAsteroid(game, player, type) {
+  const side = player.index === 0 ? 1 : -1
+  const halfWidth = game.spawnWidth / 2
+  const x = side * (VERSUS_MARGIN + game.rng.next() * (halfWidth - VERSUS_MARGIN))
+  spawnAsteroid(game, ASTEROID_TYPE_NAMES[type], x, ASTEROID_START_Y, 0, 1)
+}
+
+function destroyAsteroid(game, a, player) {
+  const { asteroids } = game.world
+  const x = asteroids.x[a]
+  const y = asteroids.y[a]
+  const type = asteroids.type[a]
+  const sent = asteroids.sent[a]
+  const def = TYPE_DEFS[type]
+  addScore(game, player, def.points)
+  player.destroyed++
+  game.destroyed++
+  emit(game, 'destroy')
+  spawnExplosion(game, x, y)
+  maybeDropPowerUp(game, x, y)
+  despawn(asteroids, a)
+
+  if (def.splitInto) {
+    for (let i = 0; i < def.splitCount; i++) {
+      spawnAsteroid(game, def.splitInto, x, y, (i * 2 - (def.splitCount - 1)) * SPLIT_VX, sent)
+    }
+  }
+  if (game.mode === 'versus' && !sent) sendAsteroid(game, player, type)
+}
+
+// Bullets against the boss's hit box. Even piercing bullets stop here.
+function bossCollision(game) {
+  const { boss } = game
+  const { bullets } = game.world
+  if (boss.y >= SHIELD_Y) return
+
+  for (let b = bullets.count - 1; b >= 0; b--) {
+    const hit = sweptPointHitsBox(
+      bullets.prevX[b], bullets.prevY[b], bullets.x[b], bullets.y[b],
+      boss.prevX, boss.prevY, boss.x, boss.y,
+      BOSS_HALF_WIDTH + BULLET_RADIUS, BOSS_HALF_HEIGHT + BULLET_RADIUS,
+    )
+    if (hit) {
+      const player = game.players[bullets.owner[b]]
+      countHit(game, b)
+      despawn(bullets, b)
+      boss.health--
+      boss.hitTick = game.tick
+      addScore(game, player, POINTS_HIT)
+      emit(game, 'bossHit')
+      if (boss.health <= 0) {
+        defeatBoss(game, player)
+        return
+      }
+    }
+  }
+}
+
+// All collision checks for the tick, in one place
+function collisionSystem(game) {
+  const { bullets, asteroids } = game.world
+
+  if (game.boss) bossCollision(game)
+
+  for (let a = asteroids.count - 1; a >= 0; a--) {
+    const x = asteroids.x[a]
+    const y = asteroids.y[a]
+    const radius = asteroidRadius(TYPE_DEFS[asteroids.type[a]].size, asteroids.health[a], asteroids.maxHealth[a])
+
+    // Bullets only connect once the asteroid is past the firing line
+    if (asteroids.cooldown[a] === 0 && y < SHIELD_Y) {
+      const b = findBulletHit(bullets, asteroids, a, radius)
+      if (b !== -1) {
+        const player = game.players[bullets.owner[b]]
+        countHit(game, b)
+        if (!bullets.pierce[b]) despawn(bullets, b)
+        asteroids.cooldown[a] = HIT_COOLDOWN_TICKS
+        asteroids.health[a]--
+        if (asteroids.health[a] <= 0) {
+          destroyAsteroid(game, a, player)
+        } else {
+          addScore(game, player, POINTS_HIT)
+          emit(game, 'hit')
+        }
+        continue
+      }
+    }
+
+    const hitShip = game.players.find(player => !player.out && circleHitsShape(x, y, radius, SHIP_SHAPE, player.x, SHIP_Y))
+    if (hitShip || y < ASTEROID_ESCAPE_Y) {
+      spawnExplosion(game, x, y)
+      despawn(asteroids, a)
+      if (!takeHit(game, hitShip ?? playerAt(game, x))) return
+    }
+  }
+}
+
+function explosionSystem(game) {
+  const { explosions } = game.world
+  for (let i = explosions.count - 1; i >= 0; i--) {
+    explosions.age[i]++
+    if (explosions.age[i] >= EXPLOSION_TICKS) despawn(explosions, i)
+  }
+}
+
+// ============================================
+// STEP
+// ============================================
+
+const IDLE_INPUT = { targetX: 0, fire: false, autoFire: false }
+
+/** Advance the game by one tick. `inputs` has one snapshot per player. */
+export function stepGame(game, inputs) {
+  game.tick++
+  explosionSystem(game)
+  if (game.over) return
+
+  // Anyone's slow-time bomb slows the whole field
+  const timeScale = game.players.some(player => player.effects.slow > 0) ? SLOW_TIME_SCALE : 1
+
+  effectSystem(game)
+  game.players.forEach((player) => {
+    if (!player.out) shipSystem(game, player, inputs[player.index] ?? IDLE_INPUT)
+  })
+  bulletSystem(game)
+  levelSystem(game, timeScale)
+  bossSystem(game, timeScale)
+  asteroidSystem(game, timeScale)
+  powerUpSystem(game)
+  collisionSystem(game)
+}
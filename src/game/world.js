@@ -0,0 +1,77 @@
+/**
+ * Entity World
+ * Fixed-size pools of game entities stored as typed arrays
+ *
+ * Each pool is one entity kind with one Float64Array per component
+ * (pool.x[i], pool.y[i], ...). Live entities are packed into indices
+ * 0..count-1, so systems loop over a plain range and the renderer maps
+ * entity i straight to instance i of an InstancedMesh. Nothing is
+ * allocated while the game runs: spawning writes into the next free
+ * slot and despawning moves the last entity into the freed one.
+ */
+
+// ============================================
+// CAPACITIES
+// ============================================
+
+export const BULLET_CAPACITY = 256
+export const ASTEROID_CAPACITY = 128
+export const EXPLOSION_CAPACITY = 64
+export const POWER_UP_CAPACITY = 32
+
+// ============================================
+// POOLS
+// ============================================
+
+export function createPool(capacity, fields) {
+  const pool = { capacity, count: 0, fields }
+  fields.forEach((field) => {
+    pool[field] = new Float64Array(capacity)
+  })
+  return pool
+}
+
+/**
+ * Add an entity and return its index, or -1 when the pool is full
+ * (the spawn is dropped - capacities are sized so play never hits them).
+ */
+export function spawn(pool, values) {
+  if (pool.count >= pool.capacity) return -1
+  const index = pool.count++
+  pool.fields.forEach((field) => {
+    pool[field][index] = values[field] ?? 0
+  })
+  return index
+}
+
+/**
+ * Remove the entity at `index` by moving the last one into its slot.
+ * Loop backwards when despawning during iteration.
+ */
+export function despawn(pool, index) {
+  const last = --pool.count
+  if (index === last) return
+  pool.fields.forEach((field) => {
+    pool[field][index] = pool[field][last]
+  })
+}
+
+export function clearPool(pool) {
+  pool.count = 0
+}
+
+// ============================================
+// WORLD
+// ============================================
+
+export function createWorld() {
+  return {
+    bullets: createPool(BULLET_CAPACITY, ['x', 'y', 'prevX', 'prevY', 'vx', 'pierce', 'hit', 'owner']),
+    asteroids: createPool(ASTEROID_CAPACITY, [
+      'x', 'y', 'prevX', 'prevY', 'vx', 'speed', 'type', 'colorIndex',
+      'health', 'maxHealth', 'cooldown', 'bornTick', 'sent',
+    ]),
+    explosions: createPool(EXPLOSION_CAPACITY, ['x', 'y', 'age']),
+    powerUps: createPool(POWER_UP_CAPACITY, ['x', 'y', 'prevY', 'type']),
+  }
+}
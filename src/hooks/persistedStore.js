@@ -0,0 +1,38 @@
+/**
+ * Persisted Store
+ * A value kept in localStorage, shaped for useSyncExternalStore
+ *
+ * `parse` turns what was saved (already JSON-parsed, or null when
+ * nothing usable was) into the value, filling in defaults. set()
+ * replaces the value, saves it and notifies subscribers.
+ */
+
+export function createPersistedStore(key, parse) {
+  const listeners = new Set()
+
+  let value
+  try {
+    value = parse(JSON.parse(localStorage.getItem(key)))
+  } catch {
+    value = parse(null)
+  }
+
+  return {
+    get: () => value,
+
+    set(next) {
+      value = next
+      try {
+        localStorage.setItem(key, JSON.stringify(value))
+      } catch {
+        // Private mode / storage disabled - keep it for this visit only
+      }
+      listeners.forEach(listener => listener())
+    },
+
+    subscribe(listener) {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+  }
+}
@@ -0,0 +1,10 @@
+import { useSyncExternalStore } from 'react'
+import { getAssetProgress, subscribeAssetProgress } from '../three/assets'
+
+/**
+ * Download progress of the 3D models:
+ * { loaded, total, done, retrying, failed } - total is null while unknown
+ */
+export function useAssetProgress() {
+  return useSyncExternalStore(subscribeAssetProgress, getAssetProgress)
+}
@@ -0,0 +1,35 @@
+/**
+ * Audio Settings
+ * Mute and volume levels shared by the portfolio music and SpaceGame
+ *
+ * Muting from either place mutes both. musicVolume drives the portfolio
+ * track and the game soundtrack alike; sfxVolume only the game's sound
+ * effects. Kept in localStorage.
+ */
+
+import { useSyncExternalStore } from 'react'
+import { createPersistedStore } from './persistedStore'
+
+const DEFAULTS = {
+  muted: false,
+  musicVolume: 0.3,
+  sfxVolume: 0.6,
+}
+
+const store = createPersistedStore('portfolio-audio', stored => ({
+  ...DEFAULTS,
+  ...(stored && typeof stored === 'object' ? stored : {}),
+}))
+
+export const subscribeAudioSettings = store.subscribe
+
+/** Current settings, for code outside React render (the audio engine). */
+export const getAudioSettings = store.get
+
+export function setAudioSetting(key, value) {
+  store.set({ ...store.get(), [key]: value })
+}
+
+export function useAudioSettings() {
+  return useSyncExternalStore(subscribeAudioSettings, getAudioSettings)
+}
@@ -0,0 +1,64 @@
+/**
+ * Focus Trap
+ * Keeps Tab / Shift+Tab inside a modal while it is open and puts
+ * focus back where it was (e.g. the planet button) when it closes.
+ *
+ * The container gets focus first so screen readers announce the
+ * dialog's label - give it tabIndex={-1}.
+ */
+
+import { useEffect } from 'react'
+
+const FOCUSABLE = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])',
+].join(', ')
+
+function getFocusable(container) {
+  return [...container.querySelectorAll(FOCUSABLE)].filter(el => el.getClientRects().length > 0)
+}
+
+export function useFocusTrap(containerRef, active = true) {
+  useEffect(() => {
+    const container = containerRef.current
+    if (!active || !container) return
+
+    const previous = document.activeElement
+    container.focus({ preventScroll: true })
+
+    const handleKeyDown = (e) => {
+      if (e.key !== 'Tab') return
+
+      const items = getFocusable(container)
+      if (items.length === 0) {
+        e.preventDefault()
+        container.focus({ preventScroll: true })
+        return
+      }
+
+      const first = items[0]
+      const last = items[items.length - 1]
+      const outside = !container.contains(document.activeElement) || document.activeElement === container
+
+      if (e.shiftKey && (outside || document.activeElement === first)) {
+        e.preventDefault()
+        last.focus()
+      } else if (!e.shiftKey && (outside || document.activeElement === last)) {
+        e.preventDefault()
+        first.focus()
+      }
+    }
+    document.addEventListener('keydown', handleKeyDown)
+
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown)
+      if (previous?.isConnected && previous !== document.body) {
+        previous.focus({ preventScroll: true })
+      }
+    }
+  }, [containerRef, active])
+}
@@ -0,0 +1,52 @@
+/**
+ * Game Settings
+ * Space Shooter preferences and key bindings, edited in GameSettings
+ *
+ * One settings object kept in localStorage. Unknown or missing keys
+ * fall back to DEFAULTS, so new settings can be added freely.
+ */
+
+import { useSyncExternalStore } from 'react'
+import { createPersistedStore } from './persistedStore'
+import { DEFAULT_BINDINGS, DEFAULT_BINDINGS_P2, PLAYER_2_ACTIONS } from '../game/controls'
+
+const DEFAULTS = {
+  autoPause: true,   // Pause when the tab is hidden or the window loses focus
+  fireMode: 'auto',  // 'auto' (fires every 250 ms) | 'manual' (hold fire)
+  bindings: DEFAULT_BINDINGS,
+  bindings2: DEFAULT_BINDINGS_P2, // Player 2 in two-player modes
+  mode: 'solo',        // Last picked GAME_MODES entry
+  sharedLives: false,  // Co-op: one pool of lives for both players
+  showHitboxes: false, // Debug: outline the collision shapes
+}
+
+const store = createPersistedStore('space-shooter-settings', (stored) => {
+  if (!stored || typeof stored !== 'object') return { ...DEFAULTS }
+  // Actions added since the bindings were saved get their default keys
+  return {
+    ...DEFAULTS,
+    ...stored,
+    bindings: { ...DEFAULTS.bindings, ...stored.bindings },
+    // Only player 2's actions - older saves could carry a pause entry
+    bindings2: Object.fromEntries(PLAYER_2_ACTIONS.map(({ id }) => [id, stored.bindings2?.[id] ?? DEFAULTS.bindings2[id]])),
+  }
+})
+
+/**
+ * Current settings, for code outside React render
+ * (event handlers and the game loop).
+ */
+export const getGameSettings = store.get
+
+export function setGameSetting(key, value) {
+  store.set({ ...store.get(), [key]: value })
+}
+
+export function resetBindings() {
+  setGameSetting('bindings', DEFAULTS.bindings)
+  setGameSetting('bindings2', DEFAULTS.bindings2)
+}
+
+export function useGameSettings() {
+  return useSyncExternalStore(store.subscribe, getGameSettings)
+}
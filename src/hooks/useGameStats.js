@@ -0,0 +1,57 @@
+/**
+ * Game Stats
+ * Lifetime Space Shooter stats and unlocked achievements
+ *
+ * Kept in localStorage as { lifetime, unlocked }, where unlocked maps
+ * achievement ids to the date they were earned. SpaceGame checks for
+ * new achievements while a run plays and records the run when it ends;
+ * GameStats shows the lot.
+ */
+
+import { useSyncExternalStore } from 'react'
+import { createPersistedStore } from './persistedStore'
+import { ACHIEVEMENTS, EMPTY_STATS, addRun } from '../game/achievements'
+
+const EMPTY = { lifetime: EMPTY_STATS, unlocked: {} }
+
+const store = createPersistedStore('space-shooter-stats', (stored) => {
+  if (!stored || typeof stored !== 'object') return EMPTY
+  // Stats added since the last save start from zero
+  return {
+    lifetime: { ...EMPTY_STATS, ...stored.lifetime },
+    unlocked: { ...stored.unlocked },
+  }
+})
+
+export const getGameStats = store.get
+
+/** Add a finished (or abandoned) run to the lifetime totals */
+export function recordRun(run) {
+  const stats = store.get()
+  store.set({ ...stats, lifetime: addRun(stats.lifetime, run) })
+}
+
+/**
+ * Unlock whatever the run so far has earned and return the newly
+ * unlocked achievements (usually none). Call before recordRun().
+ */
+export function unlockAchievements(run) {
+  const stats = store.get()
+  const progress = { lifetime: addRun(stats.lifetime, run), run }
+  const earned = ACHIEVEMENTS.filter(({ id, test }) => !stats.unlocked[id] && test(progress))
+  if (earned.length === 0) return earned
+
+  const date = new Date().toISOString()
+  const unlocked = { ...stats.unlocked }
+  earned.forEach(({ id }) => { unlocked[id] = date })
+  store.set({ ...stats, unlocked })
+  return earned
+}
+
+export function resetGameStats() {
+  store.set(EMPTY)
+}
+
+export function useGameStats() {
+  return useSyncExternalStore(store.subscribe, getGameStats)
+}
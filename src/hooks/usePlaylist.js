@@ -0,0 +1,10 @@
+import { useSyncExternalStore } from 'react'
+import { getPlaylistState, subscribePlaylist } from '../audio/playlist'
+
+/**
+ * Background music player state:
+ * { status, index, shuffle, error } - see src/audio/playlist.js
+ */
+export function usePlaylist() {
+  return useSyncExternalStore(subscribePlaylist, getPlaylistState)
+}
@@ -0,0 +1,209 @@
+/**
+ * Quality Tiers
+ * Picks high / medium / low rendering settings from the measured frame rate
+ *
+ * A requestAnimationFrame sampler averages FPS over short windows while
+ * anything is subscribed. Two slow windows in a row drop one tier; a long
+ * run of smooth windows raises it again, but never back to a tier that
+ * already proved too slow, so the scene doesn't flip back and forth.
+ *
+ * URL options (read once on load):
+ *   ?quality=high|medium|low  force a tier and turn adaptation off
+ *   ?debug                    show QualityOverlay with tier and FPS
+ */
+
+import { useSyncExternalStore } from 'react'
+
+// ============================================
+// TIERS
+// ============================================
+
+export const QUALITY_TIERS = {
+  high: {
+    tier: 'high',
+    dpr: [1, 1.5],
+    starDensity: 1,     // Share of the DOM star / dust / shooting-star layers
+    asteroids: 3,       // FloatingAsteroids around the orbit
+    particles: 50,      // ParticlesBackground canvas
+    extraLights: true,  // Avatar fill lights, icon and title-star glows
+    glowMeshes: true,   // Transparent halo spheres on hover / focus
+  },
+  medium: {
+    tier: 'medium',
+    dpr: [1, 1.25],
+    starDensity: 0.6,
+    asteroids: 2,
+    particles: 30,
+    extraLights: false,
+    glowMeshes: true,
+  },
+  low: {
+    tier: 'low',
+    dpr: 1,
+    starDensity: 0.3,
+    asteroids: 0,
+    particles: 15,
+    extraLights: false,
+    glowMeshes: false,
+  },
+}
+
+const TIER_ORDER = ['high', 'medium', 'low']
+
+// ============================================
+// SAMPLER SETTINGS
+// ============================================
+
+const WARMUP_MS = 3000        // Ignore model loading and first paint
+const SAMPLE_MS = 2000        // One FPS reading per window
+const DOWNGRADE_FPS = 40
+const DOWNGRADE_WINDOWS = 2
+const UPGRADE_FPS = 56
+const UPGRADE_WINDOWS = 5
+
+const params = new URLSearchParams(window.location.search)
+const forcedTier = QUALITY_TIERS[params.get('quality')] ? params.get('quality') : null
+
+export const QUALITY_DEBUG = params.has('debug')
+
+// Start one tier down on small machines instead of stuttering first
+function initialTier() {
+  if (forcedTier) return forcedTier
+  const cores = navigator.hardwareConcurrency || 8
+  const memory = navigator.deviceMemory || 8
+  return cores <= 4 || memory <= 4 ? 'medium' : 'high'
+}
+
+// ============================================
+// STORE
+// ============================================
+
+let tierIndex = TIER_ORDER.indexOf(initialTier())
+let ceilingIndex = 0          // Best tier still allowed
+let fps = null
+
+const tierListeners = new Set()
+const fpsListeners = new Set()
+
+function setTier(index) {
+  tierIndex = index
+  tierListeners.forEach(listener => listener())
+}
+
+function setFps(value) {
+  fps = value
+  fpsListeners.forEach(listener => listener())
+}
+
+// ============================================
+// SAMPLER
+// ============================================
+
+let rafId = null
+let startedAt = 0
+let windowStart = null
+let frames = 0
+let slowWindows = 0
+let smoothWindows = 0
+
+function resetWindow() {
+  windowStart = null
+  frames = 0
+}
+
+function judge(reading) {
+  if (forcedTier) return
+
+  if (reading < DOWNGRADE_FPS) {
+    smoothWindows = 0
+    slowWindows++
+    if (slowWindows >= DOWNGRADE_WINDOWS && tierIndex < TIER_ORDER.length - 1) {
+      ceilingIndex = tierIndex + 1
+      slowWindows = 0
+      setTier(tierIndex + 1)
+    }
+  } else if (reading >= UPGRADE_FPS) {
+    slowWindows = 0
+    smoothWindows++
+    if (smoothWindows >= UPGRADE_WINDOWS && tierIndex > ceilingIndex) {
+      smoothWindows = 0
+      setTier(tierIndex - 1)
+    }
+  } else {
+    slowWindows = 0
+    smoothWindows = 0
+  }
+}
+
+function tick(now) {
+  rafId = requestAnimationFrame(tick)
+  if (now - startedAt < WARMUP_MS) return
+
+  if (windowStart === null) {
+    windowStart = now
+    return
+  }
+
+  frames++
+  const elapsed = now - windowStart
+  if (elapsed < SAMPLE_MS) return
+
+  const reading = Math.round((frames * 1000) / elapsed)
+  resetWindow()
+  setFps(reading)
+  judge(reading)
+}
+
+// A hidden tab pauses rAF - don't count the gap as one long frame
+function handleVisibilityChange() {
+  resetWindow()
+}
+
+function startSampler() {
+  startedAt = performance.now()
+  resetWindow()
+  rafId = requestAnimationFrame(tick)
+  document.addEventListener('visibilitychange', handleVisibilityChange)
+}
+
+function stopSampler() {
+  cancelAnimationFrame(rafId)
+  rafId = null
+  document.removeEventListener('visibilitychange', handleVisibilityChange)
+}
+
+function subscribeTo(listeners) {
+  return (listener) => {
+    listeners.add(listener)
+    if (rafId === null) startSampler()
+    return () => {
+      listeners.delete(listener)
+      if (tierListeners.size === 0 && fpsListeners.size === 0) stopSampler()
+    }
+  }
+}
+
+const subscribeTier = subscribeTo(tierListeners)
+const subscribeFps = subscribeTo(fpsListeners)
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+export function getQuality() {
+  return QUALITY_TIERS[TIER_ORDER[tierIndex]]
+}
+
+export function isQualityForced() {
+  return forcedTier !== null
+}
+
+/** Settings of the active tier, e.g. useQuality().asteroids */
+export function useQuality() {
+  return useSyncExternalStore(subscribeTier, getQuality)
+}
+
+/** Latest FPS reading (null until the first window completes) */
+export function useFrameRate() {
+  return useSyncExternalStore(subscribeFps, () => fps)
+}
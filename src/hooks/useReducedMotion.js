@@ -0,0 +1,52 @@
+/**
+ * Motion Preference
+ * One reduced-motion switch shared by every animated subsystem
+ *
+ * Follows the OS "prefers-reduced-motion" setting until the visitor
+ * picks a mode with MotionToggle; that choice is kept in localStorage.
+ * The resolved value is mirrored to <html data-motion="reduce|full">
+ * so index.css can pause CSS animations as well.
+ */
+
+import { useSyncExternalStore } from 'react'
+import { createPersistedStore } from './persistedStore'
+
+const systemQuery = window.matchMedia('(prefers-reduced-motion: reduce)')
+
+// 'reduce' | 'full' | null (follow the OS)
+const choice = createPersistedStore('portfolio-motion', stored => (
+  stored === 'reduce' || stored === 'full' ? stored : null
+))
+
+function subscribe(listener) {
+  const unsubscribe = choice.subscribe(listener)
+  systemQuery.addEventListener('change', listener)
+  return () => {
+    unsubscribe()
+    systemQuery.removeEventListener('change', listener)
+  }
+}
+
+/**
+ * Current value, for code outside React render
+ * (event handlers, requestAnimationFrame and useFrame loops).
+ */
+export function isMotionReduced() {
+  const stored = choice.get()
+  return stored ? stored === 'reduce' : systemQuery.matches
+}
+
+function mirrorToDocument() {
+  document.documentElement.dataset.motion = isMotionReduced() ? 'reduce' : 'full'
+}
+
+mirrorToDocument()
+subscribe(mirrorToDocument)
+
+export function setReducedMotion(value) {
+  choice.set(value ? 'reduce' : 'full')
+}
+
+export function useReducedMotion() {
+  return useSyncExternalStore(subscribe, isMotionReduced)
+}
@@ -0,0 +1,96 @@
+/**
+ * Route Store
+ * History-backed routes so modals and the game have shareable URLs
+ *
+ *   /                       solar system
+ *   /contact                contact modal
+ *   /play                   Space Shooter game
+ *   /:planetId              planet modal, e.g. /experience
+ *   /:planetId/:projectId   project case study, e.g. /projects/event-manager
+ *
+ * "contact" and "play" are matched first, so they can't be planet ids.
+ * The router doesn't know which planets exist - SolarSystem resolves
+ * the ids and replaces unknown ones with the closest valid route.
+ */
+
+import { useSyncExternalStore } from 'react'
+
+// Marks history entries pushed by the app, so closing a modal can
+// step back instead of adding another entry
+const APP_ENTRY = 'portfolioRoute'
+
+// Respect a non-root `base` in vite.config.js
+const BASE = import.meta.env.BASE_URL.replace(/\/$/, '')
+
+const listeners = new Set()
+
+function emit() {
+  listeners.forEach(listener => listener())
+}
+
+function subscribe(listener) {
+  listeners.add(listener)
+  window.addEventListener('popstate', listener)
+  return () => {
+    listeners.delete(listener)
+    window.removeEventListener('popstate', listener)
+  }
+}
+
+function getPath() {
+  const { pathname } = window.location
+  const path = pathname.startsWith(BASE) ? pathname.slice(BASE.length) : pathname
+  return path.replace(/\/+$/, '') || '/'
+}
+
+// Malformed escapes (e.g. /100%) stay raw; SolarSystem then replaces the unknown route
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment)
+  } catch {
+    return segment
+  }
+}
+
+export function parseRoute(path) {
+  const [first, second] = path.split('/').filter(Boolean).map(decodeSegment)
+
+  if (!first) return { view: 'home' }
+  if (first === 'contact') return { view: 'contact' }
+  if (first === 'play') return { view: 'game' }
+  return { view: 'planet', planetId: first, projectId: second || null }
+}
+
+/**
+ * Go to an app path, e.g. navigate('/experience').
+ * Pass { replace: true } to swap the current entry instead of adding one.
+ */
+export function navigate(path, { replace = false } = {}) {
+  if (path === getPath()) return
+
+  const url = `${BASE}${path}`
+  if (replace) {
+    window.history.replaceState(window.history.state, '', url)
+  } else {
+    window.history.pushState({ [APP_ENTRY]: true }, '', url)
+  }
+  emit()
+}
+
+/**
+ * Leave the current route. Steps back through history when the app
+ * pushed it, so back/forward stay in sync; after a reload or a shared
+ * link there is nothing of ours to go back to, so replace with `fallback`.
+ */
+export function navigateBack(fallback = '/') {
+  if (window.history.state?.[APP_ENTRY]) {
+    window.history.back()
+  } else {
+    navigate(fallback, { replace: true })
+  }
+}
+
+export function useRoute() {
+  const path = useSyncExternalStore(subscribe, getPath)
+  return parseRoute(path)
+}
@@ -0,0 +1,161 @@
+/**
+ * Asset Manager
+ * Loads each GLB once for the whole app and hands out clones
+ *
+ * Every render layer shares one WebGL context (see SharedCanvas), so
+ * components share parsed models too - astr.glb is fetched a single
+ * time for the background asteroids and the solar system.
+ *
+ * Failed downloads are retried with exponential backoff. When the last
+ * attempt fails the model is replaced by a procedural stand-in
+ * (fallbackModels.js) so the scene is never left with a hole in it.
+ * Byte progress is published for LoadingScreen.
+ */
+
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader'
+import { createAsteroidFallback, createAvatarFallback } from './fallbackModels'
+
+// ============================================
+// MODELS
+// ============================================
+
+export const MODELS = {
+  avatar: { url: '/models/avatar.glb', fallback: createAvatarFallback },
+  asteroid: { url: '/models/astr.glb', fallback: createAsteroidFallback },
+}
+
+const MAX_ATTEMPTS = 3
+const RETRY_BASE_MS = 800     // 0.8s, then 1.6s
+
+const loader = new GLTFLoader()
+
+// name -> { status, scene, attempts, loaded, total, callbacks }
+// status: 'loading' | 'retrying' | 'loaded' | 'failed'
+const entries = new Map()
+
+// ============================================
+// PROGRESS STORE
+// ============================================
+
+const listeners = new Set()
+
+function summarize() {
+  const names = Object.keys(MODELS)
+  let loaded = 0
+  let total = 0
+  let sized = true
+
+  names.forEach((name) => {
+    const entry = entries.get(name)
+    if (!entry) {
+      sized = false
+      return
+    }
+    loaded += entry.loaded
+    total += entry.total
+    if (!entry.total && entry.status !== 'failed') sized = false
+  })
+
+  return {
+    loaded,
+    total: sized ? total : null,  // null until every size is known
+    done: names.every(name => ['loaded', 'failed'].includes(entries.get(name)?.status)),
+    retrying: names.filter(name => entries.get(name)?.status === 'retrying'),
+    failed: names.filter(name => entries.get(name)?.status === 'failed'),
+  }
+}
+
+let progress = summarize()
+
+function emit() {
+  progress = summarize()
+  listeners.forEach(listener => listener())
+}
+
+export function subscribeAssetProgress(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+export function getAssetProgress() {
+  return progress
+}
+
+// ============================================
+// LOADING
+// ============================================
+
+function settle(entry, scene) {
+  entry.scene = scene
+  entry.callbacks.forEach(cb => cb(scene.clone()))
+  entry.callbacks.clear()
+  emit()
+}
+
+function attempt(name, entry) {
+  const { url, fallback } = MODELS[name]
+  entry.attempts++
+  entry.status = 'loading'
+  entry.loaded = 0
+  emit()
+
+  loader.load(
+    url,
+    (gltf) => {
+      entry.status = 'loaded'
+      entry.loaded = entry.total || entry.loaded
+      settle(entry, gltf.scene)
+    },
+    (event) => {
+      entry.loaded = event.loaded
+      entry.total = event.lengthComputable ? event.total : 0
+      emit()
+    },
+    (err) => {
+      if (entry.attempts < MAX_ATTEMPTS) {
+        const delay = RETRY_BASE_MS * 2 ** (entry.attempts - 1)
+        console.warn(`Loading ${url} failed, retrying in ${delay}ms:`, err)
+        entry.status = 'retrying'
+        emit()
+        setTimeout(() => attempt(name, entry), delay)
+        return
+      }
+      console.error(`Error loading model ${url}, using fallback:`, err)
+      entry.status = 'failed'
+      settle(entry, fallback())
+    }
+  )
+}
+
+function ensureLoading(name) {
+  let entry = entries.get(name)
+  if (!entry) {
+    entry = { status: 'loading', scene: null, attempts: 0, loaded: 0, total: 0, callbacks: new Set() }
+    entries.set(name, entry)
+    attempt(name, entry)
+  }
+  return entry
+}
+
+/** Start downloading every model (LoadingScreen calls this on mount) */
+export function preloadModels() {
+  Object.keys(MODELS).forEach(ensureLoading)
+}
+
+/**
+ * Call `callback` with a fresh clone of model `name` (a key of MODELS),
+ * or of its fallback if the model couldn't be loaded.
+ * Returns a function that cancels a pending callback - use it as the
+ * effect cleanup.
+ */
+export function loadModel(name, callback) {
+  const entry = ensureLoading(name)
+
+  if (entry.scene) {
+    callback(entry.scene.clone())
+    return () => {}
+  }
+
+  entry.callbacks.add(callback)
+  return () => entry.callbacks.delete(callback)
+}
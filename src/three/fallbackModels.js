@@ -0,0 +1,85 @@
+/**
+ * Fallback Models
+ * Procedural stand-ins used when a GLB fails to load
+ *
+ * Each builder returns a THREE.Group roughly the size and orientation
+ * of the real model, so the scale and position the components apply
+ * still put it in the right place.
+ */
+
+import * as THREE from 'three'
+
+// ============================================
+// AVATAR - simple astronaut, ~1.4 units tall
+// ============================================
+
+export function createAvatarFallback() {
+  const group = new THREE.Group()
+  group.name = 'avatar-fallback'
+
+  const suit = new THREE.MeshStandardMaterial({ color: '#e8ecf4', roughness: 0.6, metalness: 0.1 })
+  const visor = new THREE.MeshStandardMaterial({
+    color: '#1a2a6c',
+    emissive: '#3a5fcd',
+    emissiveIntensity: 0.4,
+    roughness: 0.15,
+    metalness: 0.8,
+  })
+
+  const body = new THREE.Mesh(new THREE.CapsuleGeometry(0.26, 0.45, 6, 16), suit)
+  body.position.y = -0.25
+  group.add(body)
+
+  const helmet = new THREE.Mesh(new THREE.SphereGeometry(0.3, 24, 16), suit)
+  helmet.position.y = 0.38
+  group.add(helmet)
+
+  const glass = new THREE.Mesh(new THREE.SphereGeometry(0.22, 24, 16), visor)
+  glass.position.set(0, 0.4, 0.14)
+  glass.scale.set(1, 0.7, 0.6)
+  group.add(glass)
+
+  const backpack = new THREE.Mesh(new THREE.BoxGeometry(0.35, 0.4, 0.18), suit)
+  backpack.position.set(0, -0.15, -0.28)
+  group.add(backpack)
+
+  return group
+}
+
+// ============================================
+// ASTEROID - lumpy rock, radius ~8.4 like astr.glb
+// ============================================
+
+// Same position -> same offset, so shared vertices stay joined
+function hash(x, y, z) {
+  const n = Math.sin(x * 12.9898 + y * 78.233 + z * 37.719) * 43758.5453
+  return n - Math.floor(n)
+}
+
+export function createAsteroidFallback() {
+  const geometry = new THREE.IcosahedronGeometry(8.4, 2)
+  const position = geometry.attributes.position
+  const vertex = new THREE.Vector3()
+
+  for (let i = 0; i < position.count; i++) {
+    vertex.fromBufferAttribute(position, i)
+    const bump = 0.8 + hash(
+      Math.round(vertex.x * 100),
+      Math.round(vertex.y * 100),
+      Math.round(vertex.z * 100)
+    ) * 0.3
+    vertex.multiplyScalar(bump)
+    position.setXYZ(i, vertex.x, vertex.y, vertex.z)
+  }
+  geometry.computeVertexNormals()
+
+  const rock = new THREE.Mesh(
+    geometry,
+    new THREE.MeshStandardMaterial({ color: '#6b6157', roughness: 1, flatShading: true })
+  )
+
+  const group = new THREE.Group()
+  group.name = 'asteroid-fallback'
+  group.add(rock)
+  return group
+}
@@ -0,0 +1,33 @@
+/**
+ * Render Layers
+ * Passes 3D content from <RenderLayer> elements in the page to the
+ * single shared <Canvas> (components/SharedCanvas.jsx) that draws it.
+ */
+
+const layers = new Map()
+const listeners = new Set()
+let snapshot = []
+
+function emit() {
+  snapshot = [...layers.values()]
+  listeners.forEach(listener => listener())
+}
+
+/** Add or update a layer: { track, clip, behind, camera, index, overlay, children } */
+export function setLayer(id, layer) {
+  layers.set(id, { id, ...layer })
+  emit()
+}
+
+export function removeLayer(id) {
+  if (layers.delete(id)) emit()
+}
+
+export function subscribeLayers(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+export function getLayers() {
+  return snapshot
+}
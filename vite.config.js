@@ -1,9 +1,152 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import planetSchema from './src/content/planet.schema.json'
+import playlistSchema from './src/content/playlist.schema.json'
+import { validateContent } from './src/content/validateContent.js'
+import { AMBIENT_TRACKS, renderAmbientTrack } from './src/audio/ambient.js'
+import { MAX_REPLAY_TICKS, validateReplay, verifyReplay } from './src/game/replay.js'
+
+// Content files and the schema each is checked against
+const CONTENT_SCHEMAS = [
+  { pattern: /\/src\/content\/planets\/[^/]+\.json$/, schema: planetSchema, label: 'planet content' },
+  { pattern: /\/src\/content\/playlist\.json$/, schema: playlistSchema, label: 'playlist' },
+]
+
+// Fails the build (and shows the dev overlay) when a planet file is
+// missing fields that SpaceModal needs to render it, or the playlist
+// fields BackgroundMusic needs
+function contentSchema() {
+  return {
+    name: 'content-schema',
+    enforce: 'pre',
+    transform(code, id) {
+      const match = CONTENT_SCHEMAS.find(({ pattern }) => pattern.test(id))
+      if (!match) return null
+
+      let content
+      try {
+        content = JSON.parse(code)
+      } catch (err) {
+        this.error(`Invalid JSON: ${err.message}`)
+      }
+
+      const errors = validateContent(content, match.schema)
+      if (errors.length > 0) {
+        this.error(`Invalid ${match.label}:\n  - ${errors.join('\n  - ')}`)
+      }
+      return null
+    },
+  }
+}
+
+// The playlist's synthesized tracks (src/audio/ambient.js) as /audio/<id>.wav:
+// served by the dev and preview servers, written into dist/ on build
+function ambientAudio() {
+  const rendered = new Map()
+  const render = (id) => {
+    if (!rendered.has(id)) rendered.set(id, renderAmbientTrack(id))
+    return rendered.get(id)
+  }
+
+  const handle = (req, res, next) => {
+    const id = req.url.match(/^\/([a-z0-9-]+)\.wav$/)?.[1]
+    if (!id || !(id in AMBIENT_TRACKS)) return next()
+    res.setHeader('Content-Type', 'audio/wav')
+    res.setHeader('Content-Length', render(id).length)
+    res.end(render(id))
+  }
+
+  return {
+    name: 'ambient-audio',
+    configureServer(server) {
+      server.middlewares.use('/audio', handle)
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use('/audio', handle)
+    },
+    generateBundle() {
+      Object.keys(AMBIENT_TRACKS).forEach((id) => {
+        this.emitFile({ type: 'asset', fileName: `audio/${id}.wav`, source: render(id) })
+      })
+    },
+  }
+}
+
+// In-memory stand-in for a self-hosted leaderboard endpoint.
+// Run with VITE_LEADERBOARD_URL=/mock-leaderboard (see src/game/leaderboard.js)
+// Like a real endpoint should, it re-runs each submission's replay and
+// turns down scores the replay doesn't reproduce.
+// Room for a MAX_REPLAY_TICKS replay that changes input on every tick
+const MAX_BODY_LENGTH = 4 * 1024 * 1024
+
+function mockLeaderboard() {
+  let entries = []
+
+  const handle = (req, res) => {
+    const send = (status, body) => {
+      res.statusCode = status
+      res.setHeader('Content-Type', 'application/json')
+      res.end(JSON.stringify(body))
+    }
+
+    if (req.method === 'GET') return send(200, entries)
+    if (req.method !== 'POST') return send(405, { error: 'Method not allowed' })
+
+    let raw = ''
+    req.on('data', (chunk) => {
+      raw += chunk
+      if (raw.length > MAX_BODY_LENGTH) {
+        send(413, { error: 'Submission too large' })
+        req.destroy()
+      }
+    })
+    req.on('end', () => {
+      if (raw.length > MAX_BODY_LENGTH) return
+      let body
+      try {
+        body = JSON.parse(raw)
+      } catch {
+        return send(400, { error: 'Invalid JSON' })
+      }
+
+      const { replay, ...entry } = body
+      try {
+        // Verifying blocks the server, so runs are capped like imported files
+        if (validateReplay(replay).ticks > MAX_REPLAY_TICKS) {
+          return send(413, { error: 'Replay too long' })
+        }
+        const result = verifyReplay(replay)
+        if (result?.score !== entry.score) {
+          return send(422, { error: `Replay scores ${result?.score ?? 'nothing'}, not ${entry.score}` })
+        }
+      } catch (err) {
+        return send(422, { error: err.message })
+      }
+
+      entries = [...entries, entry]
+        .sort((a, b) => b.score - a.score)
+        .slice(0, 10)
+      send(200, entries)
+    })
+  }
+
+  return {
+    name: 'mock-leaderboard',
+    configureServer(server) {
+      server.middlewares.use('/mock-leaderboard', handle)
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use('/mock-leaderboard', handle)
+    },
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [
+    contentSchema(),
+    ambientAudio(),
+    mockLeaderboard(),
     react({
       babel: {
         plugins: [['babel-plugin-react-compiler']],